@@ -31,8 +31,10 @@
 // ## Features
 // * Adjust color variables of wiki themes with a color picker or indirect definitions based on other colors
 // * Live preview of the set colors on other wiki pages
-// * Display of needed contrasts between colors
-// * buttons for automatic contrast fixing
+// * Display of needed contrasts between colors (WCAG 2 contrast ratio or APCA)
+// * buttons for automatic contrast fixing, also of all contrasts of the theme together
+// * contrast report listing all contrast checks, e.g. to find all failures
+// * undo/redo of all changes
 //
 // ## How to use
 // Run this script in the browser console of a wiki page with a specific table of defined color variables, e.g. on ...wiki.gg/wiki/MediaWiki:Common.css and add the styles of theme-color-editor.css. The variable table needs to have the following format
@@ -56,143 +58,277 @@
 //     </td>
 //   </tr>
 // </table>
+//
+// ## Use in scripts
+// If loaded in node the editor is not initialized and the DOM-free core is exported, e.g. const core = require('./theme-color-editor.js');
 // ***************************************************
 "use strict";
 
-const themeColorEditor = {
-    /**
-     * Contains info about the css variables edited by the user.
-     * Key is the variable name, value is the variableInfo.
-     */
-    variableInfo: undefined,
-    colorPicker: undefined,
+/**
+ * Core of the editor with the color, contrast, filter and theme model functions.
+ * It doesn't use the DOM and can also be used in node, e.g. const core = require('./theme-color-editor.js');
+ * The editor themeColorEditor inherits these functions.
+ */
+const themeColorEditorCore = {
+    //#region color parsing
     /**
-     * Clipboard-like variable used to copy/paste colors
+     * Parses a color from a string, accepts hex colors, named colors and the css color functions
+     * rgb(), rgba(), hsl(), hsla(), hwb(), lab(), lch(), oklab(), oklch() and color().
+     * Colors outside of the sRGB gamut are mapped into it.
+     * E.g. '#ff113a', 'rgb(24, 144, 0)', 'rgb(24 144 0 / 50%)', 'white', 'oklch(0.7 0.1 200)'.
+     * @param {string} colorRepresentation 
+     * @returns {number[] | null} color as number[], e.g. [24, 144, 0, 1] or null if invalid.
      */
-    holdVariable: undefined,
+    parseColor: function (colorRepresentation) {
+        const parsedColor = this.parseColorWithGamutInfo(colorRepresentation);
+        if (parsedColor) return parsedColor.rgb;
+        // unsupported color format, maybe dependent on other colors or vars
+        if (colorRepresentation)
+            console.warn(`couldn't parse color ${colorRepresentation}`);
+        return null;
+    },
+
     /**
-     * If true and a variable has an --rgb variant, it's included in the output
+     * Parses a color like parseColor() and also returns if the color was outside of the sRGB gamut.
+     * @param {string} colorRepresentation 
+     * @returns {object | null} object with the properties rgb (number[]) and outOfGamut (boolean) or null if invalid.
      */
-    exportIncludeRgbVariants: false,
+    parseColorWithGamutInfo: function (colorRepresentation) {
+        if (!colorRepresentation) return null;
+        const colorString = colorRepresentation.trim().toLowerCase();
+        if (colorString.startsWith('#')) {
+            const rgb = this.hexToRgb(colorString.substring(1), false);
+            return rgb ? { rgb: rgb, outOfGamut: false } : null;
+        }
+        const namedColorHex = this.namedColors[colorString];
+        if (namedColorHex)
+            return { rgb: this.hexToRgb(namedColorHex), outOfGamut: false };
+
+        const functionMatch = colorString.match(/^([a-z][-a-z0-9]*)\(\s*(.*?)\s*\)$/);
+        if (functionMatch) {
+            const args = this.parseColorFunctionArguments(functionMatch[2]);
+            if (!args) return null;
+            switch (functionMatch[1]) {
+                case 'rgb':
+                case 'rgba':
+                    return this.rgbArgumentsToColor(args);
+                case 'hsl':
+                case 'hsla':
+                    return this.hslArgumentsToColor(args);
+                case 'hwb':
+                    return this.hwbArgumentsToColor(args);
+                case 'lab':
+                case 'lch':
+                case 'oklab':
+                case 'oklch':
+                    return this.labArgumentsToColor(functionMatch[1], args);
+                case 'color':
+                    return this.colorFunctionArgumentsToColor(args);
+            }
+            return null;
+        }
+
+        // legacy format without function name, e.g. '39, 34, 102'
+        const rgb = this.rgbParenthesisToRgb(colorString, false);
+        return rgb ? { rgb: rgb, outOfGamut: false } : null;
+    },
+
     /**
-     * If true the explicit color adjustment options are also exported. Used to save work on a theme and import again in a later session.
+     * Parses an RGB color string in the format 'rgb(39, 34, 102)' or 'color(srgb 0.4, 1, 0.2)'.
+     * @param {string} rgbString 
+     * @param {boolean} logErrors (optional) whether to log errors.
+     * @returns {number[] | null} RGB values as an array, or null if parsing fails.
      */
-    exportIncludeExplicitOptions: false,
+    rgbParenthesisToRgb: function (rgbString, logErrors = true) {
+        // css color functions, e.g. rgb(39 34 102 / 50%) or color(srgb 0.4 1 0.2)
+        if (/^\s*(?:rgba?|color)\(/i.test(rgbString)) {
+            const parsedColor = this.parseColorWithGamutInfo(rgbString);
+            if (parsedColor) return parsedColor.rgb;
+        }
+        // lenient fallback, e.g. '39, 34, 102'
+        const rgbMatch = rgbString.match(/(?:rgba?\()?(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,]+([\d.]+))?\)?/);
+        if (rgbMatch) {
+            const rgb = rgbMatch.slice(1, 4).map(Number);
+            rgb.push(rgbMatch[4] === undefined ? 1 : Number(rgbMatch[4]));
+            return rgb;
+        }
+
+        if (logErrors)
+            console.warn(`couldn't parse color ${rgbString}`);
+        return null;
+    },
+
     /**
-     * References to preview popups where the styles are applied.
-     * Each entry is an object with property w: window, s: style element to adjust the styles
+     * Splits the arguments of a css color function, e.g. '10 20% 30 / 0.5' or '10, 20%, 30, 0.5'.
+     * @param {string} argumentString
+     * @returns {object | null} object with the properties channels (string[]) and alpha (string or undefined).
      */
-    previewPopups: undefined,
+    parseColorFunctionArguments: function (argumentString) {
+        const alphaSplit = argumentString.split('/');
+        if (alphaSplit.length > 2) return null;
+        const channels = alphaSplit[0].trim().split(/\s*,\s*|\s+/).filter((c) => c !== '');
+        let alpha = alphaSplit.length == 2 ? alphaSplit[1].trim() : undefined;
+        // legacy comma separated alpha, e.g. rgba(1, 2, 3, 0.5)
+        if (alpha === undefined && channels.length == 5 && !/^[a-z]/.test(channels[0]))
+            return null;
+        if (alpha === undefined && (channels.length == 4 || (channels.length == 5 && /^[a-z]/.test(channels[0]))) && argumentString.includes(','))
+            alpha = channels.pop();
+        return { channels: channels, alpha: alpha };
+    },
+
     /**
-     * collection of base css, key is name (e.g. view-light, view-dark, theme-my-theme-name)
-     * value is map of rules (key: var name, value: var value)
+     * Parses a number or percentage of a css color function.
+     * @param {string} token e.g. '0.5', '50%' or 'none'
+     * @param {number} percentReference value that corresponds to 100%.
+     * @returns {number} parsed value or NaN if invalid.
      */
-    baseCss: undefined,
+    parseCssNumber: function (token, percentReference = 1) {
+        if (token === undefined) return NaN;
+        if (token === 'none') return 0;
+        if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?%?$/.test(token)) return NaN;
+        if (token.endsWith('%'))
+            return parseFloat(token) / 100 * percentReference;
+        return parseFloat(token);
+    },
+
     /**
-     * Indicator if the current theme is based on dark view or light view.
-     * To also set the UI element accordingly use the function setThemeView(viewDark: boolean).
+     * Parses a hue angle of a css color function in degrees.
+     * @param {string} token e.g. '120', '120deg', '0.5turn', 'none'
+     * @returns {number} angle in degrees or NaN if invalid.
      */
-    themeBaseDark: false,
-    themeBaseSelector: undefined,
+    parseCssAngle: function (token) {
+        if (token === undefined) return NaN;
+        if (token === 'none') return 0;
+        const angleMatch = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/);
+        if (!angleMatch) return NaN;
+        const value = parseFloat(angleMatch[1]);
+        switch (angleMatch[2]) {
+            case 'rad': return value * 180 / Math.PI;
+            case 'grad': return value * 0.9;
+            case 'turn': return value * 360;
+            default: return value;
+        }
+    },
+
     /**
-     * container for textarea to import/export themes.
+     * Parses the alpha value of a css color function.
+     * @param {string} token
+     * @returns {number} alpha in the range [0,1] or NaN if invalid.
      */
-    inOutStyleSheetEl: undefined,
+    parseCssAlpha: function (token) {
+        if (token === undefined) return 1;
+        return Math.max(0, Math.min(1, this.parseCssNumber(token, 1)));
+    },
+
     /**
-     * textarea to import/export themes.
+     * @param {object} args arguments of rgb() or rgba()
      */
-    inOutTextarea: undefined,
+    rgbArgumentsToColor: function (args) {
+        if (args.channels.length != 3) return null;
+        const rgb = args.channels.map((c) => Math.round(Math.max(0, Math.min(255, this.parseCssNumber(c, 255)))));
+        const alpha = this.parseCssAlpha(args.alpha);
+        if (rgb.some(isNaN) || isNaN(alpha)) return null;
+        rgb.push(alpha);
+        return { rgb: rgb, outOfGamut: false };
+    },
 
     /**
-     * css rule for the applied page styles
+     * @param {object} args arguments of hsl() or hsla()
      */
-    pageRules: undefined,
-
-    initialize: function () {
-        // check if page should display the color editor
-        let initializeColorEditor = false;
-        for (let table of document.querySelectorAll('table')) {
-            if (table.rows.length < 2 || table.rows[0].length < 3) continue;
-            // the color table contains "Variable name" in first cell
-            if (table.rows[0].cells[0].textContent.trim() !== 'Variable name') continue;
-
-            const secondRowFirstCell = table.rows[1].cells[0];
-            if (secondRowFirstCell.innerText.match(/^--[-\w]+$/)) {
-                initializeColorEditor = true;
-                break;
-            }
-        }
-        if (!initializeColorEditor) return;
-
-        this.pageRules = this.addPreviewStyleElement(document);
-
-        // define variables
-        this.variableInfo = new Map()
-        this.previewPopups = [];
-        this.baseCss = new Map();
-
-        this.addToolbar();
-        this.colorPicker = new this.ColorPicker(document.body);
-        this.parseVariables();
-        this.parseBaseThemes();
-        this.addThemesToSelector();
-        this.initializeVariables();
+    hslArgumentsToColor: function (args) {
+        if (args.channels.length != 3) return null;
+        const h = this.parseCssAngle(args.channels[0]);
+        const s = Math.max(0, Math.min(100, this.parseCssNumber(args.channels[1], 100)));
+        const l = Math.max(0, Math.min(100, this.parseCssNumber(args.channels[2], 100)));
+        const alpha = this.parseCssAlpha(args.alpha);
+        if (isNaN(h) || isNaN(s) || isNaN(l) || isNaN(alpha)) return null;
+        return { rgb: this.hslToRgb([(h % 360 + 360) % 360, s, l], alpha), outOfGamut: false };
     },
 
     /**
-     * Creates a style element in the document head where the variable values are stored to be visible.
-     * @param {document} doc 
-     * @returns 
+     * @param {object} args arguments of hwb()
      */
-    addPreviewStyleElement: function (doc) {
-        //this.createElementAndAdd('style', null, doc.head, null, null, { type: 'text/css' });
-        const styleElement = doc.createElement('style');
-        styleElement.setAttribute('type', 'text/css');
-        styleElement.setAttribute('id', 'tcolor-editor-styles');
-        doc.head.appendChild(styleElement);
-        styleElement.sheet.insertRule(':root {}');
-        return styleElement.sheet.cssRules[0].style;
+    hwbArgumentsToColor: function (args) {
+        if (args.channels.length != 3) return null;
+        const h = this.parseCssAngle(args.channels[0]);
+        // whiteness and blackness are given as percentages or numbers in the range [0,100]
+        const w = Math.max(0, this.parseCssNumber(args.channels[1], 100)) / 100;
+        const b = Math.max(0, this.parseCssNumber(args.channels[2], 100)) / 100;
+        const alpha = this.parseCssAlpha(args.alpha);
+        if (isNaN(h) || isNaN(w) || isNaN(b) || isNaN(alpha)) return null;
+        if (w + b >= 1) {
+            const gray = Math.round(w / (w + b) * 255);
+            return { rgb: [gray, gray, gray, alpha], outOfGamut: false };
+        }
+        const pureHue = this.hslToRgb([(h % 360 + 360) % 360, 100, 50]);
+        return { rgb: [0, 1, 2].map((i) => Math.round(pureHue[i] * (1 - w - b) + w * 255)).concat(alpha), outOfGamut: false };
     },
 
-    //#region color parsing
     /**
-     * Parses a color from a string, accepts input like '#ff113a', 'rgb(24, 144, 0)', rgba(120, 20, 80, 0.5).
-     * @param {string} colorRepresentation 
-     * @returns {number[] | null} color as number[], e.g. [24, 144, 0] or null if invalid.
+     * @param {string} space lab, lch, oklab or oklch
+     * @param {object} args arguments of the color function
      */
-    parseColor: function (colorRepresentation) {
-        if (!colorRepresentation) return null;
-        if (colorRepresentation.startsWith('#'))
-            return this.hexToRgb(colorRepresentation.substring(1));
-        // try parsing other color formats
-        const colorRgb = this.rgbParenthesisToRgb(colorRepresentation);
-        if (colorRgb) return colorRgb;
-        // unsupported color format, maybe dependent on other colors or vars
-        console.warn(`couldn't parse color ${colorRepresentation}`);
-        return null;
+    labArgumentsToColor: function (space, args) {
+        if (args.channels.length != 3) return null;
+        const isOk = space.startsWith('ok');
+        const isPolar = space.endsWith('lch');
+        const l = this.parseCssNumber(args.channels[0], isOk ? 1 : 100);
+        let c1, c2;
+        if (isPolar) {
+            const chroma = Math.max(0, this.parseCssNumber(args.channels[1], isOk ? 0.4 : 150));
+            const hue = this.parseCssAngle(args.channels[2]) * Math.PI / 180;
+            c1 = chroma * Math.cos(hue);
+            c2 = chroma * Math.sin(hue);
+        } else {
+            c1 = this.parseCssNumber(args.channels[1], isOk ? 0.4 : 125);
+            c2 = this.parseCssNumber(args.channels[2], isOk ? 0.4 : 125);
+        }
+        const alpha = this.parseCssAlpha(args.alpha);
+        if (isNaN(l) || isNaN(c1) || isNaN(c2) || isNaN(alpha)) return null;
+
+        if (isOk)
+            return this.oklabToRgbWithGamutInfo([Math.max(0, Math.min(1, l)), c1, c2], alpha);
+        const xyzD50 = this.labToXyzD50([Math.max(0, Math.min(100, l)), c1, c2]);
+        return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(this.multiplyMatrix3(this.matrixD50ToD65, xyzD50)), alpha);
     },
 
     /**
-     * Parses an RGB color string in the format 'rgb(39, 34, 102)' or 'color(srgb 0.4, 1, 0.2)'.
-     * @param {string} rgbString 
-     * @returns {number[] | null} RGB values as an array, or null if parsing fails.
+     * @param {object} args arguments of color(), e.g. display-p3 1 0.5 0
      */
-    rgbParenthesisToRgb: function (rgbString) {
-        let rgbMatch = rgbString.match(/(?:rgba?\()?(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,]+([\d.]+))?\)?/);
-        if (rgbMatch) {
-            const rgb = rgbMatch.slice(1, 4).map(Number);
-            rgb.push(rgbMatch[4] === undefined ? 1 : Number(rgbMatch[4]));
-            return rgb;
-        }
-        // parse e.g. color(srgb 0.4 1 0.2)
-        rgbMatch = rgbString.match(/color\(srgb\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s+\/\s+([\d.]+))?\)?/);
-        if (rgbMatch) {
-            const rgb = rgbMatch.slice(1, 4).map(v => Math.round(parseFloat(v) * 255));
-            rgb.push(rgbMatch[4] === undefined ? 1 : Number(rgbMatch[4]));
-            return rgb;
+    colorFunctionArgumentsToColor: function (args) {
+        if (args.channels.length != 4) return null;
+        const space = args.channels[0];
+        const values = args.channels.slice(1).map((c) => this.parseCssNumber(c, 1));
+        const alpha = this.parseCssAlpha(args.alpha);
+        if (values.some(isNaN) || isNaN(alpha)) return null;
+
+        switch (space) {
+            case 'srgb':
+                return this.linearSrgbToRgbWithGamutInfo(values.map((v) => this.srgbChannelToLinear(v)), alpha);
+            case 'srgb-linear':
+                return this.linearSrgbToRgbWithGamutInfo(values, alpha);
+            case 'display-p3':
+                return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(this.multiplyMatrix3(this.matrixLinearP3ToXyz,
+                    values.map((v) => this.srgbChannelToLinear(v)))), alpha);
+            case 'a98-rgb':
+                return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(this.multiplyMatrix3(this.matrixLinearA98ToXyz,
+                    values.map((v) => Math.sign(v) * Math.pow(Math.abs(v), 563 / 256)))), alpha);
+            case 'prophoto-rgb':
+                return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(this.multiplyMatrix3(this.matrixD50ToD65,
+                    this.multiplyMatrix3(this.matrixLinearProphotoToXyzD50,
+                        values.map((v) => Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.pow(Math.abs(v), 1.8))))), alpha);
+            case 'rec2020': {
+                const a = 1.09929682680944;
+                const b = 0.018053968510807;
+                return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(this.multiplyMatrix3(this.matrixLinearRec2020ToXyz,
+                    values.map((v) => Math.abs(v) < b * 4.5 ? v / 4.5 : Math.sign(v) * Math.pow((Math.abs(v) + a - 1) / a, 1 / 0.45)))), alpha);
+            }
+            case 'xyz':
+            case 'xyz-d65':
+                return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(values), alpha);
+            case 'xyz-d50':
+                return this.linearSrgbToRgbWithGamutInfo(this.xyzToLinearSrgb(this.multiplyMatrix3(this.matrixD50ToD65, values)), alpha);
         }
-
-        console.warn(`couldn't parse color ${rgbString}`);
         return null;
     },
 
@@ -237,6 +373,47 @@ const themeColorEditor = {
         return (prependHash ? '#' : '') + rgb.slice(0, 3).reduce((result, color) => result + color.toString(16).padStart(2, '0'), '') + alphaPart;
     },
 
+    /**
+     * Notations that can be used for explicit colors in the output.
+     */
+    outputColorFormats: ['hex', 'rgb', 'hsl', 'oklch'],
+
+    /**
+     * Converts a color to a css color string in the given notation.
+     * The numbers are rounded to a precision that keeps the color unchanged in the 8 bit resolution.
+     * E.g. [1, 255, 8] with format 'hsl' => 'hsl(121.7 100% 50.2%)'
+     * @param {number[]} rgb 
+     * @param {string} format hex (default), rgb, hsl or oklch.
+     * @returns {string} css color string
+     */
+    rgbToColorString: function (rgb, format = 'hex') {
+        if (!rgb || rgb.length < 3) return null;
+        // Number() removes trailing zeros, String(-0) is '0'
+        const round = (n, decimals) => String(Number(n.toFixed(decimals)));
+        const alphaPart = rgb.length == 4 && rgb[3] < 1 ? ' / ' + round(rgb[3], 3) : '';
+        switch (format) {
+            case 'rgb':
+                return `rgb(${rgb[0]} ${rgb[1]} ${rgb[2]}${alphaPart})`;
+            case 'hsl': {
+                const [h, s, l] = this.rgbToHsl(rgb);
+                return `hsl(${round(h, 1)} ${round(s, 1)}% ${round(l, 1)}%${alphaPart})`;
+            }
+            case 'oklch': {
+                const [l, c, h] = this.rgbToOklch(rgb);
+                let colorString;
+                // dark colors can need a higher chroma precision
+                for (let chromaDecimals = 4; chromaDecimals <= 6; chromaDecimals++) {
+                    const chroma = round(c, chromaDecimals);
+                    colorString = `oklch(${round(l * 100, 2)}% ${chroma} ${chroma === '0' ? '0' : round(h, 2)}${alphaPart})`;
+                    const parsedColor = this.parseColorWithGamutInfo(colorString);
+                    if (parsedColor && this.rgbEqual(parsedColor.rgb.slice(0, 3), rgb.slice(0, 3))) break;
+                }
+                return colorString;
+            }
+        }
+        return this.rgbToHexString(rgb);
+    },
+
     /**
      * Converts an rgb array to a comma separated string, used for the --rgb variables. Ignores alpha.
      * @param {byte[]} rgb
@@ -270,6 +447,27 @@ const themeColorEditor = {
         return [f(0), f(8), f(4), alpha];
     },
 
+    /**
+     * Converts an rgb color to its hsl components without rounding.
+     * @param {number[]} rgb rgb channels, each in range 0-255.
+     * @returns {number[]} [hue [0,360), saturation [0,100], lightness [0,100]]
+     */
+    rgbToHsl: function ([r, g, b]) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const d = max - min;
+        let h = 0;
+        if (d > 0) {
+            if (max == r) h = (60 * (g - b) / d + 360) % 360;
+            else if (max == g) h = 60 * (b - r) / d + 120;
+            else h = 60 * (r - g) / d + 240;
+        }
+        return [h, d == 0 ? 0 : 100 * d / (1 - Math.abs(max + min - 1)), (max + min) * 50];
+    },
+
     /**
      * Converts an rgb color to its hsv and hsl components, the hue is the same and ommited for hsl.
      * @param {number[]} rgb rgb channels, each in range 0-255.
@@ -310,6 +508,24 @@ const themeColorEditor = {
         ];
     },
 
+    /**
+     * Color harmonies of a color. The hue is rotated in hsl, the tonal variants have a different lightness.
+     * @param {number[]} rgb
+     * @returns {object[]} harmonies { name, colors }, colors are rgb arrays with the alpha of the color
+     */
+    harmonyColors: function (rgb) {
+        const [h, s, l] = this.rgbToHsl(rgb);
+        const alpha = rgb[3] === undefined ? 1 : rgb[3];
+        const rotated = (degrees) => this.hslToRgb([(h + degrees + 360) % 360, s, l], alpha);
+        return [
+            { name: 'complementary', colors: [rotated(180)] },
+            { name: 'analogous', colors: [rotated(-30), rotated(30)] },
+            { name: 'triadic', colors: [rotated(120), rotated(240)] },
+            { name: 'split-complementary', colors: [rotated(150), rotated(210)] },
+            { name: 'tonal', colors: [15, 30, 45, 60, 75, 90].map((tone) => this.hslToRgb([h, s, tone], alpha)) }
+        ];
+    },
+
     /**
      * Mixes colors using specified relative fractions. If no fractions given, the colors are mixed with equal parts.
      * @param {number[][]} rgbColors 
@@ -433,118 +649,2468 @@ const themeColorEditor = {
             && rgb1[2] == rgb2[2]
             && rgb1[3] == rgb2[3];
     },
-    //#endregion
 
-    //#region theme functions
     /**
-     * parses the base variable values for set views and themes
+     * css named colors as hex strings without hash.
      */
-    parseBaseThemes: function () {
-        const stylesheets = [...document.styleSheets];
-
-        for (const sheet of stylesheets) {
-            try {
-                for (const rule of sheet.cssRules) {
-                    if (!rule.selectorText) continue;
-                    const selectors = rule.selectorText.split(',');
-
-                    selectors.forEach((s) => {
-                        let selectorName = s.trim();
-                        if (!selectorName
-                            || (selectorName !== ':root'
-                                && selectorName !== 'html'
-                                && selectorName !== '.view-light'
-                                && selectorName !== '.view-dark'
-                                && !selectorName.startsWith('.theme-'))
-                        ) return;
-
-                        if (selectorName === 'html')
-                            selectorName = 'root';
-                        else
-                            selectorName = selectorName.substring(1); // remove colon or dot
-
-                        if (!this.baseCss.has(selectorName))
-                            this.baseCss.set(selectorName, new Map());
-                        const ruleProperties = this.baseCss.get(selectorName);
+    namedColors: {
+        aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+        beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+        blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+        chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+        cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+        darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+        darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+        darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+        deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+        firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+        ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+        greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+        indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+        lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+        lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+        lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+        lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+        magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+        mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+        mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+        navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+        orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+        paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+        pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+        red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+        sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+        skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+        springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+        tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+        whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32', transparent: '00000000'
+    },
+    //#endregion
 
-                        const ruleCount = rule.style.length;
-                        for (let i = 0; i < ruleCount; i++) {
-                            const propName = rule.style[i];
-                            const propNameWithOutRgb = propName.endsWith('--rgb') ? propName.substring(0, propName.length - 5) : undefined;
-                            if (this.variableInfo.has(propName)
-                                || (propNameWithOutRgb && this.variableInfo.has(propNameWithOutRgb))) {
-                                ruleProperties.set(propName, rule.style.getPropertyValue(propName).trim());
-                            }
-                        }
-                    });
-                }
-            } catch (e) {
-                console.warn('cannot access stylesheet: ', e);
-            }
-        }
+    //#region color spaces
+    // conversion matrices, see https://www.w3.org/TR/css-color-4/#color-conversion-code
+    matrixLinearSrgbToXyz: [
+        [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+        [87098 / 409605, 175762 / 245763, 12673 / 175545],
+        [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+    ],
+    matrixXyzToLinearSrgb: [
+        [12831 / 3959, -329 / 214, -1974 / 3959],
+        [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+        [705 / 12673, -2585 / 12673, 705 / 667]
+    ],
+    matrixD50ToD65: [
+        [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+        [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+        [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+    ],
+    matrixLinearP3ToXyz: [
+        [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+        [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+        [0, 32229 / 714400, 5220557 / 5000800]
+    ],
+    matrixLinearA98ToXyz: [
+        [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+        [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+        [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+    ],
+    matrixLinearProphotoToXyzD50: [
+        [0.7977666449006423, 0.13518129740053308, 0.0313477341283922858],
+        [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+        [0, 0, 0.8251046025104602]
+    ],
+    matrixLinearRec2020ToXyz: [
+        [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+        [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+        [0, 19567812 / 697040785, 295819943 / 278816314]
+    ],
+    matrixLinearSrgbToLms: [
+        [0.4122214708, 0.5363325363, 0.0514459929],
+        [0.2119034982, 0.6806995451, 0.1073969566],
+        [0.0883024619, 0.2817188376, 0.6299787005]
+    ],
+    matrixLmsToOklab: [
+        [0.2104542553, 0.7936177850, -0.0040720468],
+        [1.9779984951, -2.4285922050, 0.4505937099],
+        [0.0259040371, 0.7827717662, -0.8086757660]
+    ],
+    matrixOklabToLms: [
+        [1, 0.3963377774, 0.2158037573],
+        [1, -0.1055613458, -0.0638541728],
+        [1, -0.0894841775, -1.2914855480]
+    ],
+    matrixLmsToLinearSrgb: [
+        [4.0767416621, -3.3077115913, 0.2309699292],
+        [-1.2684380046, 2.6097574011, -0.3413193965],
+        [-0.0041960863, -0.7034186147, 1.7076147010]
+    ],
 
-        // use view-light and view-dark as base, apply missing root variables
-        const rootStyles = this.baseCss.get('root');
-        const viewLight = this.baseCss.get('view-light');
-        const viewDark = this.baseCss.get('view-dark');
-        rootStyles.forEach((v, k) => {
-            if (viewLight && !viewLight.has(k)) {
-                viewLight.set(k, v);
-            }
-            if (viewDark && !viewDark.has(k)) {
-                viewDark.set(k, v);
-            }
-        });
+    /**
+     * Multiplies a 3x3 matrix with a vector of length 3.
+     * @param {number[][]} matrix
+     * @param {number[]} vector
+     * @returns {number[]}
+     */
+    multiplyMatrix3: function (matrix, vector) {
+        return matrix.map((row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
     },
 
     /**
-     * Adds an option entry to the select element for each theme.
+     * Converts a gamma encoded sRGB channel value [0,1] to its linear value.
      */
-    addThemesToSelector: function () {
-        this.baseCss.forEach((_, k) => {
-            const o = document.createElement('option');
-            o.value = o.innerHTML = k;
-            this.themeBaseSelector.appendChild(o);
-        });
+    srgbChannelToLinear: function (value) {
+        const absValue = Math.abs(value);
+        return absValue <= 0.04045 ? value / 12.92 : Math.sign(value) * Math.pow((absValue + 0.055) / 1.055, 2.4);
     },
 
     /**
-     * Sets all variables to the values of a preset theme.
-     * @param {string} themeName 
-     * @returns {boolean} whether the theme could be applied.
+     * Converts a linear sRGB channel value [0,1] to its gamma encoded value.
      */
-    applyTheme: function (themeName) {
-        //console.log(`applying variable values of theme or view: ${themeName}`);
+    linearChannelToSrgb: function (value) {
+        const absValue = Math.abs(value);
+        return absValue <= 0.0031308 ? value * 12.92 : Math.sign(value) * (1.055 * Math.pow(absValue, 1 / 2.4) - 0.055);
+    },
 
-        // first set light or dark base values
-        if (themeName != 'root' && themeName != 'view-light' && themeName != 'view-dark')
-            this.applyTheme(this.themeBaseDark ? 'view-dark' : 'view-light');
+    /**
+     * @param {number[]} xyz xyz coordinates with D65 white point.
+     * @returns {number[]} linear sRGB, can be outside of the range [0,1].
+     */
+    xyzToLinearSrgb: function (xyz) {
+        return this.multiplyMatrix3(this.matrixXyzToLinearSrgb, xyz);
+    },
 
-        if (!themeName) {
-            console.warn(`cannot apply styles, themeName was empty`);
-            return false;
-        }
-        const theme = this.baseCss.get(themeName);
-        if (!theme) {
-            console.warn(`no theme with name "${themeName}" found to apply.`);
-            return false;
-        }
-        const setAsBaseValues = themeName === 'root' || themeName === 'view-light' || themeName === 'view-dark';
-        theme.forEach((v, k) => {
-            const varInfo = this.variableInfo.get(k);
-            if (varInfo)
-                varInfo.setValue(v, setAsBaseValues);
-        });
+    /**
+     * @param {number[]} lab CIE lab coordinates, L in [0,100].
+     * @returns {number[]} xyz coordinates with D50 white point.
+     */
+    labToXyzD50: function ([l, a, b]) {
+        const kappa = 24389 / 27;
+        const epsilon = 216 / 24389;
+        const fy = (l + 16) / 116;
+        const fx = a / 500 + fy;
+        const fz = fy - b / 200;
+        const xyz = [
+            Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa,
+            l > kappa * epsilon ? Math.pow(fy, 3) : l / kappa,
+            Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa
+        ];
+        const whiteD50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+        return xyz.map((v, i) => v * whiteD50[i]);
+    },
 
-        this.setBackgroundImageExplicitly();
-        return true;
+    /**
+     * @param {number[]} linearRgb linear sRGB channels in [0,1].
+     * @returns {number[]} oklab coordinates [L, a, b], L in [0,1].
+     */
+    linearSrgbToOklab: function (linearRgb) {
+        return this.multiplyMatrix3(this.matrixLmsToOklab, this.multiplyMatrix3(this.matrixLinearSrgbToLms, linearRgb).map(Math.cbrt));
     },
 
     /**
-     * Applies the base values of a view, i.e. it does not change the set values, only the value a variable can be reset to. This has an effect on if a variable is saved or not, if it's equal to its base.
-     * @param {string} viewName view-light or view-dark
+     * @param {number[]} oklab oklab coordinates [L, a, b].
+     * @returns {number[]} linear sRGB channels, can be outside of the range [0,1].
      */
-    applyThemeAsBase: function (viewName) {
+    oklabToLinearSrgb: function (oklab) {
+        return this.multiplyMatrix3(this.matrixLmsToLinearSrgb, this.multiplyMatrix3(this.matrixOklabToLms, oklab).map((v) => v * v * v));
+    },
+
+    /**
+     * @param {number[]} rgb rgb channels, each in range 0-255.
+     * @returns {number[]} oklab coordinates [L, a, b].
+     */
+    rgbToOklab: function (rgb) {
+        return this.linearSrgbToOklab(rgb.slice(0, 3).map((v) => this.srgbChannelToLinear(v / 255)));
+    },
+
+    /**
+     * @param {number[]} rgb rgb channels, each in range 0-255.
+     * @returns {number[]} oklch coordinates [L, C, h], h in deg.
+     */
+    rgbToOklch: function (rgb) {
+        return this.oklabToOklch(this.rgbToOklab(rgb));
+    },
+
+    oklabToOklch: function ([l, a, b]) {
+        const c = Math.sqrt(a * a + b * b);
+        const h = c < 1e-6 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+        return [l, c, h];
+    },
+
+    oklchToOklab: function ([l, c, h]) {
+        return [l, c * Math.cos(h * Math.PI / 180), c * Math.sin(h * Math.PI / 180)];
+    },
+
+    /**
+     * Converts an oklch color to rgb, colors outside of the sRGB gamut are mapped into it.
+     * @param {number[]} oklch [L, C, h], h in deg.
+     * @param {number} alpha
+     * @returns {number[]} rgb
+     */
+    oklchToRgb: function (oklch, alpha = 1) {
+        return this.oklabToRgbWithGamutInfo(this.oklchToOklab(oklch), alpha).rgb;
+    },
+
+    /**
+     * Converts an oklab color to rgb, colors outside of the sRGB gamut are mapped into it.
+     * @param {number[]} oklab [L, a, b]
+     * @param {number} alpha
+     * @returns {object} object with the properties rgb and outOfGamut.
+     */
+    oklabToRgbWithGamutInfo: function (oklab, alpha = 1) {
+        const linearRgb = this.oklabToLinearSrgb(oklab);
+        if (this.isInSrgbGamut(linearRgb))
+            return { rgb: this.linearSrgbToRgb(linearRgb, alpha), outOfGamut: false };
+        return { rgb: this.linearSrgbToRgb(this.gamutMapOklch(this.oklabToOklch(oklab)), alpha), outOfGamut: true };
+    },
+
+    /**
+     * Converts a linear sRGB color to rgb, colors outside of the sRGB gamut are mapped into it.
+     * @param {number[]} linearRgb
+     * @param {number} alpha
+     * @returns {object} object with the properties rgb and outOfGamut.
+     */
+    linearSrgbToRgbWithGamutInfo: function (linearRgb, alpha = 1) {
+        if (this.isInSrgbGamut(linearRgb))
+            return { rgb: this.linearSrgbToRgb(linearRgb, alpha), outOfGamut: false };
+        return { rgb: this.linearSrgbToRgb(this.gamutMapOklch(this.oklabToOklch(this.linearSrgbToOklab(linearRgb))), alpha), outOfGamut: true };
+    },
+
+    /**
+     * @param {number[]} linearRgb linear sRGB channels, clipped to [0,1].
+     * @param {number} alpha
+     * @returns {number[]} rgb, channels in 0-255.
+     */
+    linearSrgbToRgb: function (linearRgb, alpha = 1) {
+        return linearRgb.map((v) => Math.round(Math.max(0, Math.min(1, this.linearChannelToSrgb(v))) * 255)).concat(alpha);
+    },
+
+    /**
+     * Returns true if the linear sRGB color is inside the sRGB gamut.
+     * Deviations smaller than the 8 bit resolution of the channels are tolerated.
+     * @param {number[]} linearRgb
+     */
+    isInSrgbGamut: function (linearRgb) {
+        const tolerance = 0.5 / 255;
+        return linearRgb.every((v) => {
+            const encoded = this.linearChannelToSrgb(v);
+            return encoded >= -tolerance && encoded <= 1 + tolerance;
+        });
+    },
+
+    /**
+     * Difference of two oklab colors.
+     */
+    deltaEOK: function (oklab1, oklab2) {
+        return Math.sqrt(Math.pow(oklab1[0] - oklab2[0], 2) + Math.pow(oklab1[1] - oklab2[1], 2) + Math.pow(oklab1[2] - oklab2[2], 2));
+    },
+
+    /**
+     * @param {number[]} rgb rgb channels, each in range 0-255.
+     * @returns {number[]} CIELAB coordinates [L, a, b] with the D65 white point.
+     */
+    rgbToLab: function (rgb) {
+        const xyz = this.multiplyMatrix3(this.matrixLinearSrgbToXyz, rgb.slice(0, 3).map((v) => this.srgbChannelToLinear(v / 255)));
+        const white = [0.95047, 1, 1.08883];
+        const f = xyz.map((v, i) => {
+            const t = v / white[i];
+            return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        });
+        return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+    },
+
+    /**
+     * Difference CIEDE2000 of two CIELAB colors.
+     * @param {number[]} lab1 
+     * @param {number[]} lab2 
+     * @returns {number}
+     */
+    deltaE2000: function (lab1, lab2) {
+        const toRad = Math.PI / 180;
+        const c1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]);
+        const c2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]);
+        const cMean7 = Math.pow((c1 + c2) / 2, 7);
+        const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+        const a1 = lab1[1] * (1 + g);
+        const a2 = lab2[1] * (1 + g);
+        const c1p = Math.sqrt(a1 * a1 + lab1[2] * lab1[2]);
+        const c2p = Math.sqrt(a2 * a2 + lab2[2] * lab2[2]);
+        const hue = (a, b) => a == 0 && b == 0 ? 0 : (Math.atan2(b, a) / toRad + 360) % 360;
+        const h1p = hue(a1, lab1[2]);
+        const h2p = hue(a2, lab2[2]);
+
+        const deltaL = lab2[0] - lab1[0];
+        const deltaC = c2p - c1p;
+        let deltaH = 0;
+        if (c1p * c2p != 0) {
+            deltaH = h2p - h1p;
+            if (deltaH > 180) deltaH -= 360;
+            else if (deltaH < -180) deltaH += 360;
+        }
+        const deltaHLarge = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltaH / 2 * toRad);
+
+        const lMean = (lab1[0] + lab2[0]) / 2;
+        const cpMean = (c1p + c2p) / 2;
+        let hMean = h1p + h2p;
+        if (c1p * c2p != 0) {
+            if (Math.abs(h1p - h2p) <= 180) hMean /= 2;
+            else hMean = hMean < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+        }
+        const t = 1 - 0.17 * Math.cos((hMean - 30) * toRad) + 0.24 * Math.cos(2 * hMean * toRad)
+            + 0.32 * Math.cos((3 * hMean + 6) * toRad) - 0.2 * Math.cos((4 * hMean - 63) * toRad);
+        const deltaTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+        const cpMean7 = Math.pow(cpMean, 7);
+        const rc = 2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7)));
+        const sl = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+        const sc = 1 + 0.045 * cpMean;
+        const sh = 1 + 0.015 * cpMean * t;
+        const rt = -Math.sin(2 * deltaTheta * toRad) * rc;
+        return Math.sqrt(Math.pow(deltaL / sl, 2) + Math.pow(deltaC / sc, 2) + Math.pow(deltaHLarge / sh, 2)
+            + rt * (deltaC / sc) * (deltaHLarge / sh));
+    },
+
+    /**
+     * Maps an oklch color into the sRGB gamut by reducing its chroma, see https://www.w3.org/TR/css-color-4/#binsearch
+     * @param {number[]} oklch [L, C, h]
+     * @returns {number[]} linear sRGB inside of the gamut.
+     */
+    gamutMapOklch: function ([l, c, h]) {
+        if (l >= 1) return [1, 1, 1];
+        if (l <= 0) return [0, 0, 0];
+        const clip = (linearRgb) => linearRgb.map((v) => Math.max(0, Math.min(1, v)));
+        const toLinear = (chroma) => this.oklabToLinearSrgb(this.oklchToOklab([l, chroma, h]));
+        const justNoticeableDifference = 0.02;
+        const epsilon = 0.0001;
+
+        let current = toLinear(c);
+        if (this.isInSrgbGamut(current)) return current;
+        let clipped = clip(current);
+        if (this.deltaEOK(this.linearSrgbToOklab(clipped), this.linearSrgbToOklab(current)) < justNoticeableDifference)
+            return clipped;
+
+        let min = 0;
+        let max = c;
+        let minInGamut = true;
+        while (max - min > epsilon) {
+            const chroma = (min + max) / 2;
+            current = toLinear(chroma);
+            if (minInGamut && this.isInSrgbGamut(current)) {
+                min = chroma;
+                continue;
+            }
+            clipped = clip(current);
+            const e = this.deltaEOK(this.linearSrgbToOklab(clipped), this.linearSrgbToOklab(current));
+            if (e < justNoticeableDifference) {
+                if (justNoticeableDifference - e < epsilon) return clipped;
+                minInGamut = false;
+                min = chroma;
+            }
+            else max = chroma;
+        }
+        return clip(current);
+    },
+    //#endregion
+
+    //#region color vision deficiency
+    /**
+     * Types of color vision deficiency that can be simulated.
+     */
+    colorVisionDeficiencies: ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'],
+
+    /**
+     * Matrices in linear sRGB simulating the color vision deficiencies.
+     * Protanopia, deuteranopia and tritanopia after Machado et al. 2009 with severity 1, achromatopsia uses the luminance.
+     */
+    colorVisionDeficiencyMatrices: {
+        protanopia: [
+            [0.152286, 1.052583, -0.204868],
+            [0.114503, 0.786281, 0.099216],
+            [-0.003882, -0.048116, 1.051998]],
+        deuteranopia: [
+            [0.367322, 0.860646, -0.227968],
+            [0.280085, 0.672501, 0.047413],
+            [-0.011820, 0.042940, 0.968881]],
+        tritanopia: [
+            [1.255528, -0.076749, -0.178779],
+            [-0.078411, 0.930809, 0.147602],
+            [0.004733, 0.691367, 0.303900]],
+        achromatopsia: [
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722]]
+    },
+
+    /**
+     * Min difference (deltaE OK) of two colors to be clearly distinguishable.
+     */
+    minDistinguishableDeltaE: 0.05,
+
+    /**
+     * Returns the color as it's seen with a color vision deficiency.
+     * @param {number[]} rgb 
+     * @param {string} deficiency one of colorVisionDeficiencies
+     * @returns {number[]} simulated rgb, the color itself if the deficiency is unknown.
+     */
+    simulateColorVisionDeficiency: function (rgb, deficiency) {
+        const matrix = this.colorVisionDeficiencyMatrices[deficiency];
+        if (!matrix || !rgb) return rgb;
+        const linearRgb = rgb.slice(0, 3).map((v) => this.srgbChannelToLinear(v / 255));
+        return this.linearSrgbToRgb(this.multiplyMatrix3(matrix, linearRgb), rgb[3] === undefined ? 1 : rgb[3]);
+    },
+
+    /**
+     * Returns the values of an svg feColorMatrix element (in linearRGB) that simulates a color vision deficiency.
+     * @param {string} deficiency one of colorVisionDeficiencies
+     * @returns {string | null}
+     */
+    colorVisionDeficiencyFilterValues: function (deficiency) {
+        const matrix = this.colorVisionDeficiencyMatrices[deficiency];
+        if (!matrix) return null;
+        return matrix.map((row) => row.join(' ') + ' 0 0').concat(['0 0 0 1 0']).join(' ');
+    },
+
+    /**
+     * Returns true if two colors are clearly distinguishable, i.e. their deltaE OK is at least minDistinguishableDeltaE.
+     * @param {number[]} rgb1 
+     * @param {number[]} rgb2 
+     * @returns {boolean}
+     */
+    colorsDistinguishable: function (rgb1, rgb2) {
+        return this.deltaEOK(this.rgbToOklab(rgb1), this.rgbToOklab(rgb2)) >= this.minDistinguishableDeltaE;
+    },
+    //#endregion
+
+    //#region color expressions
+    /**
+     * Color spaces that can be used in color-mix().
+     */
+    colorMixSpaces: ['srgb', 'srgb-linear', 'hsl', 'oklab', 'oklch'],
+
+    /**
+     * Channel keywords of the color functions that support the relative color syntax, e.g. rgb(from var(--a) r g b / 50%).
+     */
+    relativeColorChannels: {
+        rgb: ['r', 'g', 'b'],
+        rgba: ['r', 'g', 'b'],
+        hsl: ['h', 's', 'l'],
+        hsla: ['h', 's', 'l'],
+        hwb: ['h', 'w', 'b'],
+        oklab: ['l', 'a', 'b'],
+        oklch: ['l', 'c', 'h']
+    },
+
+    /**
+     * Evaluates a css color expression without using the DOM.
+     * Supported are colors, var() with fallbacks, color-mix() and the relative color syntax,
+     * e.g. 'var(--a, #fff)', 'color-mix(in oklch, var(--a) 30%, white)' or 'rgb(from var(--a) r g b / 50%)'.
+     * @param {string} expression 
+     * @param {function} resolveVariable (optional) function that returns the rgb color of a variable name or null if it's unknown.
+     * If not given, resolveVariableRgb() is used.
+     * @returns {number[] | null} rgb or null if the expression couldn't be evaluated.
+     */
+    evaluateColorExpression: function (expression, resolveVariable = undefined) {
+        if (!expression) return null;
+        if (!resolveVariable)
+            resolveVariable = (varName) => this.resolveVariableRgb(varName);
+        return this.evaluateColorTerm(expression.trim(), resolveVariable);
+    },
+
+    /**
+     * Default variable resolver of evaluateColorExpression(), the core doesn't know any variables.
+     * The editor returns the current colors of the edited variables.
+     * @param {string} varName 
+     * @returns {number[] | null} rgb
+     */
+    resolveVariableRgb: function (varName) {
+        return null;
+    },
+
+    /**
+     * Evaluates a single color term, e.g. a color, var(), color-mix() or a relative color.
+     * @param {string} term 
+     * @param {function} resolveVariable 
+     * @returns {number[] | null} rgb
+     */
+    evaluateColorTerm: function (term, resolveVariable) {
+        const functionCall = this.parseFunctionCall(term);
+        if (functionCall) {
+            switch (functionCall.name) {
+                case 'var':
+                    return this.evaluateVar(functionCall.args, resolveVariable);
+                case 'color-mix':
+                    return this.evaluateColorMix(functionCall.args, resolveVariable);
+            }
+            if (/^from\s/i.test(functionCall.args))
+                return this.evaluateRelativeColor(functionCall.name, functionCall.args.substring(5), resolveVariable);
+            // variables as channel values are not supported
+            if (functionCall.args.includes('var(')) return null;
+        }
+        const parsedColor = this.parseColorWithGamutInfo(term);
+        return parsedColor ? parsedColor.rgb : null;
+    },
+
+    /**
+     * Splits a term that consists of exactly one function call, e.g. 'var(--a, red)' => { name: 'var', args: '--a, red' }
+     * @param {string} term 
+     * @returns {object | null} object with the properties name and args, or null if the term is not a single function call.
+     */
+    parseFunctionCall: function (term) {
+        const nameMatch = term.match(/^([a-zA-Z][-\w]*)\(/);
+        if (!nameMatch) return null;
+        const closingIndex = this.closingParenthesisIndex(term, nameMatch[0].length - 1);
+        if (closingIndex != term.length - 1) return null;
+        return { name: nameMatch[1].toLowerCase(), args: term.substring(nameMatch[0].length, closingIndex).trim() };
+    },
+
+    /**
+     * @param {string} text 
+     * @param {number} openingIndex index of the opening parenthesis.
+     * @returns {number} index of the matching closing parenthesis or -1.
+     */
+    closingParenthesisIndex: function (text, openingIndex) {
+        let depth = 0;
+        for (let i = openingIndex; i < text.length; i++) {
+            if (text[i] == '(') depth++;
+            else if (text[i] == ')' && --depth == 0) return i;
+        }
+        return -1;
+    },
+
+    /**
+     * Splits a text at the separators that are not inside of parentheses.
+     * @param {string} text 
+     * @param {string} separator a char, e.g. ',' or '/'. A space splits at any whitespace and omits empty parts.
+     * @returns {string[]} trimmed parts
+     */
+    splitTopLevel: function (text, separator) {
+        const parts = [];
+        let depth = 0;
+        let partStart = 0;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (c == '(') depth++;
+            else if (c == ')') depth--;
+            else if (depth == 0 && (separator == ' ' ? /\s/.test(c) : c == separator)) {
+                parts.push(text.substring(partStart, i).trim());
+                partStart = i + 1;
+            }
+        }
+        parts.push(text.substring(partStart).trim());
+        return separator == ' ' ? parts.filter((p) => p !== '') : parts;
+    },
+
+    /**
+     * @param {string} args arguments of var(), e.g. '--a' or '--a, color-mix(in srgb, red, blue)'
+     * @param {function} resolveVariable 
+     */
+    evaluateVar: function (args, resolveVariable) {
+        const commaIndex = args.indexOf(',');
+        const rgb = resolveVariable((commaIndex < 0 ? args : args.substring(0, commaIndex)).trim());
+        if (rgb) return [...rgb];
+        return commaIndex < 0 ? null : this.evaluateColorTerm(args.substring(commaIndex + 1).trim(), resolveVariable);
+    },
+
+    /**
+     * @param {string} args arguments of color-mix(), e.g. 'in oklch longer hue, var(--a) 30%, white'
+     * @param {function} resolveVariable 
+     */
+    evaluateColorMix: function (args, resolveVariable) {
+        const parts = this.splitTopLevel(args, ',');
+        if (parts.length != 3) return null;
+        const spaceMatch = parts[0].toLowerCase().match(/^in\s+([-a-z]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/);
+        if (!spaceMatch || !this.colorMixSpaces.includes(spaceMatch[1])) return null;
+
+        const colors = [];
+        const percentages = [];
+        for (const part of parts.slice(1)) {
+            const tokens = this.splitTopLevel(part, ' ');
+            // the percentage can be given before or after the color
+            const percentageIndex = tokens.findIndex((t) => /^(?:\d*\.)?\d+%$/.test(t));
+            percentages.push(percentageIndex >= 0 ? parseFloat(tokens.splice(percentageIndex, 1)[0]) : undefined);
+            if (tokens.length != 1) return null;
+            const rgb = this.evaluateColorTerm(tokens[0], resolveVariable);
+            if (!rgb) return null;
+            colors.push(rgb);
+        }
+        return this.mixColorsInSpace(colors[0], colors[1], percentages[0], percentages[1], spaceMatch[1], spaceMatch[2]);
+    },
+
+    /**
+     * Mixes two colors like the css function color-mix().
+     * @param {number[]} rgb1 
+     * @param {number[]} rgb2 
+     * @param {number} percentage1 (optional) percentage of the first color.
+     * @param {number} percentage2 (optional) percentage of the second color.
+     * @param {string} space srgb, srgb-linear, hsl, oklab or oklch.
+     * @param {string} hueInterpolation (optional) shorter (default), longer, increasing or decreasing.
+     * @returns {number[] | null} rgb or null if the percentages are invalid.
+     */
+    mixColorsInSpace: function (rgb1, rgb2, percentage1, percentage2, space, hueInterpolation = 'shorter') {
+        if (percentage1 === undefined && percentage2 === undefined) {
+            percentage1 = 50;
+            percentage2 = 50;
+        }
+        else if (percentage1 === undefined) percentage1 = 100 - percentage2;
+        else if (percentage2 === undefined) percentage2 = 100 - percentage1;
+        if (!(percentage1 >= 0 && percentage1 <= 100 && percentage2 >= 0 && percentage2 <= 100)) return null;
+        const percentageSum = percentage1 + percentage2;
+        if (percentageSum == 0) return null;
+        // a sum below 100% makes the result transparent
+        const alphaMultiplier = Math.min(1, percentageSum / 100);
+        const t = percentage2 / percentageSum;
+
+        const coords1 = this.rgbToColorSpace(rgb1, space);
+        const coords2 = this.rgbToColorSpace(rgb2, space);
+        const hueIndex = space == 'hsl' ? 0 : space == 'oklch' ? 2 : -1;
+        if (hueIndex >= 0) {
+            // a powerless hue (e.g. of gray) takes the hue of the other color
+            if (isNaN(coords1[hueIndex])) coords1[hueIndex] = isNaN(coords2[hueIndex]) ? 0 : coords2[hueIndex];
+            if (isNaN(coords2[hueIndex])) coords2[hueIndex] = coords1[hueIndex];
+            const hueDifference = coords2[hueIndex] - coords1[hueIndex];
+            switch (hueInterpolation) {
+                case 'longer':
+                    if (hueDifference > 0 && hueDifference < 180) coords1[hueIndex] += 360;
+                    else if (hueDifference > -180 && hueDifference <= 0) coords2[hueIndex] += 360;
+                    break;
+                case 'increasing':
+                    if (hueDifference < 0) coords2[hueIndex] += 360;
+                    break;
+                case 'decreasing':
+                    if (hueDifference > 0) coords1[hueIndex] += 360;
+                    break;
+                default:
+                    if (hueDifference > 180) coords1[hueIndex] += 360;
+                    else if (hueDifference < -180) coords2[hueIndex] += 360;
+            }
+        }
+
+        // interpolate with premultiplied alpha
+        const alpha1 = rgb1[3] === undefined ? 1 : rgb1[3];
+        const alpha2 = rgb2[3] === undefined ? 1 : rgb2[3];
+        const alpha = alpha1 * (1 - t) + alpha2 * t;
+        const mixedCoords = coords1.map((c, i) => {
+            if (i == hueIndex) return c * (1 - t) + coords2[i] * t;
+            return alpha == 0 ? 0 : (c * alpha1 * (1 - t) + coords2[i] * alpha2 * t) / alpha;
+        });
+        return this.colorSpaceToRgb(mixedCoords, space, alpha * alphaMultiplier);
+    },
+
+    /**
+     * Converts an rgb color to the coordinates of a color space used for color mixing.
+     * @param {number[]} rgb 
+     * @param {string} space srgb, srgb-linear, hsl, oklab or oklch.
+     * @returns {number[]} coordinates, a powerless hue is NaN.
+     */
+    rgbToColorSpace: function (rgb, space) {
+        switch (space) {
+            case 'srgb':
+                return rgb.slice(0, 3).map((v) => v / 255);
+            case 'srgb-linear':
+                return rgb.slice(0, 3).map((v) => this.srgbChannelToLinear(v / 255));
+            case 'hsl': {
+                const hsl = this.rgbToHsl(rgb);
+                if (hsl[1] == 0) hsl[0] = NaN;
+                return hsl;
+            }
+            case 'oklab':
+                return this.rgbToOklab(rgb);
+            case 'oklch': {
+                const oklch = this.rgbToOklch(rgb);
+                if (oklch[1] < 0.00001) oklch[2] = NaN;
+                return oklch;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Converts the coordinates of a color space created by rgbToColorSpace() to rgb, colors outside of the sRGB gamut are mapped into it.
+     * @param {number[]} coords 
+     * @param {string} space srgb, srgb-linear, hsl, oklab or oklch.
+     * @param {number} alpha 
+     * @returns {number[]} rgb
+     */
+    colorSpaceToRgb: function (coords, space, alpha = 1) {
+        switch (space) {
+            case 'srgb':
+                return this.linearSrgbToRgb(coords.map((v) => this.srgbChannelToLinear(v)), alpha);
+            case 'srgb-linear':
+                return this.linearSrgbToRgb(coords, alpha);
+            case 'hsl':
+                return this.hslToRgb([(coords[0] % 360 + 360) % 360, coords[1], coords[2]], alpha);
+            case 'oklab':
+                return this.oklabToRgbWithGamutInfo(coords, alpha).rgb;
+            case 'oklch':
+                return this.oklchToRgb(coords, alpha);
+        }
+        return null;
+    },
+
+    /**
+     * Evaluates a color in the relative color syntax, e.g. rgb(from var(--a) r g b / 50%) or oklch(from red calc(l * 0.8) c h).
+     * @param {string} functionName e.g. rgb, hsl, hwb, oklab or oklch
+     * @param {string} args arguments after the keyword from, e.g. 'var(--a) r g b / 50%'
+     * @param {function} resolveVariable 
+     * @returns {number[] | null} rgb
+     */
+    evaluateRelativeColor: function (functionName, args, resolveVariable) {
+        const channelNames = this.relativeColorChannels[functionName];
+        if (!channelNames) return null;
+        const alphaSplit = this.splitTopLevel(args, '/');
+        if (alphaSplit.length > 2) return null;
+        const tokens = this.splitTopLevel(alphaSplit[0], ' ');
+        if (tokens.length != 4) return null;
+        const originRgb = this.evaluateColorTerm(tokens[0], resolveVariable);
+        if (!originRgb) return null;
+
+        // channel keywords with the values of the origin color
+        const keywords = { alpha: originRgb[3] === undefined ? 1 : originRgb[3] };
+        let originChannels;
+        switch (functionName) {
+            case 'rgb':
+            case 'rgba':
+                originChannels = originRgb.slice(0, 3);
+                break;
+            case 'hwb': {
+                const rgb = originRgb.slice(0, 3).map((v) => v / 255);
+                originChannels = [this.rgbToHsl(originRgb)[0], Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+                break;
+            }
+            default:
+                // powerless hues are 0 in the relative color syntax
+                originChannels = this.rgbToColorSpace(originRgb, functionName == 'hsla' ? 'hsl' : functionName).map((v) => isNaN(v) ? 0 : v);
+        }
+        channelNames.forEach((name, i) => { keywords[name] = originChannels[i]; });
+
+        const resolveToken = (token) => {
+            const keywordValue = keywords[token.toLowerCase()];
+            if (keywordValue !== undefined) return String(keywordValue);
+            if (/^calc\(/i.test(token)) {
+                const value = this.evaluateCalc(token.substring(5, token.length - 1), keywords);
+                return isNaN(value) ? null : String(value);
+            }
+            return token;
+        };
+        const channels = tokens.slice(1).map(resolveToken);
+        const alpha = alphaSplit.length == 2 ? resolveToken(alphaSplit[1]) : String(keywords.alpha);
+        if (channels.includes(null) || alpha === null) return null;
+        const parsedColor = this.parseColorWithGamutInfo(`${functionName}(${channels.join(' ')} / ${alpha})`);
+        return parsedColor ? parsedColor.rgb : null;
+    },
+
+    /**
+     * Evaluates a simple arithmetic expression of calc() with numbers and keywords, e.g. 'l * 0.8 + 0.1'.
+     * @param {string} expression content of calc()
+     * @param {object} keywords values of keywords, e.g. { l: 0.5 }
+     * @returns {number} result or NaN if the expression is invalid.
+     */
+    evaluateCalc: function (expression, keywords = {}) {
+        const tokens = expression.match(/(?:\d*\.)?\d+(?:e[+-]?\d+)?%?|[a-zA-Z-]+|[-+*/()]/g);
+        if (!tokens || tokens.join('').length != expression.replace(/\s/g, '').length) return NaN;
+        let position = 0;
+        const parseSum = () => {
+            let value = parseProduct();
+            while (tokens[position] == '+' || tokens[position] == '-')
+                value = tokens[position++] == '+' ? value + parseProduct() : value - parseProduct();
+            return value;
+        };
+        const parseProduct = () => {
+            let value = parseFactor();
+            while (tokens[position] == '*' || tokens[position] == '/')
+                value = tokens[position++] == '*' ? value * parseFactor() : value / parseFactor();
+            return value;
+        };
+        const parseFactor = () => {
+            const token = tokens[position++];
+            if (token === undefined) return NaN;
+            if (token == '-') return -parseFactor();
+            if (token == '+') return parseFactor();
+            // nested parentheses or calc()
+            if (token.toLowerCase() == 'calc' && tokens[position] == '(') position++;
+            else if (token != '(') {
+                const keywordValue = keywords[token.toLowerCase()];
+                if (keywordValue !== undefined) return keywordValue;
+                return /^[\d.]/.test(token) && !token.endsWith('%') ? parseFloat(token) : NaN;
+            }
+            const value = parseSum();
+            return tokens[position++] == ')' ? value : NaN;
+        };
+        const value = parseSum();
+        return position == tokens.length ? value : NaN;
+    },
+    //#endregion
+
+    //#region theme model
+    /**
+     * Returns the css selector of the theme used in the export.
+     * @param {string} themeName if not given, the current theme name is used.
+     * @param {string} form if not given, the current selector form is used.
+     * @param {boolean} baseDark base view used for the form view. If not given, the current base view is used.
+     * @returns {string} e.g. .theme-my-theme
+     */
+    themeSelector: function (themeName = undefined, form = undefined, baseDark = undefined) {
+        if (!themeName) themeName = this.themeName || 'myThemeName';
+        if (!form) form = this.themeSelectorForm;
+        if (baseDark === undefined) baseDark = this.themeBaseDark;
+        switch (form) {
+            case 'root': return `:root.theme-${themeName}`;
+            case 'view': return `.${baseDark ? 'view-dark' : 'view-light'}.theme-${themeName}`;
+            default: return `.theme-${themeName}`;
+        }
+    },
+
+    /**
+     * Reads the theme name and selector form of the first theme selector in a css text, e.g. ':root.theme-my-theme {'.
+     * @param {string} cssText
+     * @returns {object | null} object with the properties themeName and form or null if no theme selector was found.
+     */
+    parseThemeSelector: function (cssText) {
+        const selectorMatch = cssText.match(/([^{};/]*)\.theme-([-\w]+)([^{};/]*)\{/);
+        if (!selectorMatch) return null;
+        const selector = selectorMatch[1] + selectorMatch[3];
+        let form = 'class';
+        if (selector.includes(':root') || selector.includes('html'))
+            form = 'root';
+        else if (selector.includes('.view-light') || selector.includes('.view-dark'))
+            form = 'view';
+        return { themeName: selectorMatch[2], form: form };
+    },
+
+    /**
+     * Returns the name of a selector used for the base css, e.g. ':root' => 'root', '.theme-my-theme' => 'theme-my-theme'.
+     * @param {string} selector a single selector
+     * @returns {string | null} name or null if the selector doesn't define a view or theme.
+     */
+    baseCssSelectorName: function (selector) {
+        selector = selector.trim();
+        if (selector === ':root' || selector === 'html') return 'root';
+        if (selector === '.view-light' || selector === '.view-dark' || /^\.theme-[-\w]+$/.test(selector))
+            return selector.substring(1);
+        return null;
+    },
+
+    /**
+     * Parses the variable definitions of the views and themes in a css text, e.g. the content of MediaWiki:Common.css.
+     * @param {string} cssText 
+     * @returns {Map} key: name of the view or theme (root, view-light, view-dark, theme-my-theme), value: Map of variable name to value.
+     */
+    parseCssVariableBlocks: function (cssText) {
+        const blocks = new Map();
+        if (!cssText) return blocks;
+        cssText = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+        Array.from(cssText.matchAll(/([^{}]+)\{([^{}]*)\}/g)).forEach((ruleMatch) => {
+            const names = ruleMatch[1].split(',').map((selector) => this.baseCssSelectorName(selector)).filter((name) => name);
+            if (names.length == 0) return;
+            const definitions = Array.from(ruleMatch[2].matchAll(/(--[-\w]+)\s*:\s*([^;]+)/g));
+            names.forEach((name) => {
+                if (!blocks.has(name))
+                    blocks.set(name, new Map());
+                const variables = blocks.get(name);
+                definitions.forEach((d) => variables.set(d[1], d[2].trim()));
+            });
+        });
+        return blocks;
+    },
+
+    /**
+     * Returns the variable definitions of a view with an optional theme applied on top, the root definitions are used as fallback.
+     * @param {Map} cssBlocks created by parseCssVariableBlocks()
+     * @param {boolean} baseDark if true view-dark is used, else view-light.
+     * @param {string} themeName (optional) name of the theme without the prefix theme-
+     * @returns {Map} variable name to value
+     */
+    themeVariableDefinitions: function (cssBlocks, baseDark = false, themeName = undefined) {
+        const definitions = new Map();
+        [cssBlocks.get('root'), cssBlocks.get(baseDark ? 'view-dark' : 'view-light'), themeName ? cssBlocks.get('theme-' + themeName) : null]
+            .forEach((block) => {
+                if (block) block.forEach((value, varName) => definitions.set(varName, value));
+            });
+        return definitions;
+    },
+
+    /**
+     * Calculates the colors of variable definitions, indirect definitions are evaluated recursively.
+     * @param {Map} definitions variable name to css value, e.g. created by themeVariableDefinitions().
+     * @returns {Map} variable name to rgb, variables that couldn't be evaluated (e.g. no colors or circular definitions) are omitted.
+     */
+    resolveThemeColors: function (definitions) {
+        const colors = new Map();
+        const resolving = new Set();
+        const resolve = (varName) => {
+            if (colors.has(varName)) return colors.get(varName);
+            if (!definitions.has(varName) || resolving.has(varName)) return null;
+            resolving.add(varName);
+            const rgb = this.evaluateColorExpression(definitions.get(varName), resolve);
+            resolving.delete(varName);
+            if (rgb) colors.set(varName, rgb);
+            return rgb;
+        };
+        definitions.forEach((_, varName) => resolve(varName));
+        return colors;
+    },
+
+    /**
+     * Parses the variable table of an html text without the DOM, the same table that parseVariables() reads in the browser.
+     * @param {string} html 
+     * @param {Map} backdrops if given, the backdrops declared with a data-backdrop attribute on the variable name cell are added (key: variable name, value: backdrop variable name).
+     * @param {string} level conformance level of the needed contrasts derived from the contrast types, AA or AAA
+     * @returns {Map} key: variable name, value: array of the contrast requirements of this variable as objects { variableName, contrastType, minContrast, minLc }.
+     */
+    parseVariableTableHtml: function (html, backdrops = null, level = this.conformanceLevel) {
+        const variables = new Map();
+        const cellText = (cellHtml) => cellHtml.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+        Array.from(html.matchAll(/<table[^>]*>([\s\S]*?)<\/table>/gi)).forEach((tableMatch) => {
+            const rows = Array.from(tableMatch[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)).map((rowMatch) => rowMatch[1]);
+            if (rows.length < 2) return;
+            const headerCells = Array.from(rows[0].matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)).map((m) => cellText(m[1]));
+            // the color table contains "Variable name" in first cell
+            if (headerCells.length < 3 || headerCells[0] !== 'Variable name') return;
+            const notesColumnIndex = headerCells.indexOf('Notes');
+
+            rows.slice(1).forEach((row) => {
+                let rowVariableName;
+                Array.from(row.matchAll(/<td([^>]*)>([\s\S]*?)<\/td>/gi)).forEach((cellMatch, columnIndex) => {
+                    const text = cellText(cellMatch[2]);
+                    if (!rowVariableName) {
+                        if (/^--[\w-]+$/.test(text)) {
+                            rowVariableName = text;
+                            variables.set(rowVariableName, []);
+                            const backdropMatch = cellMatch[1].match(/data-backdrop\s*=\s*["']?(--[\w-]+)/i);
+                            if (backdrops && backdropMatch) backdrops.set(rowVariableName, backdropMatch[1]);
+                        }
+                        return;
+                    }
+                    // cell with contrast variable names (and nothing else)
+                    if (columnIndex == notesColumnIndex || !/^\s*(?:--[\w-]+\s*)+$/.test(text)) return;
+                    const contrastVariables = variables.get(rowVariableName);
+                    Array.from(cellMatch[2].matchAll(/<span([^>]*)>([\s\S]*?)<\/span>/gi)).forEach((spanMatch) => {
+                        const nameMatch = cellText(spanMatch[2]).match(/--[\w-]+/);
+                        if (!nameMatch || contrastVariables.some((cv) => cv.variableName == nameMatch[0])) return;
+                        const minContrastMatch = spanMatch[1].match(/data-min-contrast\s*=\s*["']?([\d.]+)/i);
+                        const minLcMatch = spanMatch[1].match(/data-min-lc\s*=\s*["']?([\d.]+)/i);
+                        const contrastTypeMatch = spanMatch[1].match(/data-contrast-type\s*=\s*["']?([\w-]+)/i);
+                        const contrastType = this.validContrastType(contrastTypeMatch ? contrastTypeMatch[1] : undefined, nameMatch[0]);
+                        const needed = this.neededContrastOfType(contrastType, level);
+                        contrastVariables.push({
+                            variableName: nameMatch[0],
+                            contrastType: contrastType,
+                            minContrast: minContrastMatch ? Number(minContrastMatch[1]) : needed.minContrast,
+                            minLc: minLcMatch ? Number(minLcMatch[1]) : needed.minLc
+                        });
+                    });
+                });
+            });
+        });
+        return variables;
+    },
+
+    /**
+     * Arranges the variables of indirect definitions in layers, each variable is in a layer after the variables it references.
+     * The variables in a layer are ordered by the positions of their references to reduce crossing edges.
+     * @param {Map} dependencies key: variable name, value: names of the variables it references
+     * @returns {string[][]} layers of variable names, the first layer contains the variables without references
+     */
+    layoutDependencyGraph: function (dependencies) {
+        const names = new Set();
+        dependencies.forEach((references, name) => {
+            names.add(name);
+            references.forEach((r) => names.add(r));
+        });
+
+        const layerOf = new Map();
+        const visiting = new Set();
+        const layer = (name) => {
+            if (layerOf.has(name)) return layerOf.get(name);
+            if (visiting.has(name)) return -1; // circular definition
+            visiting.add(name);
+            const l = (dependencies.get(name) || []).reduce((max, r) => Math.max(max, layer(r) + 1), 0);
+            visiting.delete(name);
+            layerOf.set(name, l);
+            return l;
+        };
+        names.forEach((name) => layer(name));
+
+        const layers = [];
+        names.forEach((name) => {
+            const l = layerOf.get(name);
+            if (!layers[l]) layers[l] = [];
+            layers[l].push(name);
+        });
+        if (layers.length == 0) return layers;
+
+        const position = new Map();
+        layers[0].sort().forEach((name, i) => position.set(name, i));
+        for (let l = 1; l < layers.length; l++) {
+            const meanPosition = (name) => {
+                const placed = (dependencies.get(name) || []).filter((r) => position.has(r));
+                return placed.length > 0 ? placed.reduce((sum, r) => sum + position.get(r), 0) / placed.length : 0;
+            };
+            const means = new Map(layers[l].map((name) => [name, meanPosition(name)]));
+            layers[l].sort((a, b) => means.get(a) - means.get(b) || a.localeCompare(b)).forEach((name, i) => position.set(name, i));
+        }
+        return layers;
+    },
+
+    /**
+     * Returns all variables that a variable references directly or indirectly (upstream) or that reference it (downstream).
+     * @param {Map} dependencies key: variable name, value: names of the variables it references
+     * @param {string} name 
+     * @param {boolean} upstream if true the referenced variables are returned, else the referencing ones
+     * @returns {Set} variable names without the given one
+     */
+    dependencyChain: function (dependencies, name, upstream) {
+        const next = new Map();
+        dependencies.forEach((references, n) => {
+            references.forEach((r) => {
+                const from = upstream ? n : r;
+                const to = upstream ? r : n;
+                if (!next.has(from)) next.set(from, []);
+                next.get(from).push(to);
+            });
+        });
+        const chain = new Set();
+        const queue = [name];
+        while (queue.length > 0) {
+            (next.get(queue.shift()) || []).forEach((n) => {
+                if (n === name || chain.has(n)) return;
+                chain.add(n);
+                queue.push(n);
+            });
+        }
+        return chain;
+    },
+
+    /**
+     * @param {string} definition indirect definition, e.g. color-mix(in srgb, var(--a), var(--b))
+     * @returns {string[]} names of the variables referenced with var()
+     */
+    referencedVariables: function (definition) {
+        if (!definition) return [];
+        return Array.from(definition.matchAll(/var\(\s*(--[-\w]+)\s*[,)]/g)).map((m) => m[1]);
+    },
+
+    /**
+     * Finds the cycle a variable would close if it referenced the given variables.
+     * @param {Map} dependencies references of the other variables, key: variable name, value: names of the variables it references
+     * @param {string} name 
+     * @param {string[]} references variables name would reference
+     * @returns {string[] | null} the cycle as variable names starting and ending with name, e.g. [--a, --b, --a], or null if there's no cycle
+     */
+    findDependencyCycle: function (dependencies, name, references) {
+        const visited = new Set();
+        const pathTo = (current) => {
+            if (current === name) return [name];
+            if (visited.has(current)) return null;
+            visited.add(current);
+            for (const reference of dependencies.get(current) || []) {
+                const path = pathTo(reference);
+                if (path) return [current].concat(path);
+            }
+            return null;
+        };
+        for (const reference of references) {
+            const path = pathTo(reference);
+            if (path) return [name].concat(path);
+        }
+        return null;
+    },
+
+    /**
+     * @param {Map} dependencies key: variable name, value: names of the variables it references
+     * @returns {string[][]} all cycles, each once, see findDependencyCycle()
+     */
+    findDependencyCycles: function (dependencies) {
+        const cycles = [];
+        const found = new Set();
+        dependencies.forEach((references, name) => {
+            const otherDependencies = new Map(dependencies);
+            otherDependencies.delete(name);
+            const cycle = this.findDependencyCycle(otherDependencies, name, references);
+            if (!cycle) return;
+            const key = cycle.slice(1).sort().join(' ');
+            if (found.has(key)) return;
+            found.add(key);
+            cycles.push(cycle);
+        });
+        return cycles;
+    },
+    //#endregion
+
+    //#region contrast functions
+    /**
+     * Min contrast if a contrast variable has no data-min-contrast attribute (value for normal text in WCAG 2.0).
+     */
+    defaultMinContrast: 4.5,
+
+    /**
+     * Types of contrast requirements, set with the attribute data-contrast-type of a contrast variable.
+     * The needed contrasts of the conformance levels are from WCAG 2 (1.4.3, 1.4.6 and 1.4.11), the Lc values from the APCA use cases.
+     */
+    contrastTypes: {
+        'normal-text': { label: 'normal text', minContrast: { AA: 4.5, AAA: 7 }, minLc: { AA: 60, AAA: 75 } },
+        'large-text': { label: 'large text', minContrast: { AA: 3, AAA: 4.5 }, minLc: { AA: 45, AAA: 60 } },
+        'non-text': { label: 'non-text UI component', minContrast: { AA: 3, AAA: 3 }, minLc: { AA: 30, AAA: 45 } },
+        'decorative': { label: 'decorative', minContrast: { AA: 1, AAA: 1 }, minLc: { AA: 0, AAA: 0 } }
+    },
+
+    /**
+     * Contrast type of contrast variables without data-contrast-type attribute.
+     */
+    defaultContrastType: 'normal-text',
+
+    conformanceLevels: ['AA', 'AAA'],
+
+    /**
+     * WCAG conformance level of the needed contrasts derived from the contrast types.
+     */
+    conformanceLevel: 'AA',
+
+    /**
+     * Min APCA lightness contrast (absolute Lc value) if a contrast variable has no data-min-lc attribute (minimum for content text).
+     */
+    defaultMinLc: 60,
+
+    /**
+     * Available contrast models, wcag2: contrast ratio of the relative luminances, apca: lightness contrast Lc (APCA 0.0.98G).
+     */
+    contrastModels: ['wcag2', 'apca'],
+
+    /**
+     * @param {string} contrastType value of a data-contrast-type attribute, can be undefined
+     * @param {string} variableName contrast variable for the warning of an unknown type
+     * @returns {string} the contrast type or the default type if it's not given or unknown
+     */
+    validContrastType: function (contrastType, variableName) {
+        if (contrastType === undefined) return this.defaultContrastType;
+        if (this.contrastTypes[contrastType]) return contrastType;
+        console.warn(`unknown contrast type "${contrastType}" of ${variableName}, known types are ${Object.keys(this.contrastTypes).join(', ')}`);
+        return this.defaultContrastType;
+    },
+
+    /**
+     * @param {string} contrastType key of contrastTypes
+     * @param {string} level AA or AAA
+     * @returns {object} the needed contrasts { minContrast, minLc } of the type
+     */
+    neededContrastOfType: function (contrastType, level = this.conformanceLevel) {
+        const type = this.contrastTypes[contrastType] || this.contrastTypes[this.defaultContrastType];
+        return { minContrast: type.minContrast[level], minLc: type.minLc[level] };
+    },
+
+    /**
+     * Contrast model used for the contrast checks and fixes.
+     */
+    contrastModel: 'wcag2',
+    /**
+     * Contrast added to the needed contrast when colors are calculated, so the rounded colors still have enough contrast.
+     */
+    contrastMargins: { wcag2: 0.02, apca: 0.5 },
+
+    /**
+     * Returns approximated color with set relative luminance while keeping preserve hue and saturation.
+     * It's an iterativ process using that the dependence of the relative luminance on the lightness is monotonically non-decreasing
+     * @param rgb 
+     * @param relativeLuminanceTarget 
+     * @param {number} maxDifference
+     * @param {string} model contrast model of the luminance, see contrastLuminance()
+     */
+    setRelativeLuminance: function (rgb, relativeLuminanceTarget, maxDifference = 0.005, model = 'wcag2') {
+        let loopCounter = 0;
+        let adjustedColor;
+        let diff;
+
+        let minLightness = 0;
+        let maxLightness = 100;
+        const hsvsl = this.rgbToHsvSl(rgb);
+        const hsl = [hsvsl[0], hsvsl[3], hsvsl[4]];
+        while (loopCounter < 20) {
+            loopCounter++;
+            const lightness = (minLightness + maxLightness) / 2;
+            adjustedColor = this.hslToRgb([hsl[0], hsl[1], lightness], rgb[3]);
+            diff = relativeLuminanceTarget - this.contrastLuminance(adjustedColor, model);
+            if (Math.abs(diff) < maxDifference) {
+                break;
+            }
+            if (diff > 0)
+                minLightness = lightness;
+            else
+                maxLightness = lightness;
+        }
+        return adjustedColor;
+    },
+
+    /**
+     * Change lightness of color.
+     * @param color 
+     * @param lightnessFactor >1 makes it brighter, <1 darker
+     */
+    adjustLightness: function (color, lightnessFactor) {
+        if (lightnessFactor == 1) return color;
+        lightnessFactor = Math.max(0, lightnessFactor);
+        const rgb = color.slice(0, 3).map(v => {
+            return Math.min(255, Math.round(v * lightnessFactor));
+        });
+        return [...rgb, rgb[3]];
+    },
+
+    /**
+     * Calculates the relative luminance in the range [0,1].
+     * @param {number[]} rgb 
+     * @returns 
+     */
+    relativeLuminance: function (rgb) {
+        const sRgb = [rgb[0] / 255, rgb[1] / 255, rgb[2] / 255];
+        const rRgb = [
+            sRgb[0] < 0.03928 ? sRgb[0] / 12.92 : Math.pow((sRgb[0] + 0.055) / 1.055, 2.4),
+            sRgb[1] < 0.03928 ? sRgb[1] / 12.92 : Math.pow((sRgb[1] + 0.055) / 1.055, 2.4),
+            sRgb[2] < 0.03928 ? sRgb[2] / 12.92 : Math.pow((sRgb[2] + 0.055) / 1.055, 2.4)
+        ];
+        return 0.2126 * rRgb[0] + 0.7152 * rRgb[1] + 0.0722 * rRgb[2];
+    },
+
+    /**
+     * Calculates the contrast between two colors using the relative luminance. Only approximation if alpha is < 1.
+     * @param {number[]} rgb1 
+     * @param {number[]} rgb2 
+     * @returns 
+     */
+    colorContrast: function (rgb1, rgb2) {
+        if (!rgb1 || !rgb2) return undefined;
+        const relLum1 = this.relativeLuminance(rgb1);
+        const relLum2 = this.relativeLuminance(rgb2);
+        if (rgb1[3] == 1 && rgb2[3] == 1)
+            return this.luminanceContrast(relLum1, relLum2);
+        // approximation of effect of alpha on the contrast
+        // the exact effect of the alpha depends on the context where the colors are used
+        return this.luminanceContrast(relLum1 * rgb1[3] + relLum2 * (1 - rgb1[3]), relLum2 * rgb2[3] + relLum1 * (1 - rgb2[3]));
+    },
+
+    luminanceContrast: function (relLum1, relLum2) {
+        if (relLum1 > relLum2) return (relLum1 + 0.05) / (relLum2 + 0.05);
+        return (relLum2 + 0.05) / (relLum1 + 0.05);
+    },
+
+    /**
+     * Returns the lower max and the upper min needed luminance to get a specified contrast to a given relative luminance
+     * i.e. the luminance may not be in the returned range to yield the desired contrast.
+     * @param {number} relativeLuminance
+     * @param {number} neededContrast
+     */
+    neededLuminanceForContrast: function (relativeLuminance, neededContrast) {
+        if (neededContrast < 1) return [relativeLuminance, relativeLuminance];
+        return [(relativeLuminance + 0.05) / neededContrast - 0.05, neededContrast * (relativeLuminance + 0.05) - 0.05];
+    },
+
+    /**
+     * Luminance a contrast model is based on, the relative luminance for wcag2 and the screen luminance for apca.
+     * @param {number[]} rgb 
+     * @param {string} model 
+     * @returns {number}
+     */
+    contrastLuminance: function (rgb, model = this.contrastModel) {
+        return model === 'apca' ? this.apcaScreenLuminance(rgb) : this.relativeLuminance(rgb);
+    },
+
+    /**
+     * Calculates the screen luminance Y of APCA in the range [0,1] (simple 2.4 gamma, without the sRGB linear part).
+     * @param {number[]} rgb 
+     * @returns {number}
+     */
+    apcaScreenLuminance: function (rgb) {
+        return 0.2126729 * Math.pow(rgb[0] / 255, 2.4)
+            + 0.7151522 * Math.pow(rgb[1] / 255, 2.4)
+            + 0.0721750 * Math.pow(rgb[2] / 255, 2.4);
+    },
+
+    /**
+     * Calculates the APCA lightness contrast Lc of a text color on a background color. Only approximation if alpha is < 1.
+     * Lc is positive for dark text on light background and negative for light text on dark background.
+     * @param {number[]} textRgb 
+     * @param {number[]} backgroundRgb 
+     * @returns {number} Lc in the range of about [-108, 106]
+     */
+    apcaContrast: function (textRgb, backgroundRgb) {
+        if (!textRgb || !backgroundRgb) return undefined;
+        const textY = this.apcaScreenLuminance(textRgb);
+        const backgroundY = this.apcaScreenLuminance(backgroundRgb);
+        if (textRgb[3] == 1 && backgroundRgb[3] == 1)
+            return this.apcaLuminanceContrast(textY, backgroundY);
+        // same approximation of the alpha as in colorContrast()
+        return this.apcaLuminanceContrast(textY * textRgb[3] + backgroundY * (1 - textRgb[3]), backgroundY * backgroundRgb[3] + textY * (1 - backgroundRgb[3]));
+    },
+
+    /**
+     * Calculates the APCA lightness contrast Lc of the screen luminances of a text and a background.
+     * @param {number} textY 
+     * @param {number} backgroundY 
+     * @returns {number}
+     */
+    apcaLuminanceContrast: function (textY, backgroundY) {
+        // soft clamp of very dark colors
+        const blackThreshold = 0.022;
+        if (textY < blackThreshold) textY += Math.pow(blackThreshold - textY, 1.414);
+        if (backgroundY < blackThreshold) backgroundY += Math.pow(blackThreshold - backgroundY, 1.414);
+        if (Math.abs(backgroundY - textY) < 0.0005) return 0;
+
+        if (backgroundY > textY) {
+            // dark text on light background
+            const sapc = (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+            return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+        }
+        // light text on dark background
+        const sapc = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+        return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+    },
+
+    /**
+     * Returns the lower max and the upper min needed screen luminance to get a specified APCA contrast |Lc| to a given screen luminance,
+     * like neededLuminanceForContrast(). Values outside of [0,1] mean that the contrast can't be reached on that side.
+     * @param {number} luminance screen luminance of the given color
+     * @param {number} neededLc absolute value of the needed Lc
+     * @param {boolean} luminanceIsBackground true if the given color is the background, false if it's the text
+     */
+    neededLuminanceForLc: function (luminance, neededLc, luminanceIsBackground = true) {
+        if (!(neededLc > 0)) return [luminance, luminance];
+        const lcOfOther = (y) => Math.abs(luminanceIsBackground ? this.apcaLuminanceContrast(y, luminance) : this.apcaLuminanceContrast(luminance, y));
+        // |Lc| is monotone on both sides of the given luminance, find the limits by bisection
+        const findLimit = (from, to) => {
+            if (lcOfOther(from) < neededLc) return from < luminance ? -1 : 2;
+            for (let i = 0; i < 20; i++) {
+                const middle = (from + to) / 2;
+                if (lcOfOther(middle) >= neededLc) from = middle;
+                else to = middle;
+            }
+            return from;
+        };
+        return [findLimit(0, luminance), findLimit(1, luminance)];
+    },
+
+    /**
+     * Color of the canvas below all backdrops, used if the last backdrop of a chain is not opaque.
+     */
+    canvasRgb: [255, 255, 255, 1],
+
+    /**
+     * Composites a color over a backdrop color in sRGB (source-over).
+     * @param {number[]} rgb 
+     * @param {number[]} backdropRgb 
+     * @returns {number[]} composited color
+     */
+    compositeColors: function (rgb, backdropRgb) {
+        const alpha = rgb[3] === undefined ? 1 : rgb[3];
+        if (alpha >= 1 || !backdropRgb) return [rgb[0], rgb[1], rgb[2], 1];
+        const backdropAlpha = (backdropRgb[3] === undefined ? 1 : backdropRgb[3]) * (1 - alpha);
+        const resultAlpha = alpha + backdropAlpha;
+        if (resultAlpha == 0) return [0, 0, 0, 0];
+        return [0, 1, 2].map((i) => (rgb[i] * alpha + backdropRgb[i] * backdropAlpha) / resultAlpha).concat([resultAlpha]);
+    },
+
+    /**
+     * Composites a color over a stack of backdrops, the result is opaque.
+     * @param {number[]} rgb 
+     * @param {number[][]} backdropRgbs backdrop colors from the nearest to the farthest, the canvas is added below them.
+     * @returns {number[]} opaque composited color
+     */
+    compositeOverBackdrops: function (rgb, backdropRgbs) {
+        // composite the backdrops from the bottom to the top
+        const backdrop = backdropRgbs.reduceRight((bottom, top) => top ? this.compositeColors(top, bottom) : bottom, this.canvasRgb);
+        return this.compositeColors(rgb, backdrop);
+    },
+
+    /**
+     * Infers the backdrop variable of a variable from the naming of the wiki variables,
+     * e.g. --wiki-content-border-color is on --wiki-content-background-color, which is on --wiki-body-background-color.
+     * @param {string} varName 
+     * @param {function(string): boolean} hasVariable returns if a variable exists
+     * @returns {string | null} name of the backdrop variable
+     */
+    inferBackdropVariable: function (varName, hasVariable) {
+        const areaMatch = varName.match(/^--wiki-([a-z]+)-/);
+        const candidates = [];
+        if (areaMatch) candidates.push(`--wiki-${areaMatch[1]}-background-color`);
+        candidates.push('--wiki-body-background-color');
+        const backdrop = candidates.find((c) => c !== varName && hasVariable(c));
+        return backdrop ? backdrop : null;
+    },
+
+    /**
+     * Returns the names of the backdrop variables below a variable, from the nearest to the farthest.
+     * @param {string} varName 
+     * @param {Map} declaredBackdrops key: variable name, value: name of the declared backdrop variable. Other variables use inferBackdropVariable().
+     * @param {function(string): boolean} hasVariable returns if a variable exists
+     * @returns {string[]}
+     */
+    backdropChain: function (varName, declaredBackdrops, hasVariable) {
+        const chain = [];
+        let current = varName;
+        while (true) {
+            const backdrop = declaredBackdrops && declaredBackdrops.has(current)
+                ? declaredBackdrops.get(current)
+                : this.inferBackdropVariable(current, hasVariable);
+            if (!backdrop || backdrop === varName || chain.includes(backdrop) || !hasVariable(backdrop)) break;
+            chain.push(backdrop);
+            current = backdrop;
+        }
+        return chain;
+    },
+
+    /**
+     * Finds small lightness changes (OKLab L) of the adjustable variables so all contrast constraints are satisfied together.
+     * Each violated constraint is fixed with the move that changes the colors least (foreground, background or both),
+     * this is repeated until all constraints are satisfied or the moves don't converge.
+     * Finally each changed variable is moved back toward its original lightness as far as the constraints still hold.
+     * A foreground or background that is derived from other variables is moved by its adjustable sources.
+     * @param {Map} colors key: variable name, value: rgb of all variables
+     * @param {object[]} constraints contrast requirements as objects { foreground, background, minContrast, minLc }
+     * @param {object} options
+     * * adjustable: names of the variables that may be changed
+     * * model: contrast model, default is contrastModel
+     * * backdrops: declared backdrops, see backdropChain()
+     * * resolveColors: function(Map): function(string): number[], returns the resolver of all colors for the given colors, e.g. to update indirectly defined colors. By default the given colors are used.
+     * * dependencies: function(string): string[], returns the variables a derived variable is calculated from. By default no variable is derived.
+     * @returns {object} { colors: Map of the changed variables with their new rgb, unsatisfied: constraints that couldn't be satisfied }
+     */
+    solveContrastConstraints: function (colors, constraints, options = {}) {
+        const model = options.model || this.contrastModel;
+        const resolveColors = options.resolveColors || ((colorMap) => (name) => colorMap.get(name));
+        const dependencies = options.dependencies || (() => []);
+        const contrastOptions = { model: model, backdrops: options.backdrops, hasVariable: (name) => colors.has(name) };
+        const margin = this.contrastMargins[model];
+
+        // lightness of the adjustable variables, hue and chroma are kept
+        const variables = new Map();
+        (options.adjustable || []).forEach((name) => {
+            const rgb = colors.get(name);
+            if (!rgb) return;
+            const oklch = this.rgbToOklch(rgb);
+            variables.set(name, { originalLightness: oklch[0], lightness: oklch[0], chroma: oklch[1], hue: oklch[2], alpha: rgb[3] === undefined ? 1 : rgb[3] });
+        });
+        const colorOfVariable = (name, lightness) => {
+            const v = variables.get(name);
+            return lightness === v.originalLightness ? colors.get(name) : this.oklchToRgb([lightness, v.chroma, v.hue], v.alpha);
+        };
+        const resolverFor = (lightnessChanges) => {
+            const colorMap = new Map(colors);
+            variables.forEach((v, name) => {
+                const lightness = lightnessChanges.has(name) ? lightnessChanges.get(name) : v.lightness;
+                colorMap.set(name, colorOfVariable(name, lightness));
+            });
+            return resolveColors(colorMap);
+        };
+        const satisfied = (constraint, resolve, withMargin = false) =>
+            this.constraintSatisfied(constraint, resolve, contrastOptions, withMargin ? margin : 0);
+
+        // adjustable variables a color follows, the variable itself or the nearest adjustable variables it's derived from
+        const sourcesCache = new Map();
+        const adjustableSources = (name) => {
+            if (sourcesCache.has(name)) return sourcesCache.get(name);
+            const sources = [];
+            const visited = new Set();
+            const collect = (varName) => {
+                if (visited.has(varName)) return;
+                visited.add(varName);
+                if (variables.has(varName)) sources.push(varName);
+                else (dependencies(varName) || []).forEach(collect);
+            };
+            collect(name);
+            sourcesCache.set(name, sources);
+            return sources;
+        };
+
+        /**
+         * Finds the smallest step s in [0,1] where the constraint is satisfied if the variables are moved by direction * s.
+         * @param {object[]} moves [name, direction]
+         * @returns {number | null}
+         */
+        const smallestStep = (constraint, moves) => {
+            const lightnessAt = (step) => new Map(moves.map(([name, direction]) =>
+                [name, Math.max(0, Math.min(1, variables.get(name).lightness + direction * step))]));
+            const satisfiedAt = (step) => satisfied(constraint, resolverFor(lightnessAt(step)), true);
+            // scan first, the contrast isn't monotone if the lightness of the colors cross
+            const scanSteps = 20;
+            let previous = 0;
+            let found = null;
+            for (let i = 1; i <= scanSteps; i++) {
+                if (satisfiedAt(i / scanSteps)) {
+                    found = i / scanSteps;
+                    break;
+                }
+                previous = i / scanSteps;
+            }
+            if (found === null) return null;
+            for (let i = 0; i < 12; i++) {
+                const middle = (previous + found) / 2;
+                if (satisfiedAt(middle)) found = middle;
+                else previous = middle;
+            }
+            return lightnessAt(found);
+        };
+
+        const maxPasses = 20;
+        for (let pass = 0; pass < maxPasses; pass++) {
+            let changed = false;
+            constraints.forEach((constraint) => {
+                const resolve = resolverFor(new Map());
+                if (satisfied(constraint, resolve)) return;
+                const foregroundSources = adjustableSources(constraint.foreground);
+                const backgroundSources = adjustableSources(constraint.background).filter((name) => !foregroundSources.includes(name));
+                if (foregroundSources.length == 0 && backgroundSources.length == 0) return;
+
+                // moves apart from each other, or of one color in both directions
+                const foregroundRgb = resolve(constraint.foreground);
+                const backgroundRgb = resolve(constraint.background);
+                if (!foregroundRgb || !backgroundRgb) return;
+                const apart = this.rgbToOklab(foregroundRgb)[0] <= this.rgbToOklab(backgroundRgb)[0] ? -1 : 1;
+                const candidates = [];
+                foregroundSources.forEach((name) => candidates.push([[name, apart]], [[name, -apart]]));
+                backgroundSources.forEach((name) => candidates.push([[name, -apart]], [[name, apart]]));
+                if (foregroundSources.length > 0 && backgroundSources.length > 0)
+                    candidates.push(foregroundSources.map((name) => [name, apart]).concat(backgroundSources.map((name) => [name, -apart])));
+
+                let best = null;
+                let bestCost = Infinity;
+                candidates.forEach((moves) => {
+                    const lightnessChanges = smallestStep(constraint, moves);
+                    if (!lightnessChanges) return;
+                    let cost = 0;
+                    lightnessChanges.forEach((lightness, name) => {
+                        const v = variables.get(name);
+                        cost += Math.pow(lightness - v.originalLightness, 2) - Math.pow(v.lightness - v.originalLightness, 2);
+                    });
+                    // avoid moves that break other constraints, the lightness cost is at most 1 per variable
+                    const movedResolve = resolverFor(lightnessChanges);
+                    constraints.forEach((other) => {
+                        if (other === constraint || ![other.foreground, other.background].some((name) =>
+                            adjustableSources(name).some((source) => lightnessChanges.has(source)))) return;
+                        if (satisfied(other, resolve) && !satisfied(other, movedResolve)) cost += 2;
+                    });
+                    if (cost < bestCost) {
+                        bestCost = cost;
+                        best = lightnessChanges;
+                    }
+                });
+                if (!best) return;
+                best.forEach((lightness, name) => { variables.get(name).lightness = lightness; });
+                changed = true;
+            });
+            if (!changed) break;
+        }
+
+        // later moves can make earlier ones larger than needed, the variables are moved back toward their original lightness
+        // as far as the satisfied constraints still hold (with the margin if they had it)
+        const movedResolve = resolverFor(new Map());
+        const holding = constraints.filter((constraint) => satisfied(constraint, movedResolve));
+        const holdingWithMargin = new Set(holding.filter((constraint) => satisfied(constraint, movedResolve, true)));
+        const allHold = (lightnessChanges) => {
+            const resolve = resolverFor(lightnessChanges);
+            return holding.every((constraint) => satisfied(constraint, resolve, holdingWithMargin.has(constraint)));
+        };
+        for (let pass = 0; pass < 2; pass++) {
+            variables.forEach((v, name) => {
+                if (v.lightness === v.originalLightness) return;
+                const lightnessAt = (fraction) => new Map([[name, v.originalLightness + (v.lightness - v.originalLightness) * fraction]]);
+                if (allHold(new Map([[name, v.originalLightness]]))) {
+                    v.lightness = v.originalLightness;
+                    return;
+                }
+                let low = 0;
+                let high = 1;
+                for (let i = 0; i < 12; i++) {
+                    const middle = (low + high) / 2;
+                    if (allHold(lightnessAt(middle))) high = middle;
+                    else low = middle;
+                }
+                if (high < 1) v.lightness = lightnessAt(high).get(name);
+            });
+        }
+
+        const result = { colors: new Map(), unsatisfied: [] };
+        variables.forEach((v, name) => {
+            if (v.lightness !== v.originalLightness)
+                result.colors.set(name, colorOfVariable(name, v.lightness));
+        });
+        const resolve = resolverFor(new Map());
+        result.unsatisfied = constraints.filter((constraint) => !satisfied(constraint, resolve));
+        return result;
+    },
+
+    /**
+     * Returns the colors of a contrast constraint as they are seen, the background composited over its backdrops and the foreground over the background.
+     * @param {object} constraint { foreground, background, minContrast, minLc }
+     * @param {function(string): number[]} resolve returns the color of a variable
+     * @param {object} options backdrops and hasVariable, see backdropChain()
+     * @returns {number[][] | null} [foreground rgb, background rgb] or null if a color can't be resolved
+     */
+    constraintColors: function (constraint, resolve, options) {
+        const foregroundRgb = resolve(constraint.foreground);
+        const backgroundRgb = resolve(constraint.background);
+        if (!foregroundRgb || !backgroundRgb) return null;
+        const background = this.compositeOverBackdrops(backgroundRgb,
+            this.backdropChain(constraint.background, options.backdrops, options.hasVariable).map(resolve));
+        return [this.compositeColors(foregroundRgb, background), background];
+    },
+
+    /**
+     * @param {object} constraint { foreground, background, minContrast, minLc }
+     * @param {function(string): number[]} resolve returns the color of a variable
+     * @param {object} options model, backdrops and hasVariable
+     * @param {number} margin the contrast has to be higher than needed by this value
+     * @returns {boolean} true if the contrast of the constraint is sufficient
+     */
+    constraintSatisfied: function (constraint, resolve, options, margin = 0) {
+        const colors = this.constraintColors(constraint, resolve, options);
+        if (!colors) return false;
+        const contrast = options.model === 'apca' ? Math.abs(this.apcaContrast(colors[0], colors[1])) : this.colorContrast(colors[0], colors[1]);
+        return contrast >= Number(options.model === 'apca' ? constraint.minLc : constraint.minContrast) + margin;
+    },
+
+    /**
+     * Finds the color of a variable that satisfies all contrast constraints and is nearest to its current color by CIEDE2000.
+     * Lightness, chroma and hue are searched in OKLCH, the other variables are kept.
+     * @param {Map} colors key: variable name, value: rgb of all variables
+     * @param {object[]} constraints contrast requirements as objects { foreground, background, minContrast, minLc }
+     * @param {string} varName variable to change
+     * @param {object} options model, backdrops and resolveColors, see solveContrastConstraints()
+     * @returns {number[] | null} rgb or null if no color satisfies all constraints
+     */
+    nearestPassingColor: function (colors, constraints, varName, options = {}) {
+        const rgb = colors.get(varName);
+        if (!rgb) return null;
+        const model = options.model || this.contrastModel;
+        const resolveColors = options.resolveColors || ((colorMap) => (name) => colorMap.get(name));
+        const contrastOptions = { model: model, backdrops: options.backdrops, hasVariable: (name) => colors.has(name) };
+        const passes = (candidateRgb) => {
+            const colorMap = new Map(colors);
+            colorMap.set(varName, candidateRgb);
+            const resolve = resolveColors(colorMap);
+            return constraints.every((constraint) => this.constraintSatisfied(constraint, resolve, contrastOptions, this.contrastMargins[model]));
+        };
+
+        const alpha = rgb[3] === undefined ? 1 : rgb[3];
+        const lab = this.rgbToLab(rgb);
+        const oklch = this.rgbToOklch(rgb);
+        let best = null;
+        let bestDeltaE = Infinity;
+        // for each chroma and hue the nearest passing lightness above and below the current one
+        [0, 0.5, 0.75, 1, 1.25, 1.5].forEach((chromaFactor) => {
+            const hueOffsets = chromaFactor == 0 || oklch[1] == 0 ? [0] : [-30, -20, -10, 0, 10, 20, 30];
+            hueOffsets.forEach((hueOffset) => {
+                const colorAt = (lightness) => this.oklchToRgb([lightness, oklch[1] * chromaFactor, oklch[2] + hueOffset], alpha);
+                [-1, 1].forEach((direction) => {
+                    const lightnessAt = (step) => Math.max(0, Math.min(1, oklch[0] + direction * step));
+                    const scanSteps = 50;
+                    let previous = 0;
+                    let found = null;
+                    for (let i = 0; i <= scanSteps; i++) {
+                        if (passes(colorAt(lightnessAt(i / scanSteps)))) {
+                            found = i / scanSteps;
+                            break;
+                        }
+                        previous = i / scanSteps;
+                    }
+                    if (found === null) return;
+                    for (let i = 0; found > 0 && i < 12; i++) {
+                        const middle = (previous + found) / 2;
+                        if (passes(colorAt(lightnessAt(middle)))) found = middle;
+                        else previous = middle;
+                    }
+                    const candidateRgb = colorAt(lightnessAt(found));
+                    const deltaE = this.deltaE2000(lab, this.rgbToLab(candidateRgb));
+                    if (deltaE < bestDeltaE) {
+                        bestDeltaE = deltaE;
+                        best = candidateRgb;
+                    }
+                });
+            });
+        });
+        return best;
+    },
+    //#endregion
+
+    //#region theme generator
+    /**
+     * Variants of generated themes, see generateThemeFromSeeds().
+     * * tierStep: OKLCH lightness difference of the background tiers (body and secondary backgrounds)
+     * * borderMix: fraction of the text color in the border colors
+     * * accentChroma: factor of the chroma of the accent color
+     * * tint: chroma of the accent hue added to the backgrounds and borders
+     * * level: conformance level of the contrast requirements derived from the contrast types
+     */
+    themeGeneratorVariants: {
+        'balanced': { tierStep: 0.04, borderMix: 0.25, accentChroma: 1, tint: 0, level: 'AA' },
+        'soft': { tierStep: 0.025, borderMix: 0.15, accentChroma: 0.7, tint: 0, level: 'AA' },
+        'vivid': { tierStep: 0.05, borderMix: 0.3, accentChroma: 1.25, tint: 0.02, level: 'AA' },
+        'high contrast': { tierStep: 0.06, borderMix: 0.4, accentChroma: 1, tint: 0, level: 'AAA' }
+    },
+
+    /**
+     * OKLCH hues of status colors, they get the lightness and chroma of the accent color.
+     */
+    themeGeneratorStatusHues: { 'error': 25, 'alert': 25, 'warning': 70, 'success': 145, 'notice': 250, 'info': 250 },
+
+    /**
+     * Returns the role of a variable in a generated theme, derived from its name.
+     * @param {string} varName 
+     * @returns {string} background, body-background, secondary-background, border, accent, on-accent, status, text or mix
+     */
+    themeGeneratorRole: function (varName) {
+        if (/accent-label|label-color|on-accent/.test(varName)) return 'on-accent';
+        if (Object.keys(this.themeGeneratorStatusHues).some((status) => varName.includes(status))) return 'status';
+        if (/background-color/.test(varName)) {
+            if (/body/.test(varName)) return 'body-background';
+            return /--secondary/.test(varName) ? 'secondary-background' : 'background';
+        }
+        if (/border-color/.test(varName)) return 'border';
+        if (/link-color|accent-color/.test(varName)) return 'accent';
+        if (/text-color|heading-color|dynamic-color/.test(varName)) return 'text';
+        return 'mix';
+    },
+
+    /**
+     * Returns the color of an indirect suggestion (see variableSuggestions) with its color adjustments.
+     * @param {object} suggestion with the property indirect and the optional adjustments invert, hueRotate, saturationFactor and lightnessFactor
+     * @param {function(string): number[]} resolve returns the color of a variable
+     * @returns {number[] | null} rgb
+     */
+    suggestionColor: function (suggestion, resolve) {
+        let rgb = this.evaluateColorExpression(suggestion.indirect, resolve);
+        if (!rgb) return null;
+        if (suggestion.invert) rgb = this.invertedColor(rgb);
+        if (suggestion.hueRotate === undefined && suggestion.saturationFactor === undefined && suggestion.lightnessFactor === undefined)
+            return rgb;
+        return this.adjustHsl(rgb,
+            suggestion.hueRotate === undefined ? 0 : suggestion.hueRotate,
+            suggestion.saturationFactor === undefined ? 1 : suggestion.saturationFactor,
+            suggestion.lightnessFactor === undefined ? 1 : suggestion.lightnessFactor);
+    },
+
+    /**
+     * Generates the colors of all variables from a background, a text and an accent color.
+     * Variables with a suggestion follow it, the others get a color by their role (see themeGeneratorRole()).
+     * The explicit colors except the background are then adjusted to satisfy the contrast constraints, see solveContrastConstraints().
+     * Constraints of derived colors are satisfied by adjusting the explicit colors they're calculated from.
+     * @param {object} seeds rgb colors { background, text, accent }
+     * @param {string[]} variableNames variables of the theme
+     * @param {object} options
+     * * variant: one of themeGeneratorVariants, default is balanced
+     * * suggestions: suggested definitions by variable name, see variableSuggestions
+     * * constraints: contrast requirements { foreground, background, minContrast, minLc }
+     * * fixed: Map of variable names with colors that are kept, e.g. locked variables
+     * * model, backdrops: see solveContrastConstraints()
+     * @returns {object} { colors: Map of all variable colors, explicit: Map of variable names and rgb to set, derived: Map of variable names and suggestions to apply, unsatisfied: constraints }
+     */
+    generateThemeFromSeeds: function (seeds, variableNames, options = {}) {
+        const variant = options.variant || this.themeGeneratorVariants.balanced;
+        const suggestions = options.suggestions || {};
+        const fixed = options.fixed || new Map();
+        const isDark = this.colorContrast(seeds.background, [255, 255, 255]) > this.colorContrast(seeds.background, [0, 0, 0]);
+        const accent = this.rgbToOklch(seeds.accent);
+        const tint = (rgb) => {
+            if (!variant.tint) return rgb;
+            const oklab = this.rgbToOklab(rgb);
+            const hue = accent[2] * Math.PI / 180;
+            return this.oklchToRgb(this.oklabToOklch([oklab[0], oklab[1] + variant.tint * Math.cos(hue), oklab[2] + variant.tint * Math.sin(hue)]));
+        };
+        const background = tint(seeds.background);
+        const backgroundTier = (steps) => {
+            const oklch = this.rgbToOklch(background);
+            // the tiers are darker than the background, unless it's too dark for that
+            const direction = oklch[0] - steps * variant.tierStep < 0.05 ? 1 : -1;
+            return this.oklchToRgb([oklch[0] + direction * steps * variant.tierStep, oklch[1], oklch[2]]);
+        };
+        const accentRgb = this.oklchToRgb([accent[0], accent[1] * variant.accentChroma, accent[2]]);
+        const roleColor = (varName) => {
+            switch (this.themeGeneratorRole(varName)) {
+                case 'background': return background;
+                case 'body-background': return backgroundTier(1);
+                case 'secondary-background': return backgroundTier(0.5);
+                case 'border': return tint(this.mixColorsInSpace(seeds.background, seeds.text, 100 - variant.borderMix * 100, variant.borderMix * 100, 'oklab'));
+                case 'accent': return accentRgb;
+                case 'on-accent': return this.colorContrast(accentRgb, [255, 255, 255]) >= this.colorContrast(accentRgb, [0, 0, 0]) ? [255, 255, 255, 1] : [0, 0, 0, 1];
+                case 'status': {
+                    const status = Object.keys(this.themeGeneratorStatusHues).find((st) => varName.includes(st));
+                    return this.oklchToRgb([accent[0], Math.max(accent[1], 0.1), this.themeGeneratorStatusHues[status]]);
+                }
+                case 'text': return seeds.text;
+                default: return this.mixColorsInSpace(background, seeds.text, 50, 50, 'oklab');
+            }
+        };
+
+        const colors = new Map();
+        const derived = new Map();
+        const adjustable = [];
+        variableNames.forEach((varName) => {
+            if (fixed.has(varName)) {
+                colors.set(varName, fixed.get(varName));
+                return;
+            }
+            const suggestion = suggestions[varName];
+            if (suggestion && suggestion.indirect) {
+                derived.set(varName, suggestion);
+                return;
+            }
+            const suggestedColor = suggestion ? this.parseColor(isDark ? suggestion.dark : suggestion.light) : null;
+            colors.set(varName, suggestedColor || roleColor(varName));
+            if (suggestedColor || this.themeGeneratorRole(varName) !== 'background')
+                adjustable.push(varName);
+        });
+
+        // the derived colors are calculated from the explicit ones
+        const resolveColors = (colorMap) => {
+            const resolved = new Map(Array.from(colorMap).filter(([varName]) => !derived.has(varName)));
+            const calculating = new Set();
+            const resolve = (varName) => {
+                if (resolved.has(varName)) return resolved.get(varName);
+                if (!derived.has(varName) || calculating.has(varName)) return null;
+                calculating.add(varName);
+                const rgb = this.suggestionColor(derived.get(varName), resolve);
+                resolved.set(varName, rgb);
+                return rgb;
+            };
+            return resolve;
+        };
+        const initialResolve = resolveColors(colors);
+        derived.forEach((suggestion, varName) => {
+            const rgb = initialResolve(varName);
+            if (rgb) colors.set(varName, rgb);
+        });
+
+        const solved = this.solveContrastConstraints(colors, options.constraints || [], {
+            adjustable: adjustable,
+            model: options.model,
+            backdrops: options.backdrops,
+            resolveColors: resolveColors,
+            dependencies: (varName) => derived.has(varName) ? this.referencedVariables(derived.get(varName).indirect) : []
+        });
+        const explicit = new Map();
+        colors.forEach((rgb, varName) => {
+            if (!derived.has(varName) && !fixed.has(varName))
+                explicit.set(varName, solved.colors.has(varName) ? solved.colors.get(varName) : rgb);
+        });
+        const resolve = resolveColors(new Map([...explicit, ...fixed]));
+        const allColors = new Map();
+        variableNames.forEach((varName) => {
+            const rgb = fixed.has(varName) ? fixed.get(varName) : resolve(varName);
+            if (rgb) allColors.set(varName, rgb);
+        });
+        return { colors: allColors, explicit: explicit, derived: derived, unsatisfied: solved.unsatisfied };
+    },
+    //#endregion
+
+    //#region general utils
+
+    roundToDigits: function (val, digits) {
+        const power = Math.pow(10, digits);
+        return Math.round(val * power) / power;
+    },
+
+    /**
+     * Throttles a function call, calls after the cooldown again if called during cooldown
+     * @param {function} functionToThrottle 
+     * @param {number} delay 
+     * @returns throttled function
+     */
+    throttle: function (functionToThrottle, delay = 50) {
+        let isInCooldown = false;
+        let callAfterThrottle = false;
+
+        return (...args) => {
+            if (isInCooldown) {
+                callAfterThrottle = true;
+                return;
+            }
+            functionToThrottle(...args);
+            isInCooldown = true;
+            callAfterThrottle = false;
+            setTimeout(nextPossibleCall, delay);
+            function nextPossibleCall() {
+                if (callAfterThrottle) {
+                    callAfterThrottle = false;
+                    functionToThrottle(...args);
+                    setTimeout(nextPossibleCall, delay);
+                    return;
+                }
+                isInCooldown = false;
+            }
+        };
+    },
+
+    /**
+     * Debounces a function, it will only execute when the function was not called for some time.
+     * @param {function} functionToDebounce 
+     * @param {number} waitFor 
+     */
+    debounce: function (functionToDebounce, waitFor = 500) {
+        let timerId;
+        return (...args) => {
+            clearTimeout(timerId);
+            timerId = setTimeout(() => functionToDebounce.apply(this, args), waitFor);
+        }
+    },
+    //#endregion
+
+    /**
+     * Calculates a css filter to convert black to a given rgb color. It's an iterativ approximation, not perfect, should be sufficient to not be distinguishable for humans.
+     */
+    filterCreator: {
+        /**
+         * @param {number[]} rgb color in rgb (0-255)
+         * @returns {object} Best estimate in an object {input, steps, error, filterString}.
+         */
+        calculateFilter: function (rgb) {
+            if (!rgb) return null;
+
+            let rgbIn = [...rgb];
+            const results = [];
+
+            let hslIn = this.rgbToHsl(rgbIn);
+
+            if (hslIn[2] == 0) {
+                // no light == black, no filter needed
+                return { step: 0, filterString: `none`, error: 0, totalSteps: 0, input: rgbIn };
+            }
+            if (hslIn[1] == 0) {
+                // no saturation, only invert is needed
+                return { step: 0, filterString: `invert(${hslIn[2] / 100})`, error: 0, totalSteps: 0, input: rgbIn };
+            }
+
+            // always start from a black color and the two filters: invert(0.5) sepia(1)
+            rgb = this.invert(rgbIn, 0.5);
+            rgb = this.sepia(rgb, 1);
+            const rgbAfterSepia = rgb;
+            let hsl;
+
+            let solution; // hue rotate deg, sat, brightness
+            let finalOffsets = [0, 1, 1]; // compensate error caused by other operations
+
+            for (let i = 0; i < 40; i++) {
+                hsl = this.rgbToHsl(rgbAfterSepia);
+                solution = [0, 1, 1];
+
+                // hue
+                solution[0] += hslIn[0] + finalOffsets[0] - hsl[0];
+                rgb = this.hueRotate(rgbAfterSepia, solution[0]);
+                hsl = this.rgbToHsl(rgb);
+
+                // do brightness before saturation, because the brightness filter alters saturation so much
+                // brightness
+                solution[2] *= hslIn[2] * finalOffsets[2] / hsl[2];
+                rgb = this.brightness(rgb, solution[2]);
+                hsl = this.rgbToHsl(rgb);
+
+                // saturation
+                solution[1] *= hslIn[1] * finalOffsets[1] / hsl[1];
+                rgb = this.saturate(rgb, solution[1]);
+                hsl = this.rgbToHsl(rgb);
+
+                const filterString = `invert(0.5) sepia(1) hue-rotate(${this.roundToDigits(solution[0], 3)}deg) brightness(${this.roundToDigits(solution[2] * 100, 3)}%) saturate(${this.roundToDigits(solution[1] * 100, 3)}%)`;
+                const rgbError = Math.abs(rgb[0] - rgbIn[0]) + Math.abs(rgb[1] - rgbIn[1]) + Math.abs(rgb[2] - rgbIn[2]);
+
+                results.push({ step: i, filter: filterString, error: rgbError });
+                if (rgbError < 3) break;
+
+                const damping = .5; // to avoid oszillation. Could be improved probably, seems to work well enough with 40 loops.
+                finalOffsets[0] += Math.round((hslIn[0] - hsl[0]) * damping) % 360;
+                finalOffsets[1] *= hsl[1] > 0 ? Math.pow(hslIn[1] / hsl[1], damping) : 1;
+                finalOffsets[2] *= hsl[2] > 0 ? Math.pow(hslIn[2] / hsl[2], damping) : 1;
+            }
+
+            results.sort((a, b) => a.error - b.error);
+
+            // return best result
+            return { input: rgbIn, steps: results[0].step, error: results[0].error, filterString: results[0].filter };
+        },
+
+        roundToDigits: function (v, d) {
+            const pot = Math.pow(10, d);
+            return Math.round(v * pot) / pot;
+        },
+
+        rgbToHsl: function ([r, g, b]) {
+            r /= 255;
+            g /= 255;
+            b /= 255;
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const d = max - min;
+            let h = 0;
+
+            switch (max) {
+                case min:
+                    h = 0;
+                    break;
+                case r:
+                    h = (60 * (g - b) / d + 360) % 360;
+                    break;
+                case g:
+                    h = (60 * (b - r) / d + 120) % 360;
+                    break;
+                case b:
+                    h = (60 * (r - g) / d + 240) % 360;
+                    break;
+            }
+
+            return [
+                h,
+                d == 0 ? 0 : 100 * d / (1 - Math.abs(max + min - 1)),
+                (max + min) * 50
+            ];
+        },
+
+        multiplyWithMatrix: function ([r, g, b], matrix) {
+            return [
+                this.clamp(r * matrix[0] + g * matrix[1] + b * matrix[2]),
+                this.clamp(r * matrix[3] + g * matrix[4] + b * matrix[5]),
+                this.clamp(r * matrix[6] + g * matrix[7] + b * matrix[8])
+            ];
+        },
+        clamp: function (n) {
+            return Math.min(255, Math.max(0, n));
+        },
+
+        // the following functions are defined on https://www.w3.org/TR/filter-effects
+        linear: function ([r, g, b], slope = 1, intercept = 0) {
+            return [
+                this.clamp(r * slope + intercept * 255),
+                this.clamp(g * slope + intercept * 255),
+                this.clamp(b * slope + intercept * 255)];
+        },
+        brightness: function (rgb, value = 1) { return this.linear(rgb, value); },
+
+        sepia: function (rgb, value = 1) {
+            return this.multiplyWithMatrix(rgb, [
+                0.393 + 0.607 * (1 - value), 0.769 - 0.769 * (1 - value), 0.189 - 0.189 * (1 - value),
+                0.349 - 0.349 * (1 - value), 0.686 + 0.314 * (1 - value), 0.168 - 0.168 * (1 - value),
+                0.272 - 0.272 * (1 - value), 0.534 - 0.534 * (1 - value), 0.131 + 0.869 * (1 - value)
+            ]);
+        },
+        saturate: function (rgb, value = 1) {
+            return this.multiplyWithMatrix(rgb, [
+                0.213 + 0.787 * value, 0.715 - 0.715 * value, 0.072 - 0.072 * value,
+                0.213 - 0.213 * value, 0.715 + 0.285 * value, 0.072 - 0.072 * value,
+                0.213 - 0.213 * value, 0.715 - 0.715 * value, 0.072 + 0.928 * value
+            ]);
+        },
+
+        hueRotate: function (rgb, angle = 0) {
+            angle = angle * Math.PI / 180;
+            const sin = Math.sin(angle);
+            const cos = Math.cos(angle);
+            return this.multiplyWithMatrix(rgb, [
+                0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+                0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+                0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+            ]);
+        },
+        invert: function ([r, g, b], value = 1) {
+            return [
+                this.clamp((value + (r / 255) * (1 - 2 * value)) * 255),
+                this.clamp((value + (g / 255) * (1 - 2 * value)) * 255),
+                this.clamp((value + (b / 255) * (1 - 2 * value)) * 255)
+            ];
+        }
+    }
+};
+
+const themeColorEditor = {
+    /**
+     * Contains info about the css variables edited by the user.
+     * Key is the variable name, value is the variableInfo.
+     */
+    variableInfo: undefined,
+    colorPicker: undefined,
+    /**
+     * Clipboard-like variable used to copy/paste colors
+     */
+    holdVariable: undefined,
+    /**
+     * If true and a variable has an --rgb variant, it's included in the output
+     */
+    exportIncludeRgbVariants: false,
+    /**
+     * If true the explicit color adjustment options are also exported. Used to save work on a theme and import again in a later session.
+     */
+    exportIncludeExplicitOptions: false,
+    /**
+     * If true all themes of the workspace are exported, each in its own selector block.
+     */
+    exportAllWorkspaceThemes: false,
+    /**
+     * References to preview popups where the styles are applied.
+     * Each entry is an object with property w: window, s: style element to adjust the styles
+     */
+    previewPopups: undefined,
+    /**
+     * Function that ends the "pick from element" mode if it's active, see startElementColorPicking().
+     */
+    elementPickingCleanup: null,
+    /**
+     * Popup to choose one of the colors of a picked element, see showElementColors().
+     */
+    elementColorsEl: undefined,
+    /**
+     * collection of base css, key is name (e.g. view-light, view-dark, theme-my-theme-name)
+     * value is map of rules (key: var name, value: var value)
+     */
+    baseCss: undefined,
+    /**
+     * Views the themes of the page declare in their selector, e.g. .view-dark.theme-my-theme
+     * key is the name in baseCss (e.g. theme-my-theme), value is view-light or view-dark
+     */
+    pageThemeViews: undefined,
+    /**
+     * Indicator if the current theme is based on dark view or light view.
+     * To also set the UI element accordingly use the function setThemeView(viewDark: boolean).
+     */
+    themeBaseDark: false,
+    themeBaseSelector: undefined,
+    /**
+     * Name of the edited theme (without the prefix theme-), e.g. set when a theme is loaded.
+     * It's used in the selector of the exported css. To also set the UI element use the function setThemeName(name).
+     */
+    themeName: undefined,
+    /**
+     * Form of the selector of the exported css.
+     * class: .theme-name, root: :root.theme-name, view: .view-light.theme-name or .view-dark.theme-name depending on the base view.
+     */
+    themeSelectorForm: 'class',
+    /**
+     * Default notation of explicit colors in the exported css (hex, rgb, hsl or oklch), can be overridden per variable.
+     * To also set the UI element use the function setOutputColorFormat(format).
+     */
+    outputColorFormat: 'hex',
+    /**
+     * Text input of the theme name in the import/export view.
+     */
+    themeNameInputEl: undefined,
+    /**
+     * Select element of the selector form in the import/export view.
+     */
+    themeSelectorFormEl: undefined,
+    /**
+     * Select element of the output color format in the import/export view.
+     */
+    outputColorFormatEl: undefined,
+    /**
+     * container for textarea to import/export themes.
+     */
+    inOutStyleSheetEl: undefined,
+    /**
+     * textarea to import/export themes.
+     */
+    inOutTextarea: undefined,
+
+    /**
+     * css rule for the applied page styles
+     */
+    pageRules: undefined,
+
+    /**
+     * Steps that can be undone, the last entry is the most recent step.
+     * Each step is an object with the properties label, variableStates (Map, key: variable name, value: state before the step) and themeBaseDark.
+     */
+    undoStack: undefined,
+    /**
+     * Undone steps that can be redone, the last entry is the most recently undone step.
+     */
+    redoStack: undefined,
+    /**
+     * History step that is currently recorded, changes of variables are added to this step.
+     */
+    historyCurrentStep: undefined,
+    /**
+     * If true, changes of variables are not recorded (used while undoing or redoing).
+     */
+    historyRestoring: false,
+    undoButton: undefined,
+    redoButton: undefined,
+
+    /**
+     * Id of the current editor session, it's used as key for the autosaved state.
+     */
+    sessionId: undefined,
+    /**
+     * Last saved state of this session in json, used to check if the state changed since the last save.
+     */
+    sessionSavedStateJson: undefined,
+    /**
+     * Popup element that lists the saved sessions.
+     */
+    sessionsEl: undefined,
+    sessionsListEl: undefined,
+
+    /**
+     * Working themes that can be edited and exported together.
+     * Key is an id, value is an object with the properties state (editor state, not up to date for the active theme), undoStack and redoStack.
+     */
+    workspaceThemes: undefined,
+    /**
+     * Id of the working theme that is currently edited.
+     */
+    activeWorkspaceThemeId: undefined,
+    /**
+     * Select element to switch the working theme.
+     */
+    workspaceSelectorEl: undefined,
+    workspaceRemoveButton: undefined,
+    /**
+     * If true the contrast indicators show the contrast of the other contrast model too.
+     * The contrast model and this option are set with setContrastModel(model) and setContrastSideBySide(sideBySide).
+     */
+    contrastSideBySide: false,
+    contrastModelEl: undefined,
+    conformanceLevelEl: undefined,
+    contrastSideBySideEl: undefined,
+    /**
+     * Simulated color vision deficiency of the page and the previews (one of colorVisionDeficiencies) or null.
+     * To also set the UI element and apply the simulation use the function setColorVisionSimulation(deficiency).
+     */
+    colorVisionSimulation: null,
+    /**
+     * If true the contrast and distinguishability checks use the colors as seen with the simulated color vision deficiency.
+     */
+    checkSimulatedColors: false,
+    colorVisionSimulationEl: undefined,
+    /**
+     * Popup with the list of all contrast checks, see toggleContrastReport().
+     */
+    contrastReportEl: undefined,
+    contrastReportListEl: undefined,
+    /**
+     * If true the contrast report only lists the checks that are not sufficient.
+     */
+    contrastReportOnlyFailures: true,
+    /**
+     * Column and direction the contrast report is sorted by.
+     */
+    contrastReportSort: { column: 'status', ascending: false },
+    /**
+     * Popup with the proposed changes of fixAllContrasts().
+     */
+    contrastSolverEl: undefined,
+    /**
+     * Popup with the candidates of the contrast fix strategies, see showContrastFixCandidates().
+     */
+    contrastFixEl: undefined,
+    /**
+     * Popup with the dependency graph of the indirect definitions, see toggleDependencyGraph().
+     */
+    dependencyGraphEl: undefined,
+    dependencyGraphContainerEl: undefined,
+    /**
+     * Name of the variable selected in the dependency graph, its references are highlighted.
+     */
+    dependencyGraphSelected: null,
+    /**
+     * Popup of the theme generator, see showThemeGenerator().
+     */
+    themeGeneratorEl: undefined,
+    themeGeneratorSeedEls: undefined,
+    themeGeneratorVariantsEl: undefined,
+    /**
+     * Variables with a circular indirect definition, see VariableInfo.setCircularDefinition().
+     */
+    circularDefinitionVariables: new Set(),
+    /**
+     * True while the circular definitions are checked again, to not start another check.
+     */
+    recheckingCircularDefinitions: false,
+    /**
+     * Backdrops declared in the variable table with the attribute data-backdrop on the variable name cell.
+     * Key is the variable name, value the name of the backdrop variable. Backdrops of other variables are inferred from their names.
+     */
+    declaredBackdrops: undefined,
+    /**
+     * Cache of the backdrop chains of the variables, see variableBackdropChain().
+     */
+    backdropChains: undefined,
+    /**
+     * Names of the variables that are backdrops of other variables, the contrasts are updated if one of them changes.
+     */
+    backdropVariableNames: undefined,
+
+    initialize: function () {
+        // check if page should display the color editor
+        let initializeColorEditor = false;
+        for (let table of document.querySelectorAll('table')) {
+            if (table.rows.length < 2 || table.rows[0].length < 3) continue;
+            // the color table contains "Variable name" in first cell
+            if (table.rows[0].cells[0].textContent.trim() !== 'Variable name') continue;
+
+            const secondRowFirstCell = table.rows[1].cells[0];
+            if (secondRowFirstCell.innerText.match(/^--[-\w]+$/)) {
+                initializeColorEditor = true;
+                break;
+            }
+        }
+        if (!initializeColorEditor) return;
+
+        this.pageRules = this.addPreviewStyleElement(document);
+
+        // define variables
+        this.variableInfo = new Map()
+        this.declaredBackdrops = new Map();
+        this.backdropChains = new Map();
+        this.previewPopups = [];
+        this.baseCss = new Map();
+        this.pageThemeViews = new Map();
+
+        this.addToolbar();
+        this.colorPicker = new this.ColorPicker(document.body);
+        this.parseVariables();
+        this.parseBaseThemes();
+        this.addThemesToSelector();
+        this.initializeVariables();
+
+        // start recording changes after the initial values are set
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+        this.initializeWorkspace();
+        this.initializeSessions();
+    },
+
+    /**
+     * Creates a style element in the document head where the variable values are stored to be visible.
+     * @param {document} doc 
+     * @returns 
+     */
+    addPreviewStyleElement: function (doc) {
+        //this.createElementAndAdd('style', null, doc.head, null, null, { type: 'text/css' });
+        const styleElement = doc.createElement('style');
+        styleElement.setAttribute('type', 'text/css');
+        styleElement.setAttribute('id', 'tcolor-editor-styles');
+        doc.head.appendChild(styleElement);
+        styleElement.sheet.insertRule(':root {}');
+        return styleElement.sheet.cssRules[0].style;
+    },
+
+    //#region theme functions
+    /**
+     * parses the base variable values for set views and themes
+     */
+    parseBaseThemes: function () {
+        const stylesheets = [...document.styleSheets];
+
+        for (const sheet of stylesheets) {
+            try {
+                for (const rule of sheet.cssRules) {
+                    if (!rule.selectorText) continue;
+                    const selectors = rule.selectorText.split(',');
+
+                    selectors.forEach((s) => {
+                        let selectorName = this.baseCssSelectorName(s);
+                        // themes can declare the view they're based on in the selector, e.g. .view-dark.theme-my-theme
+                        const viewThemeMatch = s.trim().match(/^(?::root|html)?(?:\.view-(light|dark)\.theme-([-\w]+)|\.theme-([-\w]+)\.view-(light|dark))$/);
+                        if (viewThemeMatch) {
+                            selectorName = 'theme-' + (viewThemeMatch[2] || viewThemeMatch[3]);
+                            this.pageThemeViews.set(selectorName, 'view-' + (viewThemeMatch[1] || viewThemeMatch[4]));
+                        }
+                        if (!selectorName) return;
+
+                        if (!this.baseCss.has(selectorName))
+                            this.baseCss.set(selectorName, new Map());
+                        const ruleProperties = this.baseCss.get(selectorName);
+
+                        const ruleCount = rule.style.length;
+                        for (let i = 0; i < ruleCount; i++) {
+                            const propName = rule.style[i];
+                            const propNameWithOutRgb = propName.endsWith('--rgb') ? propName.substring(0, propName.length - 5) : undefined;
+                            if (this.variableInfo.has(propName)
+                                || (propNameWithOutRgb && this.variableInfo.has(propNameWithOutRgb))) {
+                                ruleProperties.set(propName, rule.style.getPropertyValue(propName).trim());
+                            }
+                        }
+                    });
+                }
+            } catch (e) {
+                console.warn('cannot access stylesheet: ', e);
+            }
+        }
+
+        // use view-light and view-dark as base, apply missing root variables
+        const rootStyles = this.baseCss.get('root');
+        const viewLight = this.baseCss.get('view-light');
+        const viewDark = this.baseCss.get('view-dark');
+        rootStyles.forEach((v, k) => {
+            if (viewLight && !viewLight.has(k)) {
+                viewLight.set(k, v);
+            }
+            if (viewDark && !viewDark.has(k)) {
+                viewDark.set(k, v);
+            }
+        });
+    },
+
+    /**
+     * Returns if a theme of the page is based on view-dark. The view in the selector of the theme is used (e.g. .view-dark.theme-my-theme),
+     * else the lightness of the text color or background color the theme defines (dark text: view-light and vice versa, see invertAllLightness()).
+     * @param {string} themeName name of the theme in baseCss, e.g. theme-my-theme
+     * @returns {boolean | undefined} undefined if the view couldn't be detected
+     */
+    pageThemeBaseDark: function (themeName) {
+        if (this.pageThemeViews.has(themeName)) return this.pageThemeViews.get(themeName) === 'view-dark';
+        const theme = this.baseCss.get(themeName);
+        if (!theme) return undefined;
+        const colors = this.resolveThemeColors(this.themeVariableDefinitions(this.baseCss, false, themeName.substring(6)));
+        if (theme.has('--wiki-content-text-color') && colors.has('--wiki-content-text-color'))
+            return this.rgbToHsvSl(colors.get('--wiki-content-text-color'))[4] > 50;
+        if (theme.has('--wiki-content-background-color') && colors.has('--wiki-content-background-color'))
+            return this.rgbToHsvSl(colors.get('--wiki-content-background-color'))[4] <= 50;
+        return undefined;
+    },
+
+    /**
+     * Adds an option entry to the select element for each theme.
+     */
+    addThemesToSelector: function () {
+        this.baseCss.forEach((_, k) => {
+            const o = document.createElement('option');
+            o.value = o.innerHTML = k;
+            this.themeBaseSelector.appendChild(o);
+        });
+    },
+
+    /**
+     * Sets all variables to the values of a preset theme.
+     * @param {string} themeName 
+     * @returns {boolean} whether the theme could be applied.
+     */
+    applyTheme: function (themeName) {
+        //console.log(`applying variable values of theme or view: ${themeName}`);
+
+        // first set light or dark base values
+        if (themeName != 'root' && themeName != 'view-light' && themeName != 'view-dark')
+            this.applyTheme(this.themeBaseDark ? 'view-dark' : 'view-light');
+
+        if (!themeName) {
+            console.warn(`cannot apply styles, themeName was empty`);
+            return false;
+        }
+        const theme = this.baseCss.get(themeName);
+        if (!theme) {
+            console.warn(`no theme with name "${themeName}" found to apply.`);
+            return false;
+        }
+        const setAsBaseValues = themeName === 'root' || themeName === 'view-light' || themeName === 'view-dark';
+        if (themeName.startsWith('theme-'))
+            this.setThemeName(themeName.substring(6));
+        theme.forEach((v, k) => {
+            const varInfo = this.variableInfo.get(k);
+            if (varInfo)
+                varInfo.setValue(v, setAsBaseValues);
+        });
+        if (!setAsBaseValues)
+            this.reportCircularDefinitions(`theme "${themeName}"`);
+
+        this.setBackgroundImageExplicitly();
+        return true;
+    },
+
+    /**
+     * Applies the base values of a view, i.e. it does not change the set values, only the value a variable can be reset to. This has an effect on if a variable is saved or not, if it's equal to its base.
+     * @param {string} viewName view-light or view-dark
+     */
+    applyThemeAsBase: function (viewName) {
         if (viewName != 'view-light' && viewName != 'view-dark') return;
         const theme = this.baseCss.get(viewName);
         if (!theme) {
@@ -552,299 +3118,1160 @@ const themeColorEditor = {
             return;
         }
 
-        theme.forEach((v, k) => {
-            const varInfo = this.variableInfo.get(k);
-            if (varInfo)
-                varInfo.setBaseValue(v);
-        });
+        theme.forEach((v, k) => {
+            const varInfo = this.variableInfo.get(k);
+            if (varInfo)
+                varInfo.setBaseValue(v);
+        });
+
+        this.setBackgroundImageExplicitly();
+    },
+
+    /**
+     * Reads the variable values of the currently selected theme by the wiki theme-selector
+     * and applies the variable values to the editor variables.
+     */
+    applyValuesOfCurrentPageTheme() {
+        // get styles of theme selector
+        const themeStyleEl = document.getElementById('mw-themetoggle-styleref');
+        if (!themeStyleEl) {
+            console.warn('theme selector style element with id mw-themetoggle-styleref not found. Cannot apply theme selector styles.');
+            return;
+        }
+
+        const sheetRules = themeStyleEl.sheet.cssRules;
+        if (!sheetRules) {
+            console.warn('theme selector styles not found in (mw-themetoggle-styleref).sheet.cssRules not found. Cannot apply theme selector styles.');
+            return;
+        }
+
+        // clear editor style element so current wiki theme styles are valid and can be read
+        const tceStylesElement = document.getElementById('tcolor-editor-styles');
+        if (tceStylesElement && tceStylesElement.sheet.length > 0)
+            tceStylesElement.sheet.deleteRule(0);
+
+        const sheetRulesArray = [];
+        for (let i = 0; i < sheetRules.length; i++) {
+            const sr = sheetRules[i];
+            if (sr.selectorText && (sr.selectorText.includes(':root') || sr.selectorText.includes('html')))
+                sheetRulesArray.push(sr);
+        }
+
+        // first collect values without updating it
+        const varValues = new Map();
+        this.variableInfo.forEach(v => {
+            let varValue = '';
+            sheetRulesArray.forEach(sr => {
+                const varValueRule = sr.style.getPropertyValue(v.name);
+                if (varValueRule) varValue = varValueRule;
+            });
+            if (varValue)
+                varValues.set(v.name, varValue);
+        });
+
+        if (varValues.length == 0) {
+            console.warn('the theme selector element with id mw-themetoggle-styleref did not contain any values for the used variables.');
+            return;
+        }
+
+        if (tceStylesElement) {
+            // When selecting a theme of an external file, a new head element may be added where the styles are loaded.
+            // Make sure the styles of this editor are the last style element.
+            document.head.appendChild(tceStylesElement);
+            tceStylesElement.sheet.insertRule(':root {}'); // re add previously deleted rule
+            this.pageRules = tceStylesElement.sheet.cssRules[0].style;
+        }
+        this.previewPopups.forEach(p => {
+            const styleElement = p.w.document.getElementById('tcolor-editor-styles');
+            if (styleElement)
+                styleElement.remove();
+            p.s = this.addPreviewStyleElement(p.w.document);
+        });
+
+        // update variable values
+        this.variableInfo.forEach(v => {
+            const varValue = varValues.get(v.name);
+            if (varValue)
+                v.setValue(varValue);
+        });
+
+        // update background if it was changed by the theme
+        this.setBackgroundImageExplicitly();
+    },
+
+    /**
+     * Set the background-image property of the body element explicitly to its calculated value.
+     * Usually the background-image is set via a variable (e.g. --wiki-body-background-image).
+     * Setting the value explicitly will prevent flickering of the background-image if color variables are adjusted in a high frequency and a preview window is opened.
+     * @param {window} win 
+     * @param {string} backgroundStyle 
+     */
+    setBackgroundImageExplicitly: function () {
+        document.body.style.removeProperty('background'); // remove previously explicitly set property
+        const computedBodyBackground = getComputedStyle(document.body).background;
+        if (computedBodyBackground.includes('url')) {
+            document.body.style.setProperty('background', computedBodyBackground);
+            this.previewPopups.forEach((p) => p.w.document.body.style.setProperty('background', computedBodyBackground));
+        } else {
+            this.previewPopups.forEach((p) => p.w.document.body.style.removeProperty('background'));
+        }
+    },
+
+    invertAllLightness: function (useLuminance = false) {
+        if (useLuminance)
+            this.variableInfo.forEach((v) => {
+                if (!v.useIndirectDefinition)
+                    v.setColor(this.inverseLuminanceOfColor(v.rgb));
+            });
+        else
+            this.variableInfo.forEach((v) => {
+                if (!v.useIndirectDefinition)
+                    v.setColor(this.inverseLightnessOfColor(v.rgb));
+            });
+        // adjust view the theme is based on (view-light or view-dark)
+        // if variable --wiki-content-text-color is available, use that as indicator (dark text: view-light and vice versa)
+        // if that variable is not existing, just toggle the view
+        let useViewDark = undefined;
+        const defaultVarTextColor = this.variableInfo.get('--wiki-content-text-color');
+        if (defaultVarTextColor) {
+            useViewDark = this.rgbToHsvSl(defaultVarTextColor.rgb)[4] > 50; // use dark-view if lightness of text color is larger than 50%
+        } else {
+            useViewDark = !this.themeBaseDark;
+        }
+        this.setThemeView(useViewDark);
+        this.applyThemeAsBase(this.themeBaseDark ? 'view-dark' : 'view-light')
+    },
+
+    applyAllSuggestions: function () {
+        this.variableInfo.forEach((v) => {
+            v.setValueByDefinition();
+        });
+    },
+
+    /**
+     * Sets the name of the edited theme and updates the name input.
+     * @param {string} name theme name without the prefix theme-. Characters not allowed in a css class name are replaced by -.
+     */
+    setThemeName: function (name) {
+        this.themeName = name ? name.trim().replace(/^\.?theme-/, '').replace(/[^-\w]/g, '-') : undefined;
+        if (this.themeNameInputEl && this.themeNameInputEl.value !== (this.themeName || ''))
+            this.themeNameInputEl.value = this.themeName || '';
+        this.updateWorkspaceSelector();
+    },
+
+    /**
+     * Sets the selector form of the exported css and updates the according select element.
+     * @param {string} form class, root or view
+     */
+    setThemeSelectorForm: function (form) {
+        if (form !== 'class' && form !== 'root' && form !== 'view') return;
+        this.themeSelectorForm = form;
+        if (this.themeSelectorFormEl)
+            this.themeSelectorFormEl.value = form;
+    },
+
+    /**
+     * Sets the default notation of explicit colors in the output and updates the page and the previews.
+     * @param {string} format hex, rgb, hsl or oklch
+     */
+    setOutputColorFormat: function (format) {
+        if (!this.outputColorFormats.includes(format)) return;
+        if (this.outputColorFormatEl)
+            this.outputColorFormatEl.value = format;
+        if (this.outputColorFormat === format) return;
+        this.outputColorFormat = format;
+        if (this.variableInfo)
+            this.variableInfo.forEach((v) => this.updateVariableOnPage(v));
+    },
+
+    importStyles: function (useLightView) {
+        const varMatches = Array.from(this.inOutTextarea.value.matchAll(/(--[-\w]+)\s*:\s*([^;]+)\s*;(?:[ \t]*\/\*[ \t]*\{([^}]+)\}[ \t]*\*\/)?/g));
+        if (varMatches.length == 0) {
+            console.warn(`couldn't import, no variable definitions found in the input\n${this.inOutTextarea.value}`);
+            return;
+        }
+        if (useLightView) this.applyTheme('view-light');
+        else this.applyTheme('view-dark');
+        const themeSelector = this.parseThemeSelector(this.inOutTextarea.value);
+        if (themeSelector) {
+            this.setThemeName(themeSelector.themeName);
+            this.setThemeSelectorForm(themeSelector.form);
+        }
+        varMatches.forEach((m) => {
+            const varInfo = this.variableInfo.get(m[1]);
+            if (!varInfo) {
+                if (!m[1].endsWith('--rgb'))
+                    console.log(`var ${m[1]} not found in given variables, couldn't apply value`);
+                return;
+            }
+
+            varInfo.setValue(m[2]);
+
+            if (m[3]) {
+                const optionMatches = Array.from(m[3].matchAll(/(saveExplicitRgbInOutput|invert|hueRotate|saturationFactor|lightnessFactor) *: *(\d+(?:\.\d+)?)/g));
+                if (optionMatches.length > 0) {
+
+                    // first set to default
+                    const options = new Map();
+                    options.set('saveExplicitRgbInOutput', false);
+                    options.set('optionInvert', false);
+                    options.set('optionHueRotate', 0);
+                    options.set('optionSaturationFactor', 1);
+                    options.set('optionLightnessFactor', 1);
+
+                    optionMatches.forEach(optionMatch => {
+                        let parsedNumber;
+                        switch (optionMatch[1]) {
+                            case 'saveExplicitRgbInOutput':
+                                options.set('saveExplicitRgbInOutput', !!optionMatch[2]);
+                                break;
+                            case 'invert':
+                                options.set('optionInvert', !!optionMatch[2]);
+                                break;
+                            case 'hueRotate':
+                                parsedNumber = parseFloat(optionMatch[2]);
+                                if (isNaN(parsedNumber)) parsedNumber = 0;
+                                options.set('optionHueRotate', parsedNumber);
+                                break;
+                            case 'saturationFactor':
+                                parsedNumber = parseFloat(optionMatch[2]);
+                                if (isNaN(parsedNumber)) parsedNumber = 0;
+                                options.set('optionSaturationFactor', parsedNumber);
+                                break;
+                            case 'lightnessFactor':
+                                parsedNumber = parseFloat(optionMatch[2]);
+                                if (isNaN(parsedNumber)) parsedNumber = 0;
+                                options.set('optionLightnessFactor', parsedNumber);
+                                break;
+                        }
+                    });
+                    for (const [option, value] of options) {
+                        varInfo[option] = value;
+                    }
+                }
+                const outputFormatMatch = m[3].match(/outputFormat *: *(\w+)/);
+                varInfo.outputColorFormat = outputFormatMatch && this.outputColorFormats.includes(outputFormatMatch[1]) ? outputFormatMatch[1] : undefined;
+            }
+        });
+        this.reportCircularDefinitions('the imported css');
+        // close import textarea
+        this.inOutStyleSheetEl.classList.toggle('transition-hide', true);
+    },
+
+    /**
+     * Exports current styles.
+     * @param {boolean} returnText If true the generated style text is returned. If false, the text is displayed in a textarea.
+     */
+    exportStyles: function (returnText = false) {
+        const styleText = this.exportAllWorkspaceThemes && this.workspaceThemes && this.workspaceThemes.size > 1
+            ? this.createWorkspaceStyleText()
+            : this.createStyleText();
+
+        if (returnText) return styleText;
+        this.inOutTextarea.value = styleText;
+    },
+
+    /**
+     * Creates the css text of a theme.
+     * @param {object} editorState state of the theme created by getEditorState(). If not given the current variables are used.
+     * @returns {string} css text with one selector block.
+     */
+    createStyleText: function (editorState = null) {
+        const varDefinitions = [];
+        const exportIncludeExplicitOptions = this.exportIncludeExplicitOptions;
+        const outputColorFormat = editorState ? editorState.outputColorFormat || 'hex' : this.outputColorFormat;
+        this.variableInfo.forEach((v) => {
+            // the variable states have the same properties as the VariableInfo
+            const state = editorState ? editorState.variables[v.name] : v;
+            if (!state) return;
+            let explicitDefinition = null;
+            if (exportIncludeExplicitOptions) {
+                const options = [];
+                if (state.saveExplicitRgbInOutput) options.push('saveExplicitRgbInOutput: 1');
+                if (state.optionInvert !== undefined) options.push('invert: 1');
+                if (state.optionHueRotate !== undefined) options.push('hueRotate: ' + state.optionHueRotate);
+                if (state.optionSaturationFactor !== undefined) options.push('saturationFactor: ' + state.optionSaturationFactor);
+                if (state.optionLightnessFactor !== undefined) options.push('lightnessFactor: ' + state.optionLightnessFactor);
+                if (state.outputColorFormat) options.push('outputFormat: ' + state.outputColorFormat);
+
+                if (options.length > 0)
+                    explicitDefinition = options.join(', ');
+            }
+
+            if (!explicitDefinition && !v.valueShouldGoInOutput(state)) {
+                //console.log(`skipping output for var ${v.name}, it's equal to base color`);
+                return;
+            }
+
+            if (exportIncludeExplicitOptions) {
+                // css output for saving theme definition
+                varDefinitions.push(`${v.name}: ${state.value};` + (explicitDefinition ? ` /* {${explicitDefinition}} */` : ''));
+            } else {
+                // css ouput for wiki
+                varDefinitions.push(`${v.name}: ${v.valueStringOutput(state, outputColorFormat)};`);
+                if (this.exportIncludeRgbVariants && v.hasFormatRgb)
+                    varDefinitions.push(`${v.name}--rgb: ${v.valueColorAsCommaRgbString(state)};`);
+                if (v.name == '--wiki-content-link-color') {
+                    varDefinitions.push(`--wiki-icon-to-link-filter: ${this.filterCreator.calculateFilter(state.rgb).filterString};`);
+                }
+            }
+        });
+
+        const selector = editorState
+            ? this.themeSelector(editorState.themeName || 'myThemeName', editorState.themeSelectorForm, !!editorState.themeBaseDark)
+            : this.themeSelector();
+        return varDefinitions.length == 0 ? `/* ${selector}: no variables where different from the base theme, nothing to export. */\n`
+            : selector + ' {\n    ' + varDefinitions.join('\n    ') + '\n}\n';
+    },
+    //#endregion
+
+
+    //#region undo/redo history
+    /**
+     * Max number of steps that can be undone.
+     */
+    historyMaxSteps: 100,
+    /**
+     * Changes of the same variable within this time in ms are coalesced into one step (e.g. when dragging a slider).
+     */
+    historyCoalesceTime: 500,
+
+    /**
+     * Starts a history step, all changes of variables until endHistoryStep() is called can be undone as one step.
+     * Steps can be nested, the outermost step is recorded.
+     * @param {string} label description of the step displayed in the undo/redo buttons.
+     */
+    beginHistoryStep: function (label) {
+        if (!this.undoStack) return;
+        const currentStep = this.historyCurrentStep;
+        if (currentStep) {
+            if (!currentStep.auto) {
+                currentStep.depth++;
+                return;
+            }
+            // close automatically created step of previous changes
+            this.endHistoryStep(true);
+        }
+        this.historyCurrentStep = { label: label, variableStates: new Map(), themeBaseDark: this.themeBaseDark, depth: 1 };
+    },
+
+    /**
+     * Ends the current history step and adds it to the undo stack if anything was changed.
+     * @param {boolean} force if true the step is also ended if it's nested.
+     */
+    endHistoryStep: function (force = false) {
+        const step = this.historyCurrentStep;
+        if (!step) return;
+        if (!force && --step.depth > 0) return;
+        this.historyCurrentStep = undefined;
+
+        // remove variables that were touched but ended up unchanged
+        step.variableStates.forEach((state, varName) => {
+            const varInfo = this.variableInfo.get(varName);
+            if (!varInfo || this.variableStatesEqual(state, varInfo.getState()))
+                step.variableStates.delete(varName);
+        });
+        if (step.variableStates.size == 0 && step.themeBaseDark === this.themeBaseDark) return;
+
+        step.time = Date.now();
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.historyMaxSteps)
+            this.undoStack.shift();
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    },
+
+    /**
+     * Runs a function as one history step.
+     * @param {string} label description of the step.
+     * @param {function} action
+     * @returns return value of the action.
+     */
+    runAsHistoryStep: function (label, action) {
+        this.beginHistoryStep(label);
+        try {
+            return action();
+        } finally {
+            this.endHistoryStep();
+        }
+    },
+
+    /**
+     * Saves the state of a variable before it's changed so it can be restored by undo.
+     * If no history step is active, a step is created that contains all changes until the current event is handled.
+     * @param {VariableInfo} variable
+     */
+    recordVariableChange: function (variable) {
+        if (!this.undoStack || this.historyRestoring || !variable) return;
+
+        let step = this.historyCurrentStep;
+        if (!step) {
+            // coalesce consecutive changes of the same variable, e.g. when a slider is dragged
+            const lastStep = this.undoStack[this.undoStack.length - 1];
+            if (lastStep && lastStep.coalesceKey === variable.name && this.redoStack.length == 0
+                && Date.now() - lastStep.time < this.historyCoalesceTime) {
+                step = this.undoStack.pop();
+            } else {
+                step = { label: 'edit ' + variable.name, variableStates: new Map(), themeBaseDark: this.themeBaseDark, coalesceKey: variable.name };
+            }
+            step.auto = true;
+            this.historyCurrentStep = step;
+            setTimeout(() => {
+                if (this.historyCurrentStep === step)
+                    this.endHistoryStep(true);
+            }, 0);
+        }
+
+        if (step.variableStates.has(variable.name)) return;
+        step.variableStates.set(variable.name, variable.getState());
+        if (step.auto && step.coalesceKey !== variable.name) {
+            step.coalesceKey = null;
+            step.label = 'edit multiple variables';
+        }
+    },
+
+    /**
+     * Returns true if two variable states are equal.
+     * @param {object} state1
+     * @param {object} state2
+     */
+    variableStatesEqual: function (state1, state2) {
+        return JSON.stringify(state1) === JSON.stringify(state2);
+    },
+
+    /**
+     * Restores variable states. Variables are restored in reverse order of their change so variables that depend on others are updated last.
+     * @param {Map} variableStates key: variable name, value: state.
+     * @param {boolean} reverseOrder
+     */
+    restoreVariableStates: function (variableStates, reverseOrder = false) {
+        const entries = Array.from(variableStates);
+        if (reverseOrder) entries.reverse();
+        this.historyRestoring = true;
+        try {
+            entries.forEach(([varName, state]) => {
+                const varInfo = this.variableInfo.get(varName);
+                if (varInfo)
+                    varInfo.applyState(state);
+            });
+        } finally {
+            this.historyRestoring = false;
+        }
+        this.setBackgroundImageExplicitly();
+    },
+
+    undo: function () {
+        if (!this.undoStack) return;
+        if (this.historyCurrentStep)
+            this.endHistoryStep(true);
+        const step = this.undoStack.pop();
+        if (!step) return;
+        // the current states are needed for redo
+        step.redoStates = new Map();
+        step.variableStates.forEach((_, varName) => {
+            const varInfo = this.variableInfo.get(varName);
+            if (varInfo)
+                step.redoStates.set(varName, varInfo.getState());
+        });
+        step.redoThemeBaseDark = this.themeBaseDark;
+
+        this.restoreVariableStates(step.variableStates, true);
+        this.setThemeView(step.themeBaseDark);
+        this.redoStack.push(step);
+        // don't merge following changes into a step before the undone one
+        if (this.undoStack.length > 0)
+            this.undoStack[this.undoStack.length - 1].coalesceKey = null;
+        this.updateHistoryButtons();
+    },
+
+    redo: function () {
+        if (!this.redoStack) return;
+        if (this.historyCurrentStep)
+            this.endHistoryStep(true);
+        const step = this.redoStack.pop();
+        if (!step) return;
+        this.restoreVariableStates(step.redoStates);
+        this.setThemeView(step.redoThemeBaseDark);
+        step.coalesceKey = null;
+        this.undoStack.push(step);
+        this.updateHistoryButtons();
+    },
+
+    /**
+     * Updates the enabled state and tooltips of the undo and redo buttons.
+     */
+    updateHistoryButtons: function () {
+        if (!this.undoButton || !this.redoButton) return;
+        const undoStep = this.undoStack && this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null;
+        const redoStep = this.redoStack && this.redoStack.length > 0 ? this.redoStack[this.redoStack.length - 1] : null;
+        this.undoButton.disabled = !undoStep;
+        this.undoButton.title = 'Undo (Ctrl+Z)' + (undoStep ? ': ' + undoStep.label : '');
+        this.redoButton.disabled = !redoStep;
+        this.redoButton.title = 'Redo (Ctrl+Y)' + (redoStep ? ': ' + redoStep.label : '');
+    },
+    //#endregion
+
+    //#region editor sessions
+    /**
+     * Interval in ms in which the editor state is saved automatically.
+     */
+    sessionAutosaveInterval: 30000,
+    /**
+     * Max number of saved sessions per page, older sessions are removed.
+     */
+    sessionMaxCount: 10,
+
+    /**
+     * Returns the full state of the editor, i.e. the base view, the theme name and the states of all variables.
+     * @returns {object}
+     */
+    getEditorState: function () {
+        const variables = {};
+        this.variableInfo.forEach((v, k) => { variables[k] = v.getState(); });
+        return {
+            themeBaseDark: this.themeBaseDark,
+            themeName: this.themeName,
+            themeSelectorForm: this.themeSelectorForm,
+            outputColorFormat: this.outputColorFormat,
+            variables: variables
+        };
+    },
+
+    /**
+     * Applies an editor state created by getEditorState().
+     * @param {object} editorState
+     */
+    applyEditorState: function (editorState) {
+        if (!editorState || !editorState.variables) return;
+        this.setThemeView(!!editorState.themeBaseDark);
+        this.setThemeName(editorState.themeName);
+        if (editorState.themeSelectorForm)
+            this.setThemeSelectorForm(editorState.themeSelectorForm);
+        this.setOutputColorFormat(editorState.outputColorFormat || 'hex');
+
+        // set explicit colors first so indirect definitions are calculated with the restored colors
+        const states = Object.entries(editorState.variables);
+        states.sort((a, b) => (a[1].useIndirectDefinition ? 1 : 0) - (b[1].useIndirectDefinition ? 1 : 0));
+        states.forEach(([varName, state]) => {
+            const varInfo = this.variableInfo.get(varName);
+            if (varInfo)
+                varInfo.applyState(state);
+        });
+        this.setBackgroundImageExplicitly();
+    },
+
+    /**
+     * Key of the localStorage entry where the sessions of this wiki page are saved.
+     */
+    sessionStorageKey: function () {
+        return 'tcolor-editor-sessions-' + location.hostname + location.pathname;
+    },
+
+    /**
+     * Returns the saved sessions of this page, the newest session is the last entry.
+     * @returns {object[]} sessions with the properties id, time, themeName and state.
+     */
+    loadSavedSessions: function () {
+        try {
+            const sessions = JSON.parse(localStorage.getItem(this.sessionStorageKey()));
+            return Array.isArray(sessions) ? sessions : [];
+        } catch (e) {
+            console.warn('saved editor sessions could not be read: ', e);
+            return [];
+        }
+    },
+
+    /**
+     * @param {object[]} sessions
+     */
+    storeSessions: function (sessions) {
+        try {
+            if (sessions.length == 0)
+                localStorage.removeItem(this.sessionStorageKey());
+            else
+                localStorage.setItem(this.sessionStorageKey(), JSON.stringify(sessions));
+            return true;
+        } catch (e) {
+            console.warn('editor session could not be saved: ', e);
+            return false;
+        }
+    },
+
+    /**
+     * Starts the autosave and offers to restore a previous session if there is one.
+     */
+    initializeSessions: function () {
+        this.sessionId = Date.now();
+        // only save the session if something was changed after the initial loading
+        this.sessionSavedStateJson = JSON.stringify(this.getEditorState());
 
-        this.setBackgroundImageExplicitly();
+        setInterval(() => this.saveSession(), this.sessionAutosaveInterval);
+        window.addEventListener('pagehide', () => this.saveSession());
+
+        if (this.loadSavedSessions().length > 0)
+            this.toggleSessionList(true);
     },
 
     /**
-     * Reads the variable values of the currently selected theme by the wiki theme-selector
-     * and applies the variable values to the editor variables.
+     * Saves the current editor state to the localStorage if it was changed since the last save.
      */
-    applyValuesOfCurrentPageTheme() {
-        // get styles of theme selector
-        const themeStyleEl = document.getElementById('mw-themetoggle-styleref');
-        if (!themeStyleEl) {
-            console.warn('theme selector style element with id mw-themetoggle-styleref not found. Cannot apply theme selector styles.');
-            return;
-        }
+    saveSession: function () {
+        if (!this.sessionId) return;
+        const editorState = this.getEditorState();
+        const stateJson = JSON.stringify(this.workspaceThemes && this.workspaceThemes.size > 1 ? this.getWorkspaceState(editorState) : editorState);
+        if (stateJson === this.sessionSavedStateJson) return;
+
+        const sessions = this.loadSavedSessions().filter((s) => s.id !== this.sessionId);
+        const session = { id: this.sessionId, time: Date.now(), themeName: this.themeName, state: editorState };
+        if (this.workspaceThemes && this.workspaceThemes.size > 1)
+            session.workspace = this.getWorkspaceState(editorState);
+        sessions.push(session);
+        while (sessions.length > this.sessionMaxCount)
+            sessions.shift();
+        if (this.storeSessions(sessions))
+            this.sessionSavedStateJson = stateJson;
+    },
 
-        const sheetRules = themeStyleEl.sheet.cssRules;
-        if (!sheetRules) {
-            console.warn('theme selector styles not found in (mw-themetoggle-styleref).sheet.cssRules not found. Cannot apply theme selector styles.');
+    /**
+     * Restores a saved session. The restored session is continued, i.e. it's updated by the autosave.
+     * @param {number} sessionId
+     */
+    restoreSession: function (sessionId) {
+        const session = this.loadSavedSessions().find((s) => s.id === sessionId);
+        if (!session) {
+            console.warn(`no saved session with id ${sessionId} found.`);
             return;
         }
+        // save the current work before it's replaced
+        this.saveSession();
+        if (session.workspace)
+            this.applyWorkspaceState(session.workspace);
+        else
+            this.runAsHistoryStep('restore session', () => this.applyEditorState(session.state));
+        this.sessionId = session.id;
+        this.sessionSavedStateJson = JSON.stringify(session.workspace ? this.getWorkspaceState() : this.getEditorState());
+    },
 
-        // clear editor style element so current wiki theme styles are valid and can be read
-        const tceStylesElement = document.getElementById('tcolor-editor-styles');
-        if (tceStylesElement && tceStylesElement.sheet.length > 0)
-            tceStylesElement.sheet.deleteRule(0);
+    /**
+     * @param {number} sessionId
+     */
+    deleteSession: function (sessionId) {
+        this.storeSessions(this.loadSavedSessions().filter((s) => s.id !== sessionId));
+    },
 
-        const sheetRulesArray = [];
-        for (let i = 0; i < sheetRules.length; i++) {
-            const sr = sheetRules[i];
-            if (sr.selectorText && (sr.selectorText.includes(':root') || sr.selectorText.includes('html')))
-                sheetRulesArray.push(sr);
+    /**
+     * Shows or hides the list of saved sessions.
+     * @param {boolean | undefined} show if undefined the visibility is toggled.
+     */
+    toggleSessionList: function (show = undefined) {
+        if (!this.sessionsEl) {
+            this.sessionsEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup transition-show transition-hide', document.body);
+            const bt = this.createElementAndAdd('div', 'tcolor-editor-close-button', this.sessionsEl, null, '×');
+            bt.addEventListener('click', () => this.toggleSessionList(false));
+            this.createElementAndAdd('div', null, this.sessionsEl, null, 'saved editor sessions');
+            this.sessionsListEl = this.createElementAndAdd('div', 'tcolor-editor-table', this.sessionsEl);
         }
+        if (show === undefined)
+            show = this.sessionsEl.classList.contains('transition-hide');
+        if (show)
+            this.updateSessionList();
+        this.sessionsEl.classList.toggle('transition-hide', !show);
+    },
 
-        // first collect values without updating it
-        const varValues = new Map();
-        this.variableInfo.forEach(v => {
-            let varValue = '';
-            sheetRulesArray.forEach(sr => {
-                const varValueRule = sr.style.getPropertyValue(v.name);
-                if (varValueRule) varValue = varValueRule;
+    /**
+     * Fills the session list with the saved sessions, newest first.
+     */
+    updateSessionList: function () {
+        this.sessionsListEl.innerHTML = '';
+        const sessions = this.loadSavedSessions().reverse();
+        if (sessions.length == 0) {
+            this.createElementAndAdd('div', null, this.sessionsListEl, null, 'no saved sessions for this page');
+            return;
+        }
+        sessions.forEach((session) => {
+            const row = this.createElementAndAdd('div', 'tcolor-editor-table-row', this.sessionsListEl);
+            const changedCount = session.state && session.state.variables
+                ? Object.values(session.state.variables).filter((v) => !this.rgbEqual(v.rgb, v.baseColor)).length : 0;
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null,
+                new Date(session.time).toLocaleString() + (session.id === this.sessionId ? ' (current session)' : ''));
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, session.workspace
+                ? session.workspace.themes.map((t) => 'theme-' + (t.themeName || '?')).join(', ')
+                : (session.themeName ? 'theme-' + session.themeName : ''));
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, `${changedCount} changed variables`);
+            const buttonCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+            let bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonCell, 'Restore this session. The current state is saved before.', 'restore');
+            bt.addEventListener('click', () => {
+                this.restoreSession(session.id);
+                this.toggleSessionList(false);
+            });
+            bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonCell, 'Delete this saved session', 'delete');
+            bt.addEventListener('click', () => {
+                this.deleteSession(session.id);
+                this.updateSessionList();
             });
-            if (varValue)
-                varValues.set(v.name, varValue);
         });
+    },
+    //#endregion
 
-        if (varValues.length == 0) {
-            console.warn('the theme selector element with id mw-themetoggle-styleref did not contain any values for the used variables.');
-            return;
+    //#region workspace
+    /**
+     * Creates the workspace with the current theme as only working theme.
+     */
+    initializeWorkspace: function () {
+        this.workspaceThemes = new Map();
+        this.activeWorkspaceThemeId = this.addWorkspaceTheme(this.getEditorState(), false);
+        this.updateWorkspaceSelector();
+    },
+
+    /**
+     * Adds a working theme to the workspace.
+     * @param {object} editorState state of the theme.
+     * @param {boolean} switchToTheme if true the added theme is edited.
+     * @returns {number} id of the added theme.
+     */
+    addWorkspaceTheme: function (editorState, switchToTheme = true) {
+        let id = Date.now();
+        while (this.workspaceThemes.has(id)) id++;
+        this.workspaceThemes.set(id, { state: editorState, undoStack: [], redoStack: [] });
+        if (switchToTheme)
+            this.switchWorkspaceTheme(id);
+        else
+            this.updateWorkspaceSelector();
+        return id;
+    },
+
+    /**
+     * Adds a copy of the current theme to the workspace and edits it.
+     */
+    duplicateWorkspaceTheme: function () {
+        const editorState = this.getEditorState();
+        editorState.themeName = this.uniqueWorkspaceThemeName((editorState.themeName || 'myThemeName') + '-copy');
+        this.addWorkspaceTheme(editorState);
+    },
+
+    /**
+     * Adds a working theme for each theme defined in the page styles (theme-*) that is not yet in the workspace.
+     */
+    addPageThemesToWorkspace: function () {
+        this.storeActiveWorkspaceTheme();
+        const activeState = this.workspaceThemes.get(this.activeWorkspaceThemeId).state;
+        const existingNames = new Set(Array.from(this.workspaceThemes.values()).map((t) => t.state.themeName));
+        let addedCount = 0;
+        this.historyRestoring = true;
+        try {
+            this.baseCss.forEach((_, k) => {
+                if (!k.startsWith('theme-') || existingNames.has(k.substring(6))) return;
+                // the theme is applied on the view it's based on to get its state
+                this.applyEditorState(activeState);
+                const baseDark = this.pageThemeBaseDark(k);
+                if (baseDark !== undefined) this.setThemeView(baseDark);
+                this.applyTheme(k);
+                this.addWorkspaceTheme(this.getEditorState(), false);
+                addedCount++;
+            });
+            this.applyEditorState(activeState);
+        } finally {
+            this.historyRestoring = false;
         }
+        console.log(`${addedCount} themes of the page were added to the workspace.`);
+    },
 
-        if (tceStylesElement) {
-            // When selecting a theme of an external file, a new head element may be added where the styles are loaded.
-            // Make sure the styles of this editor are the last style element.
-            document.head.appendChild(tceStylesElement);
-            tceStylesElement.sheet.insertRule(':root {}'); // re add previously deleted rule
-            this.pageRules = tceStylesElement.sheet.cssRules[0].style;
+    /**
+     * Removes the active working theme from the workspace and switches to another one.
+     */
+    removeActiveWorkspaceTheme: function () {
+        if (this.workspaceThemes.size < 2) return;
+        const removeId = this.activeWorkspaceThemeId;
+        const switchToId = Array.from(this.workspaceThemes.keys()).find((id) => id !== removeId);
+        this.switchWorkspaceTheme(switchToId);
+        this.workspaceThemes.delete(removeId);
+        this.updateWorkspaceSelector();
+    },
+
+    /**
+     * Saves the current state and history of the active theme in the workspace.
+     */
+    storeActiveWorkspaceTheme: function () {
+        const activeTheme = this.workspaceThemes.get(this.activeWorkspaceThemeId);
+        if (!activeTheme) return;
+        if (this.historyCurrentStep)
+            this.endHistoryStep(true);
+        activeTheme.state = this.getEditorState();
+        activeTheme.undoStack = this.undoStack;
+        activeTheme.redoStack = this.redoStack;
+    },
+
+    /**
+     * Edits another working theme, the edits of the current theme are kept in the workspace.
+     * @param {number} id
+     */
+    switchWorkspaceTheme: function (id) {
+        const theme = this.workspaceThemes.get(id);
+        if (!theme || id === this.activeWorkspaceThemeId) {
+            this.updateWorkspaceSelector();
+            return;
         }
-        this.previewPopups.forEach(p => {
-            const styleElement = p.w.document.getElementById('tcolor-editor-styles');
-            if (styleElement)
-                styleElement.remove();
-            p.s = this.addPreviewStyleElement(p.w.document);
-        });
+        this.storeActiveWorkspaceTheme();
+        this.activeWorkspaceThemeId = id;
+        this.historyRestoring = true;
+        try {
+            this.applyEditorState(theme.state);
+        } finally {
+            this.historyRestoring = false;
+        }
+        // each theme has its own history
+        this.undoStack = theme.undoStack;
+        this.redoStack = theme.redoStack;
+        this.updateHistoryButtons();
+        this.updateWorkspaceSelector();
+    },
 
-        // update variable values
-        this.variableInfo.forEach(v => {
-            const varValue = varValues.get(v.name);
-            if (varValue)
-                v.setValue(varValue);
+    /**
+     * Returns the states of all working themes.
+     * @param {object} activeState (optional) current state of the active theme if already available.
+     * @returns {object} object with the properties themes (array of editor states) and activeIndex.
+     */
+    getWorkspaceState: function (activeState = undefined) {
+        const themes = [];
+        let activeIndex = 0;
+        this.workspaceThemes.forEach((t, id) => {
+            if (id === this.activeWorkspaceThemeId) {
+                activeIndex = themes.length;
+                themes.push(activeState ? activeState : this.getEditorState());
+            } else themes.push(t.state);
         });
+        return { themes: themes, activeIndex: activeIndex };
+    },
 
-        // update background if it was changed by the theme
-        this.setBackgroundImageExplicitly();
+    /**
+     * Replaces the workspace with the given working themes.
+     * @param {object} workspaceState object created by getWorkspaceState().
+     */
+    applyWorkspaceState: function (workspaceState) {
+        if (!workspaceState || !workspaceState.themes || workspaceState.themes.length == 0) return;
+        this.workspaceThemes = new Map();
+        this.activeWorkspaceThemeId = undefined;
+        const ids = workspaceState.themes.map((editorState) => this.addWorkspaceTheme(editorState, false));
+        const activeIndex = workspaceState.activeIndex >= 0 && workspaceState.activeIndex < ids.length ? workspaceState.activeIndex : 0;
+        this.switchWorkspaceTheme(ids[activeIndex]);
     },
 
     /**
-     * Set the background-image property of the body element explicitly to its calculated value.
-     * Usually the background-image is set via a variable (e.g. --wiki-body-background-image).
-     * Setting the value explicitly will prevent flickering of the background-image if color variables are adjusted in a high frequency and a preview window is opened.
-     * @param {window} win 
-     * @param {string} backgroundStyle 
+     * Returns the name if no other working theme has it, else a number is appended.
+     * @param {string} name
      */
-    setBackgroundImageExplicitly: function () {
-        document.body.style.removeProperty('background'); // remove previously explicitly set property
-        const computedBodyBackground = getComputedStyle(document.body).background;
-        if (computedBodyBackground.includes('url')) {
-            document.body.style.setProperty('background', computedBodyBackground);
-            this.previewPopups.forEach((p) => p.w.document.body.style.setProperty('background', computedBodyBackground));
-        } else {
-            this.previewPopups.forEach((p) => p.w.document.body.style.removeProperty('background'));
-        }
+    uniqueWorkspaceThemeName: function (name) {
+        const names = new Set(Array.from(this.workspaceThemes.values()).map((t) => t.state.themeName));
+        if (!names.has(name)) return name;
+        let i = 2;
+        while (names.has(name + '-' + i)) i++;
+        return name + '-' + i;
     },
 
-    invertAllLightness: function (useLuminance = false) {
-        if (useLuminance)
-            this.variableInfo.forEach((v) => {
-                if (!v.useIndirectDefinition)
-                    v.setColor(this.inverseLuminanceOfColor(v.rgb));
-            });
-        else
-            this.variableInfo.forEach((v) => {
-                if (!v.useIndirectDefinition)
-                    v.setColor(this.inverseLightnessOfColor(v.rgb));
-            });
-        // adjust view the theme is based on (view-light or view-dark)
-        // if variable --wiki-content-text-color is available, use that as indicator (dark text: view-light and vice versa)
-        // if that variable is not existing, just toggle the view
-        let useViewDark = undefined;
-        const defaultVarTextColor = this.variableInfo.get('--wiki-content-text-color');
-        if (defaultVarTextColor) {
-            useViewDark = this.rgbToHsvSl(defaultVarTextColor.rgb)[4] > 50; // use dark-view if lightness of text color is larger than 50%
-        } else {
-            useViewDark = !this.themeBaseDark;
-        }
-        this.setThemeView(useViewDark);
-        this.applyThemeAsBase(this.themeBaseDark ? 'view-dark' : 'view-light')
+    /**
+     * Creates the css text of all working themes, one selector block per theme.
+     * @returns {string}
+     */
+    createWorkspaceStyleText: function () {
+        return this.getWorkspaceState().themes.map((editorState) => this.createStyleText(editorState)).join('\n');
     },
 
-    applyAllSuggestions: function () {
+    /**
+     * Updates the options of the working theme select element.
+     */
+    updateWorkspaceSelector: function () {
+        if (!this.workspaceSelectorEl || !this.workspaceThemes) return;
+        this.workspaceSelectorEl.innerHTML = '';
+        this.workspaceThemes.forEach((t, id) => {
+            const name = id === this.activeWorkspaceThemeId ? this.themeName : t.state.themeName;
+            this.createElementAndAdd('option', null, this.workspaceSelectorEl, null, 'theme-' + (name || 'myThemeName'), { 'value': id });
+        });
+        this.workspaceSelectorEl.value = this.activeWorkspaceThemeId;
+        if (this.workspaceRemoveButton)
+            this.workspaceRemoveButton.disabled = this.workspaceThemes.size < 2;
+    },
+    //#endregion
+
+    //#region work file
+    /**
+     * Identifier of the json work file format.
+     */
+    workFileFormat: 'theme-color-editor-work-file',
+    /**
+     * Version of the json work file format, increase if the format changes incompatibly.
+     */
+    workFileVersion: 1,
+
+    /**
+     * Creates the json work file object with the state of all working themes.
+     * @returns {object}
+     */
+    createWorkFile: function () {
+        const workspaceState = this.getWorkspaceState();
+
+        // contrast requirements that are different from the default
+        const contrastOverrides = {};
+        const lcOverrides = {};
         this.variableInfo.forEach((v) => {
-            v.setValueByDefinition();
+            if (!v.contrastVariables) return;
+            v.contrastVariables.forEach((cv) => {
+                // needed contrasts derived from the contrast type depend on the conformance level and are not saved
+                if (cv.explicitMinContrast !== undefined) {
+                    if (!contrastOverrides[v.name]) contrastOverrides[v.name] = {};
+                    contrastOverrides[v.name][cv.variableName] = cv.explicitMinContrast;
+                }
+                if (cv.explicitMinLc !== undefined) {
+                    if (!lcOverrides[v.name]) lcOverrides[v.name] = {};
+                    lcOverrides[v.name][cv.variableName] = cv.explicitMinLc;
+                }
+            });
         });
+
+        const author = localStorage.getItem('tcolor-editor-work-file-author');
+        return {
+            format: this.workFileFormat,
+            version: this.workFileVersion,
+            meta: {
+                author: author ? author : undefined,
+                date: new Date().toISOString(),
+                wiki: location.hostname,
+                page: location.pathname
+            },
+            activeTheme: workspaceState.activeIndex,
+            themes: workspaceState.themes.map((editorState) => this.editorStateToWorkFileTheme(editorState)),
+            contrastOverrides: contrastOverrides,
+            lcOverrides: lcOverrides
+        };
     },
 
-    importStyles: function (useLightView) {
-        const varMatches = Array.from(this.inOutTextarea.value.matchAll(/(--[-\w]+)\s*:\s*([^;]+)\s*;(?:[ \t]*\/\*[ \t]*\{([^}]+)\}[ \t]*\*\/)?/g));
-        if (varMatches.length == 0) {
-            console.warn(`couldn't import, no variable definitions found in the input\n${this.inOutTextarea.value}`);
-            return;
-        }
-        if (useLightView) this.applyTheme('view-light');
-        else this.applyTheme('view-dark');
-        varMatches.forEach((m) => {
-            const varInfo = this.variableInfo.get(m[1]);
-            if (!varInfo) {
-                if (!m[1].endsWith('--rgb'))
-                    console.log(`var ${m[1]} not found in given variables, couldn't apply value`);
-                return;
-            }
+    /**
+     * Converts an editor state to the theme representation of the work file.
+     * @param {object} editorState
+     */
+    editorStateToWorkFileTheme: function (editorState) {
+        const variables = {};
+        Object.entries(editorState.variables).forEach(([varName, state]) => {
+            const useIndirectDefinition = state.useIndirectDefinition && state.indirectDefinition;
+            const varDefinition = { value: useIndirectDefinition ? state.indirectDefinition : this.rgbToHexString(state.rgb) };
+            // disabled indirect definitions are kept
+            if (!useIndirectDefinition && state.indirectDefinition)
+                varDefinition.indirectDefinition = state.indirectDefinition;
+            if (state.saveExplicitRgbInOutput) varDefinition.saveExplicitRgbInOutput = true;
+            if (state.optionInvert) varDefinition.invert = true;
+            if (state.optionHueRotate) varDefinition.hueRotate = state.optionHueRotate;
+            if (state.optionSaturationFactor !== undefined && state.optionSaturationFactor != 1) varDefinition.saturationFactor = state.optionSaturationFactor;
+            if (state.optionLightnessFactor !== undefined && state.optionLightnessFactor != 1) varDefinition.lightnessFactor = state.optionLightnessFactor;
+            if (state.outputColorFormat) varDefinition.outputFormat = state.outputColorFormat;
+            if (state.optionLocked) varDefinition.locked = true;
+            variables[varName] = varDefinition;
+        });
+        return {
+            name: editorState.themeName,
+            selectorForm: editorState.themeSelectorForm,
+            baseView: editorState.themeBaseDark ? 'view-dark' : 'view-light',
+            outputColorFormat: editorState.outputColorFormat,
+            variables: variables
+        };
+    },
 
-            varInfo.setValue(m[2]);
+    /**
+     * Parses and imports a json work file.
+     * @param {string} text
+     * @returns {boolean} whether the work file could be imported.
+     */
+    importWorkFileText: function (text) {
+        let workFile;
+        try {
+            workFile = JSON.parse(text);
+        } catch (e) {
+            console.warn(`couldn't import work file, the text is no valid json: ${e.message}`);
+            return false;
+        }
+        return this.importWorkFile(workFile);
+    },
 
-            if (m[3]) {
-                const optionMatches = Array.from(m[3].matchAll(/(saveExplicitRgbInOutput|invert|hueRotate|saturationFactor|lightnessFactor) *: *(\d+(?:\.\d+)?)/g));
-                if (optionMatches.length > 0) {
+    /**
+     * Imports a work file created by createWorkFile(). The working themes are replaced by the themes of the file.
+     * @param {object} workFile
+     * @returns {boolean} whether the work file could be imported.
+     */
+    importWorkFile: function (workFile) {
+        if (!workFile || workFile.format !== this.workFileFormat) {
+            console.warn(`couldn't import work file, the format is not ${this.workFileFormat}`);
+            return false;
+        }
+        if (!(workFile.version <= this.workFileVersion)) {
+            console.warn(`couldn't import work file, version ${workFile.version} is not supported (supported up to version ${this.workFileVersion})`);
+            return false;
+        }
+        if (!Array.isArray(workFile.themes) || workFile.themes.length == 0) {
+            console.warn(`couldn't import work file, it contains no themes`);
+            return false;
+        }
 
-                    // first set to default
-                    const options = new Map();
-                    options.set('saveExplicitRgbInOutput', false);
-                    options.set('optionInvert', false);
-                    options.set('optionHueRotate', 0);
-                    options.set('optionSaturationFactor', 1);
-                    options.set('optionLightnessFactor', 1);
+        // the states are created without changing the editor, only the final workspace is applied
+        let editorStates;
+        try {
+            editorStates = workFile.themes.map((theme) => this.workFileThemeToEditorState(theme));
+        } catch (e) {
+            console.warn(`couldn't import work file, a theme is invalid: ${e.message}`);
+            return false;
+        }
 
-                    optionMatches.forEach(optionMatch => {
-                        let parsedNumber;
-                        switch (optionMatch[1]) {
-                            case 'saveExplicitRgbInOutput':
-                                options.set('saveExplicitRgbInOutput', !!optionMatch[2]);
-                                break;
-                            case 'invert':
-                                options.set('optionInvert', !!optionMatch[2]);
-                                break;
-                            case 'hueRotate':
-                                parsedNumber = parseFloat(optionMatch[2]);
-                                if (isNaN(parsedNumber)) parsedNumber = 0;
-                                options.set('optionHueRotate', parsedNumber);
-                                break;
-                            case 'saturationFactor':
-                                parsedNumber = parseFloat(optionMatch[2]);
-                                if (isNaN(parsedNumber)) parsedNumber = 0;
-                                options.set('optionSaturationFactor', parsedNumber);
-                                break;
-                            case 'lightnessFactor':
-                                parsedNumber = parseFloat(optionMatch[2]);
-                                if (isNaN(parsedNumber)) parsedNumber = 0;
-                                options.set('optionLightnessFactor', parsedNumber);
-                                break;
-                        }
-                    });
-                    for (const [option, value] of options) {
-                        varInfo[option] = value;
-                    }
-                }
-            }
+        // the overrides of a previously imported file are replaced, pairs without override use the requirements of the table
+        this.variableInfo.forEach((v) => {
+            if (!v.contrastVariables) return;
+            v.contrastVariables.forEach((cv) => {
+                cv.explicitMinContrast = cv.tableMinContrast;
+                cv.explicitMinLc = cv.tableMinLc;
+                cv.updateNeededContrast();
+            });
         });
+        if (workFile.contrastOverrides) {
+            Object.entries(workFile.contrastOverrides).forEach(([varName, overrides]) => {
+                const varInfo = this.variableInfo.get(varName);
+                if (!varInfo || !varInfo.contrastVariables || !overrides) return;
+                varInfo.contrastVariables.forEach((cv) => {
+                    const minContrast = Number(overrides[cv.variableName]);
+                    if (isFinite(minContrast) && minContrast > 0) {
+                        cv.explicitMinContrast = minContrast;
+                        cv.updateNeededContrast();
+                    }
+                });
+            });
+        }
+        if (workFile.lcOverrides) {
+            Object.entries(workFile.lcOverrides).forEach(([varName, overrides]) => {
+                const varInfo = this.variableInfo.get(varName);
+                if (!varInfo || !varInfo.contrastVariables || !overrides) return;
+                varInfo.contrastVariables.forEach((cv) => {
+                    const minLc = Number(overrides[cv.variableName]);
+                    if (isFinite(minLc) && minLc > 0) {
+                        cv.explicitMinLc = minLc;
+                        cv.updateNeededContrast();
+                    }
+                });
+            });
+        }
+
+        this.applyWorkspaceState({ themes: editorStates, activeIndex: workFile.activeTheme });
+        // the overrides also change the status of contrasts whose colors didn't change
+        this.updateAllContrasts();
+        if (workFile.meta)
+            console.log(`imported work file` + (workFile.meta.author ? ` of ${workFile.meta.author}` : '') + (workFile.meta.date ? ` from ${workFile.meta.date}` : ''));
         // close import textarea
         this.inOutStyleSheetEl.classList.toggle('transition-hide', true);
+        return true;
     },
 
     /**
-     * Exports current styles.
-     * @param {boolean} returnText If true the generated style text is returned. If false, the text is displayed in a textarea.
+     * Converts a theme of the work file to an editor state. The base values are taken from the base view of the theme (see baseCss).
+     * The editor is not changed, the colors of indirect definitions are evaluated with resolveThemeColors() and suggestionColor().
+     * @param {object} theme
+     * @returns {object} editor state
      */
-    exportStyles: function (returnText = false) {
-        const varDefinitions = [];
-        const exportIncludeExplicitOptions = this.exportIncludeExplicitOptions;
-        this.variableInfo.forEach((v) => {
-            let explicitDefinition = null;
-            if (exportIncludeExplicitOptions) {
-                const options = [];
-                if (v.saveExplicitRgbInOutput) options.push('saveExplicitRgbInOutput: 1');
-                if (v.optionInvert !== undefined) options.push('invert: 1');
-                if (v.optionHueRotate !== undefined) options.push('hueRotate: ' + v.optionHueRotate);
-                if (v.optionSaturationFactor !== undefined) options.push('saturationFactor: ' + v.optionSaturationFactor);
-                if (v.optionLightnessFactor !== undefined) options.push('lightnessFactor: ' + v.optionLightnessFactor);
+    workFileThemeToEditorState: function (theme) {
+        const baseDark = theme.baseView === 'view-dark';
+        const baseDefinitions = this.themeVariableDefinitions(this.baseCss, baseDark);
+        const baseColors = this.resolveThemeColors(baseDefinitions);
+        const editorState = {
+            themeBaseDark: baseDark,
+            themeName: typeof theme.name === 'string' ? theme.name : undefined,
+            themeSelectorForm: theme.selectorForm ? theme.selectorForm : 'class',
+            outputColorFormat: this.outputColorFormats.includes(theme.outputColorFormat) ? theme.outputColorFormat : 'hex',
+            variables: {}
+        };
 
-                if (options.length > 0)
-                    explicitDefinition = options.join(', ');
-            }
+        // base state of the view
+        this.variableInfo.forEach((_, varName) => {
+            const baseValue = baseDefinitions.get(varName);
+            const baseColor = baseColors.get(varName);
+            const indirect = baseValue !== undefined && baseValue.includes('var');
+            editorState.variables[varName] = {
+                value: baseValue,
+                rgb: baseColor ? [...baseColor] : undefined,
+                indirectDefinition: indirect ? baseValue : undefined,
+                useIndirectDefinition: indirect,
+                saveExplicitRgbInOutput: false,
+                optionLocked: false,
+                baseValue: baseValue,
+                baseColor: baseColor ? [...baseColor] : undefined
+            };
+        });
 
-            if (!explicitDefinition && !v.valueShouldGoInOutput()) {
-                //console.log(`skipping output for var ${v.name}, it's equal to base color`);
+        const optionalNumber = (n) => n === undefined || n === null || !isFinite(Number(n)) ? undefined : Number(n);
+        Object.entries(theme.variables ? theme.variables : {}).forEach(([varName, varDefinition]) => {
+            const state = editorState.variables[varName];
+            if (!state) {
+                console.log(`var ${varName} not found in given variables, couldn't apply value`);
                 return;
             }
-
-            if (exportIncludeExplicitOptions) {
-                // css output for saving theme definition
-                varDefinitions.push(`${v.name}: ${v.value};` + (explicitDefinition ? ` /* {${explicitDefinition}} */` : ''));
+            if (!varDefinition || typeof varDefinition.value !== 'string') {
+                console.warn(`var ${varName} has no valid value in the work file`);
+                return;
+            }
+            const rgb = !varDefinition.value.includes('var') ? this.parseColor(varDefinition.value) : null;
+            state.value = varDefinition.value;
+            if (rgb) {
+                state.rgb = rgb;
+                state.useIndirectDefinition = false;
+                state.indirectDefinition = typeof varDefinition.indirectDefinition === 'string' ? varDefinition.indirectDefinition : undefined;
             } else {
-                // css ouput for wiki
-                varDefinitions.push(`${v.name}: ${v.valueStringOutput()};`);
-                if (this.exportIncludeRgbVariants && v.hasFormatRgb)
-                    varDefinitions.push(`${v.name}--rgb: ${v.valueColorAsCommaRgbString()};`);
-                if (v.name == '--wiki-content-link-color') {
-                    varDefinitions.push(`--wiki-icon-to-link-filter: ${this.filterCreator.calculateFilter(v.rgb).filterString};`);
-                }
+                state.useIndirectDefinition = true;
+                state.indirectDefinition = varDefinition.value;
             }
+            state.saveExplicitRgbInOutput = !!varDefinition.saveExplicitRgbInOutput;
+            state.optionInvert = varDefinition.invert ? true : undefined;
+            state.optionHueRotate = optionalNumber(varDefinition.hueRotate);
+            state.optionSaturationFactor = optionalNumber(varDefinition.saturationFactor);
+            state.optionLightnessFactor = optionalNumber(varDefinition.lightnessFactor);
+            state.outputColorFormat = this.outputColorFormats.includes(varDefinition.outputFormat) ? varDefinition.outputFormat : undefined;
+            state.optionLocked = !!varDefinition.locked;
         });
 
-        const styleText = varDefinitions.length == 0 ? '/* no variables where different from the base theme, nothing to export. */'
-            : '.theme-myThemeName {\n    ' + varDefinitions.join('\n    ') + '\n}\n';
-
-        if (returnText) return styleText;
-        this.inOutTextarea.value = styleText;
-    },
-    //#endregion
-
-    //#region general utils
-
-    roundToDigits: function (val, digits) {
-        const power = Math.pow(10, digits);
-        return Math.round(val * power) / power;
-    },
-
-    /**
-     * Throttles a function call, calls after the cooldown again if called during cooldown
-     * @param {function} functionToThrottle 
-     * @param {number} delay 
-     * @returns throttled function
-     */
-    throttle: function (functionToThrottle, delay = 50) {
-        let isInCooldown = false;
-        let callAfterThrottle = false;
-
-        return (...args) => {
-            if (isInCooldown) {
-                callAfterThrottle = true;
-                return;
-            }
-            functionToThrottle(...args);
-            isInCooldown = true;
-            callAfterThrottle = false;
-            setTimeout(nextPossibleCall, delay);
-            function nextPossibleCall() {
-                if (callAfterThrottle) {
-                    callAfterThrottle = false;
-                    functionToThrottle(...args);
-                    setTimeout(nextPossibleCall, delay);
-                    return;
-                }
-                isInCooldown = false;
-            }
+        // colors of the indirect definitions with their adjustments, circular definitions keep their base color
+        const colors = new Map();
+        const resolving = new Set();
+        const resolve = (varName) => {
+            if (colors.has(varName)) return colors.get(varName);
+            const state = editorState.variables[varName];
+            if (!state) return baseColors.has(varName) ? baseColors.get(varName) : null;
+            if (!state.useIndirectDefinition) return state.rgb ? state.rgb : null;
+            if (resolving.has(varName)) return null;
+            resolving.add(varName);
+            // the color options are only applied with saveExplicitRgbInOutput, like in VariableInfo.getCalculatedColorRgb()
+            const adjusted = state.saveExplicitRgbInOutput;
+            const rgb = this.suggestionColor({
+                indirect: state.indirectDefinition,
+                invert: adjusted ? state.optionInvert : undefined,
+                hueRotate: adjusted ? state.optionHueRotate : undefined,
+                saturationFactor: adjusted ? state.optionSaturationFactor : undefined,
+                lightnessFactor: adjusted ? state.optionLightnessFactor : undefined
+            }, resolve);
+            resolving.delete(varName);
+            if (rgb) colors.set(varName, rgb);
+            return rgb;
         };
+        const indirectDefinitions = new Map();
+        Object.entries(editorState.variables).forEach(([varName, state]) => {
+            if (!state.useIndirectDefinition) return;
+            indirectDefinitions.set(varName, state.indirectDefinition);
+            const rgb = resolve(varName);
+            if (rgb) state.rgb = rgb;
+        });
+        this.reportCircularDefinitions(`work file theme "${editorState.themeName}"`, indirectDefinitions);
+        return editorState;
     },
 
     /**
-     * Debounces a function, it will only execute when the function was not called for some time.
-     * @param {function} functionToDebounce 
-     * @param {number} waitFor 
+     * Downloads the json work file.
      */
-    debounce: function (functionToDebounce, waitFor = 500) {
-        let timerId;
-        return (...args) => {
-            clearTimeout(timerId);
-            timerId = setTimeout(() => functionToDebounce.apply(this, args), waitFor);
-        }
+    downloadWorkFile: function () {
+        const blob = new Blob([JSON.stringify(this.createWorkFile(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = this.createElementAndAdd('a', null, null, null, null, { 'href': url, 'download': `theme-${this.themeName || 'myThemeName'}.json` });
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
     //#endregion
 
@@ -854,6 +4281,30 @@ const themeColorEditor = {
         toolBarElement.className = 'tcolor-editor-toolbar tcolor-editor-control';
         document.body.appendChild(toolBarElement);
 
+        // undo redo
+        const divHistory = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
+        this.createElementAndAdd('span', 'tcolor-editor-groupbox-heading', divHistory, null, 'history');
+        this.undoButton = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', divHistory, 'Undo (Ctrl+Z)', '↶ undo');
+        this.undoButton.addEventListener('click', () => this.undo());
+        this.redoButton = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', divHistory, 'Redo (Ctrl+Y)', '↷ redo');
+        this.redoButton.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // keep the native undo of text inputs
+            const target = e.target;
+            if (target && (target.tagName === 'TEXTAREA' || target.isContentEditable
+                || (target.tagName === 'INPUT' && target.type !== 'checkbox' && target.type !== 'range')))
+                return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         // global color tools
         const divTools = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
         this.createElementAndAdd('span', 'tcolor-editor-groupbox-heading', divTools, null, 'global color tools');
@@ -861,10 +4312,10 @@ const themeColorEditor = {
             'Select on which view the theme is based on (light or dark).\nThis has an effect whether a variable will be in the output or not\n(variables equal to their base value of the view will not be included in the output).',
             'theme based on');
         const viewToggleEl = this.createCheckbox('view-light',
-            (e) => {
+            (e) => this.runAsHistoryStep('change base view', () => {
                 this.setThemeView(e.target.checked);
                 this.applyThemeAsBase(this.themeBaseDark ? 'view-dark' : 'view-light');
-            },
+            }),
             'view the theme is based on', true);
         divTools.appendChild(viewToggleEl);
         this.createElementAndAdd('div', 'tcolor-editor-separator', divTools);
@@ -875,11 +4326,62 @@ const themeColorEditor = {
         };
         let bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divTools,
             'Inverts the lightness of all colors (switching dark <-> light)\nThe base view (dark or light theme) is also toggled. If that is not correct you can change that using the "rebase" button after setting the view toggle button.', 'invert all color\'s lightness');
-        bt.addEventListener('click', () => this.invertAllLightness());
+        bt.addEventListener('click', () => this.runAsHistoryStep('invert all lightness', () => this.invertAllLightness()));
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divTools,
             'Applies all suggested values to according values.\nThis affects usually black/white base colors and secondary colors dependant on other colors.\nThis can be done when starting a color theme, later it might overwrite changes you already made.',
             'apply all suggestions');
-        bt.addEventListener('click', () => this.applyAllSuggestions());
+        bt.addEventListener('click', () => this.runAsHistoryStep('apply all suggestions', () => this.applyAllSuggestions()));
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divTools,
+            'Generates all colors of a theme from a background, a text and an accent color.\nThe variants are shown before one is applied.', 'generate theme');
+        bt.addEventListener('click', () => this.showThemeGenerator());
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divTools,
+            'Shows the indirect definitions as graph, e.g. to see which variables change when a variable is edited.', 'dependency graph');
+        bt.addEventListener('click', () => this.toggleDependencyGraph());
+
+        // contrast model
+        const divContrast = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
+        this.createElementAndAdd('span', 'tcolor-editor-groupbox-heading', divContrast, null, 'contrast');
+        this.contrastModelEl = this.createElementAndAdd('select', null, divContrast,
+            'Contrast model of the contrast indicators, thresholds and fix buttons.\nWCAG 2: contrast ratio of the relative luminances (data-min-contrast).\nAPCA: lightness contrast Lc, the row color is the background (data-min-lc). It\'s more accurate for dark themes.');
+        [['wcag2', 'WCAG 2 ratio'], ['apca', 'APCA Lc']].forEach(([value, text]) => {
+            this.createElementAndAdd('option', null, this.contrastModelEl, null, text, { 'value': value });
+        });
+        this.contrastModelEl.addEventListener('change', (e) => this.setContrastModel(e.target.value));
+        this.conformanceLevelEl = this.createElementAndAdd('select', null, divContrast,
+            'WCAG conformance level of the needed contrasts.\nThe needed contrasts are derived from the contrast type of each pair (data-contrast-type: normal-text, large-text, non-text or decorative).\nValues set with data-min-contrast or data-min-lc are used regardless of the level.');
+        this.conformanceLevels.forEach((level) => {
+            this.createElementAndAdd('option', null, this.conformanceLevelEl, null, level, { 'value': level });
+        });
+        this.conformanceLevelEl.addEventListener('change', (e) => this.setConformanceLevel(e.target.value));
+        this.contrastSideBySideEl = this.createCheckbox('show both',
+            (e) => this.setContrastSideBySide(e.target.checked),
+            'Show the contrast of the other model too in the contrast indicators.');
+        divContrast.appendChild(this.contrastSideBySideEl);
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divContrast,
+            'Shows all contrast checks of the variable table in one list.', 'contrast report');
+        bt.addEventListener('click', () => this.toggleContrastReport());
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divContrast,
+            'Proposes the smallest lightness changes that fix all contrasts of the table together.\nLocked variables are not changed, also not by the variables they\'re defined from.\nIndirectly defined variables follow the variables they\'re defined from.\nThe proposed changes are shown before they are applied.', 'fix all contrasts');
+        bt.addEventListener('click', () => this.fixAllContrasts());
+        this.setContrastModel(localStorage.getItem('tcolor-editor-contrast-model') || this.contrastModel);
+        this.setConformanceLevel(localStorage.getItem('tcolor-editor-conformance-level') || this.conformanceLevel);
+        this.setContrastSideBySide(localStorage.getItem('tcolor-editor-contrast-side-by-side') === 'true');
+
+        // color vision simulation
+        const divColorVision = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
+        this.createElementAndAdd('span', 'tcolor-editor-groupbox-heading', divColorVision, null, 'color vision');
+        this.colorVisionSimulationEl = this.createElementAndAdd('select', null, divColorVision,
+            'Simulates a color vision deficiency on this page and the previews.');
+        [['', 'normal vision']].concat(this.colorVisionDeficiencies.map((d) => [d, d])).forEach(([value, text]) => {
+            this.createElementAndAdd('option', null, this.colorVisionSimulationEl, null, text, { 'value': value });
+        });
+        this.colorVisionSimulationEl.addEventListener('change', (e) => this.setColorVisionSimulation(e.target.value));
+        divColorVision.appendChild(this.createCheckbox('check simulated colors',
+            (e) => {
+                this.checkSimulatedColors = e.target.checked;
+                this.updateAllContrasts();
+            },
+            'Check the contrasts with the simulated colors.\nColors of the contrast column that are hard to distinguish from each other with the simulated color vision deficiency are marked with ≈.'));
 
         // theme loader
         const divThemeSelector = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
@@ -887,12 +4389,33 @@ const themeColorEditor = {
         this.themeBaseSelector = this.createElementAndAdd('select', null, divThemeSelector);
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divThemeSelector,
             'Sets all variables to the values of the selected theme or view in the select control above.', 'load theme variables');
-        bt.addEventListener('click', () => this.applyTheme(this.themeBaseSelector.options[this.themeBaseSelector.selectedIndex].text));
+        bt.addEventListener('click', () => {
+            const themeName = this.themeBaseSelector.options[this.themeBaseSelector.selectedIndex].text;
+            this.runAsHistoryStep('load theme ' + themeName, () => this.applyTheme(themeName));
+        });
         this.createElementAndAdd('div', 'tcolor-editor-separator', divThemeSelector);
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divThemeSelector,
+            'Show the editor sessions saved automatically in this browser to restore one of them.', 'saved sessions');
+        bt.addEventListener('click', () => this.toggleSessionList());
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divThemeSelector,
             'Load all variables of the currently selected wiki theme (using the wiki theme-selector at the top of the page).\nIt is recommended to do this after loading a theme from a separate file with the theme-selector.\nThis will not reset initially indirect defined values.\nTo do this consider loading a base view (light or dark) first.',
             'load wiki theme variables');
-        bt.addEventListener('click', () => this.applyValuesOfCurrentPageTheme());
+        bt.addEventListener('click', () => this.runAsHistoryStep('load wiki theme variables', () => this.applyValuesOfCurrentPageTheme()));
+
+        // workspace
+        const divWorkspace = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
+        this.createElementAndAdd('span', 'tcolor-editor-groupbox-heading', divWorkspace, null, 'working themes');
+        this.workspaceSelectorEl = this.createElementAndAdd('select', null, divWorkspace, 'Working theme that is edited.\nThe edits of the other working themes are kept when switching.');
+        this.workspaceSelectorEl.addEventListener('change', (e) => this.switchWorkspaceTheme(parseInt(e.target.value)));
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divWorkspace,
+            'Adds a copy of the current working theme to the workspace and edits it.\nThe name can be changed in the input-output view.', 'duplicate');
+        bt.addEventListener('click', () => this.duplicateWorkspaceTheme());
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divWorkspace,
+            'Adds a working theme for each theme defined in the styles of this page (theme-*) that is not yet in the workspace.', 'add page themes');
+        bt.addEventListener('click', () => this.addPageThemesToWorkspace());
+        this.workspaceRemoveButton = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divWorkspace,
+            'Removes the current working theme from the workspace.', 'remove');
+        this.workspaceRemoveButton.addEventListener('click', () => this.removeActiveWorkspaceTheme());
 
         // import export
         const divImportExport = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
@@ -904,6 +4427,10 @@ const themeColorEditor = {
         divImportExport.appendChild(this.createCheckbox('include explicit adjustments',
             (e) => { this.exportIncludeExplicitOptions = e.target.checked; },
             'Include color options set for explicit color adjustments (e.g. invert, hue-rotate).\nThis should be only enabled if you want to save your work and import later.\nThis should not be enabled to export the css for use on a wiki.'));
+        this.createElementAndAdd('br', null, divImportExport);
+        divImportExport.appendChild(this.createCheckbox('all working themes',
+            (e) => { this.exportAllWorkspaceThemes = e.target.checked; },
+            'Export all working themes, each in its own selector block.'));
         const inOutButton = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divImportExport, null, 'input-output view toggle');
         inOutButton.addEventListener('click', () => this.inOutStyleSheetEl.classList.toggle('transition-hide'));
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-full-width', divImportExport, null, 'copy styles to clipboard');
@@ -911,17 +4438,58 @@ const themeColorEditor = {
         // in out element
         this.inOutStyleSheetEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup transition-show transition-hide', document.body);
         this.createElementAndAdd('div', null, this.inOutStyleSheetEl, null, 'css import/export');
+        const themeNameContainer = this.createElementAndAdd('div', null, this.inOutStyleSheetEl);
+        const themeNameLabel = this.createElementAndAdd('label', null, themeNameContainer, 'Name of the theme used in the exported selector.\nOn import it is read from the selector of the pasted text.', 'theme name: ');
+        this.themeNameInputEl = this.createElementAndAdd('input', null, themeNameLabel, null, null, { 'type': 'text', 'placeholder': 'myThemeName', 'value': this.themeName || '' });
+        this.themeNameInputEl.addEventListener('change', (e) => this.setThemeName(e.target.value));
+        const selectorFormLabel = this.createElementAndAdd('label', null, themeNameContainer, 'Form of the exported selector', ' selector: ');
+        this.themeSelectorFormEl = this.createElementAndAdd('select', null, selectorFormLabel);
+        [['class', '.theme-name'], ['root', ':root.theme-name'], ['view', '.view-light.theme-name / .view-dark.theme-name (depending on base view)']].forEach(([form, text]) => {
+            this.createElementAndAdd('option', null, this.themeSelectorFormEl, null, text, { 'value': form });
+        });
+        this.themeSelectorFormEl.value = this.themeSelectorForm;
+        this.themeSelectorFormEl.addEventListener('change', (e) => this.setThemeSelectorForm(e.target.value));
+        const outputColorFormatLabel = this.createElementAndAdd('label', null, themeNameContainer, 'Notation of explicit colors in the exported css.\nIt can be overridden for each variable in its options.', ' color format: ');
+        this.outputColorFormatEl = this.createElementAndAdd('select', null, outputColorFormatLabel);
+        this.outputColorFormats.forEach((format) => {
+            this.createElementAndAdd('option', null, this.outputColorFormatEl, null, format, { 'value': format });
+        });
+        this.outputColorFormatEl.value = this.outputColorFormat;
+        this.outputColorFormatEl.addEventListener('change', (e) => this.setOutputColorFormat(e.target.value));
         bt = this.createElementAndAdd('div', 'tcolor-editor-close-button', this.inOutStyleSheetEl, null, '×');
         bt.addEventListener('click', (e) => e.target.parentElement.classList.toggle('transition-hide', true));
         this.inOutTextarea = this.createElementAndAdd('textarea', null, this.inOutStyleSheetEl, null, null, { 'rows': '20', 'cols': '106' });
         const buttonContainer = this.createElementAndAdd('div', null, this.inOutStyleSheetEl);
         const btImportLight = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-button-light tcolor-editor-inline', buttonContainer, null, '↷import with light-view as base');
-        btImportLight.addEventListener('click', () => this.importStyles(true));
+        btImportLight.addEventListener('click', () => this.runAsHistoryStep('import styles', () => this.importStyles(true)));
         const btImportDark = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonContainer, null, '↷import with dark-view as base');
-        btImportDark.addEventListener('click', () => this.importStyles(false));
+        btImportDark.addEventListener('click', () => this.runAsHistoryStep('import styles', () => this.importStyles(false)));
         const btExport = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonContainer, null, '⮍replace text above with current theme definitions');
         btExport.addEventListener('click', () => this.exportStyles());
 
+        // json work file
+        const workFileContainer = this.createElementAndAdd('div', null, this.inOutStyleSheetEl);
+        this.createElementAndAdd('span', null, workFileContainer, 'The work file contains the full editor state of all working themes.\nUse it to save your work and continue later or to keep theme sources in version control.', 'json work file: ');
+        const authorLabel = this.createElementAndAdd('label', null, workFileContainer, 'Author saved in the work file', 'author ');
+        const savedAuthor = localStorage.getItem('tcolor-editor-work-file-author');
+        const authorEl = this.createElementAndAdd('input', null, authorLabel, null, null, { 'type': 'text', 'size': '12', 'value': savedAuthor ? savedAuthor : '' });
+        authorEl.addEventListener('change', (e) => localStorage.setItem('tcolor-editor-work-file-author', e.target.value));
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', workFileContainer, 'Replaces the text above with the json work file', '⮍as text');
+        bt.addEventListener('click', () => { this.inOutTextarea.value = JSON.stringify(this.createWorkFile(), null, 2); });
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', workFileContainer, 'Imports the json work file in the text above.\nThis replaces all working themes.', '↷import text');
+        bt.addEventListener('click', () => this.importWorkFileText(this.inOutTextarea.value));
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', workFileContainer, 'Downloads the json work file', '⭳download');
+        bt.addEventListener('click', () => this.downloadWorkFile());
+        const uploadInput = this.createElementAndAdd('input', null, null, null, null, { 'type': 'file', 'accept': '.json,application/json' });
+        uploadInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then((text) => this.importWorkFileText(text));
+            e.target.value = '';
+        });
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', workFileContainer, 'Imports a json work file.\nThis replaces all working themes.', '⭱upload');
+        bt.addEventListener('click', () => uploadInput.click());
+
         // live preview controls
         const divPreview = this.createElementAndAdd('div', 'tcolor-editor-groupbox', toolBarElement);
         this.createElementAndAdd('span', 'tcolor-editor-groupbox-heading', divPreview, null, 'live preview');
@@ -978,11 +4546,60 @@ const themeColorEditor = {
             </ul>
         </ul>
         <li>Adjust colors by clicking on them while making sure the contrasts are fulfilled</li>
-        <li>Make use of indirect definitions to simplify color adjustments</li>
+        <li>In the color picker drag in the field to set saturation and value and in the strip below to set the hue, also with touch input</li>
+        <li>Use <span class="tcolor-editor-button" style="cursor:auto; display: inline-block">pick</span> in the color picker to take a
+            color from the screen, e.g. of the wiki logo. Browsers without eyedropper let you click an element of the page or of a preview
+            popup instead and take its color, background color or border color, Escape cancels</li>
+        <li>The group &quot;contrast&quot; of the color picker shows the contrasts of the edited color to its text and background colors
+            while it's changed. The red bands on the lightness sliders mark the ranges where a needed contrast isn't reached</li>
+        <li>The oklch sliders of the color picker change the perceived lightness, chroma and hue independently. Parts of the sliders
+            outside of the sRGB gamut are grayed out, such a color is mapped into the gamut and marked with ⚠</li>
+        <li>The section &quot;harmony&quot; of the color picker shows complementary, analogous, triadic, split-complementary and
+            tonal variants of the edited color. Click on a swatch to apply it or drag it onto a variable row to set that variable</li>
+        <li>The editor state is saved automatically in the browser, use <span class="tcolor-editor-button"
+                style="cursor:auto; display: inline-block">saved sessions</span> to restore a previous session</li>
+        <li>Edit multiple themes in the working themes group of the toolbar, switch between them without losing edits and
+            export all of them at once with the checkbox &quot;all working themes&quot;</li>
+        <li>Undo and redo changes with the buttons in the history group of the toolbar or with Ctrl+Z and Ctrl+Y</li>
+        <li>Make use of indirect definitions to simplify color adjustments. <span class="tcolor-editor-button"
+                style="cursor:auto; display: inline-block">dependency graph</span> shows which variables reference each other,
+            click on a variable to highlight its chains and double click to edit it. Circular definitions (e.g. --a: var(--b) and
+            --b: var(--a)) are marked below the definition input and the reference closing the cycle isn't updated</li>
+        <li>Start a new theme with <span class="tcolor-editor-button" style="cursor:auto; display: inline-block">generate theme</span>:
+            pick a background, a text and an accent color and apply one of the generated variants. The suggestions are followed,
+            the contrasts are met and locked variables are kept</li>
+        <li>The notation of exported colors (hex, rgb, hsl or oklch) is set with &quot;color format&quot; in the input-output view
+            and can be overridden for each variable in its options</li>
+        <li>Use <span class="tcolor-editor-button" style="cursor:auto; display: inline-block">contrast report</span>
+            to see all contrast checks in one sortable list, e.g. to find all failures. Click on a variable to edit it or
+            on ↪ to jump to its row</li>
+        <li>The ◐ buttons propose colors that fix the contrasts of a row or of a single pair: with the HSL or OKLCH lightness,
+            by changing the other color of the pair or with the nearest passing color (ΔE2000). Pick one of the previews to apply it</li>
+        <li><span class="tcolor-editor-button" style="cursor:auto; display: inline-block">fix all contrasts</span> proposes
+            the smallest lightness changes that fix all contrasts together. Variables with the option &quot;locked&quot;
+            are not changed, also not by the variables they're defined from. Indirectly defined variables follow the changes
+            of the variables they're defined from. The proposal can be applied as one step</li>
+        <li>The needed contrasts are derived from the contrast type of each pair (normal text, large text, non-text UI component
+            or decorative), set the conformance level AA or AAA in the contrast group of the toolbar</li>
+        <li>Select the contrast model in the contrast group of the toolbar: the WCAG 2 contrast ratio or the APCA lightness
+            contrast Lc, which is more accurate for dark themes. With APCA the colors in the contrast column are treated as text
+            on the row color</li>
+        <li>Semi-transparent colors are composited over their backdrops for the contrast, the swatch next to the contrast
+            indicator shows the composited colors. Backdrops are inferred from the variable names or set in the table with
+            data-backdrop</li>
+        <li>Check how the theme looks with color vision deficiencies with the color vision group of the toolbar. With
+            &quot;check simulated colors&quot; the contrasts use the simulated colors and colors that are hard to
+            distinguish from each other are marked with ≈</li>
+        <li>Colors can be entered in any css notation, e.g. named colors, hsl(), oklch() or color(display-p3 …).
+            Colors outside of the sRGB gamut are mapped into it and marked with ⚠</li>
         <li>Export theme to save in common.css or theme-page</li>
         <ul>
+            <li>Set the theme name and the form of the selector in the input-output view, on import these are read from
+                the pasted css</li>
             <li>If wiki styling uses --rgb variables (usually wikis created before 2025), make sure to enable this
                 checkbox</li>
+            <li>To save your work completely, use the json work file in the input-output view. It contains all working
+                themes and can be downloaded and uploaded again later.</li>
             <li>If indirect definitions should be exported, enable &quot;include explicit adjustments&quot;
                 checkbox.<br />Enable that only for saving a theme for later (e.g. in a local text file and later import
                 it for use as base definition for other themes).<br />This option should be disabled when exporting
@@ -1065,6 +4682,7 @@ const themeColorEditor = {
          * @param {boolean} alsoSetAsBase 
          */
         setIndirectDefition(v, alsoSetAsBase = false) {
+            themeColorEditor.recordVariableChange(this);
             const useIndirectDefinition = !!v;
             // if the indirectDefinition should be updated and this.useIndirectDefinition is already true
             // trigger the update manually (the property won't be changed in this case and the updating is not triggered)
@@ -1092,9 +4710,8 @@ const themeColorEditor = {
             }
 
             const variables = [];
-            const variableNameMatches = this._indirectDefinition.matchAll(/var\((--[-\w]+)\)/g);
-            variableNameMatches.forEach((vn) => {
-                const varInfo = themeColorEditor.variableInfo.get(vn[1]);
+            themeColorEditor.referencedVariables(this._indirectDefinition).forEach((varName) => {
+                const varInfo = themeColorEditor.variableInfo.get(varName);
                 if (varInfo)
                     variables.push(varInfo);
             });
@@ -1113,6 +4730,20 @@ const themeColorEditor = {
         set dependsOnVars(v) {
             let removeDependsOnVars = this._dependsOnVars ? [...this._dependsOnVars] : [];
 
+            let cycle = null;
+            if (v) {
+                // references that close a cycle are not linked, else the variables would update each other endlessly
+                const dependencies = themeColorEditor.variableDependencies();
+                dependencies.delete(this.name);
+                v = v.filter((sourceVar) => {
+                    const sourceCycle = themeColorEditor.findDependencyCycle(dependencies, this.name, [sourceVar.name]);
+                    if (sourceCycle && !cycle) cycle = sourceCycle;
+                    return !sourceCycle;
+                });
+                if (v.length == 0) v = null;
+            }
+            this.setCircularDefinition(cycle);
+
             if (!v) this._dependsOnVars = null;
             else {
                 this._dependsOnVars = [...v];
@@ -1127,6 +4758,10 @@ const themeColorEditor = {
             removeDependsOnVars.forEach((v) => {
                 v.affectsVars = v.affectsVars ? v.affectsVars.filter((sv) => sv != this) : null;
             });
+            // a changed reference can resolve the cycles of other variables
+            if (removeDependsOnVars.length > 0)
+                themeColorEditor.recheckCircularDefinitions(this);
+            themeColorEditor.refreshDependencyGraph();
         }
 
         /**
@@ -1134,6 +4769,35 @@ const themeColorEditor = {
          */
         get dependsOnVars() { return this._dependsOnVars; }
 
+        /**
+         * Variable names of the cycle if the indirect definition references this variable directly or indirectly, e.g. [--a, --b, --a].
+         * The references that close the cycle are not in dependsOnVars.
+         */
+        //circularDefinition;
+        /**
+         * Inline error below the indirect definition input if the definition is circular.
+         */
+        //elementCircularDefinition;
+
+        /**
+         * Flags or unflags the indirect definition as circular.
+         * @param {string[]} cycle variable names of the cycle or null
+         */
+        setCircularDefinition(cycle) {
+            this.circularDefinition = cycle;
+            if (cycle) themeColorEditor.circularDefinitionVariables.add(this);
+            else themeColorEditor.circularDefinitionVariables.delete(this);
+            const errorText = cycle ? `circular definition: ${cycle.join(' → ')}\nThe reference that closes the cycle is not updated automatically.` : '';
+            if (this.dependsOnVarsEl) {
+                this.dependsOnVarsEl.classList.toggle('tcolor-editor-input-error', !!cycle);
+                this.dependsOnVarsEl.title = errorText;
+            }
+            if (this.elementCircularDefinition) {
+                this.elementCircularDefinition.textContent = cycle ? '⚠ circular definition: ' + cycle.join(' → ') : '';
+                this.elementCircularDefinition.style.display = cycle ? '' : 'none';
+            }
+        }
+
         /**
          * Text input for indirect color definition.
          */
@@ -1156,9 +4820,15 @@ const themeColorEditor = {
 
         /**
          * Calculate the color if defined indirectly without effects of color options (e.g. invert, hue-rotate).
+         * The definition is evaluated with the current colors of the variables.
+         * If the evaluation is not supported, the color is computed by the browser with colorExplicitEl.
+         * @param {string} definition (optional) indirect definition, if not given the indirect definition of this variable is used.
+         * @param {function} resolveVariable (optional) returns the rgb of a variable name, by default the current colors are used.
          */
-        getCalculatedColorRgb() {
-            let computedRgb = themeColorEditor.parseColor(window.getComputedStyle(this.colorExplicitEl).backgroundColor);
+        getCalculatedColorRgb(definition = this._indirectDefinition, resolveVariable = undefined) {
+            let computedRgb = themeColorEditor.evaluateColorExpression(definition, resolveVariable);
+            if (!computedRgb && this.colorExplicitEl)
+                computedRgb = themeColorEditor.parseColor(window.getComputedStyle(this.colorExplicitEl).backgroundColor);
             if (!this.saveExplicitRgbInOutput) return computedRgb;
             if (this.optionInvert) computedRgb = themeColorEditor.invertedColor(computedRgb);
             if (this.optionHueRotate === undefined && this.optionSaturationFactor === undefined && this.optionLightnessFactor === undefined)
@@ -1194,25 +4864,30 @@ const themeColorEditor = {
 
         /**
          * 
+         * @param {object} state (optional) state of this variable created by getState(), if not given the current values are used.
          * @returns {boolean} true if the color is different from the base value and should be saved in the output
          */
-        valueShouldGoInOutput() {
-            return (this.saveExplicitRgbInOutput || !this.useIndirectDefinition || !this.value || this.value != this.baseValue)
-                && !themeColorEditor.rgbEqual(this.rgb, this.baseColor);
+        valueShouldGoInOutput(state = this) {
+            return (state.saveExplicitRgbInOutput || !state.useIndirectDefinition || !state.value || state.value != state.baseValue)
+                && !themeColorEditor.rgbEqual(state.rgb, state.baseColor);
         }
 
         /**
          * String value of variable value for export.
+         * @param {object} state (optional) state of this variable created by getState(), if not given the current values are used.
+         * @param {string} defaultFormat (optional) notation of explicit colors if the variable has no own output format, if not given the format of the theme is used.
          */
-        valueStringOutput() {
-            return this.useIndirectDefinition && !this.saveExplicitRgbInOutput ? this.value : themeColorEditor.rgbToHexString(this.rgb);
+        valueStringOutput(state = this, defaultFormat = themeColorEditor.outputColorFormat) {
+            return state.useIndirectDefinition && !state.saveExplicitRgbInOutput ? state.value
+                : themeColorEditor.rgbToColorString(state.rgb, state.outputColorFormat || defaultFormat);
         }
 
         /**
          * * Output of this variable in the decimal format r,g,b
+         * @param {object} state (optional) state of this variable created by getState(), if not given the current values are used.
          */
-        valueColorAsCommaRgbString() {
-            return themeColorEditor.rgbArrayToRgbCsvString(this.rgb);
+        valueColorAsCommaRgbString(state = this) {
+            return themeColorEditor.rgbArrayToRgbCsvString(state.rgb);
         }
 
         /**
@@ -1249,17 +4924,19 @@ const themeColorEditor = {
          * @param {boolean} alsoSetAsBaseValue 
          */
         setValue(value, alsoSetAsBaseValue = false) {
+            themeColorEditor.recordVariableChange(this);
             this.value = value;
             if (alsoSetAsBaseValue)
                 this.baseValue = value;
 
-            const parsedRgb = value && !value.includes('var') ? themeColorEditor.parseColor(value) : null;
-            if (parsedRgb) {
-                this.setColor(parsedRgb, alsoSetAsBaseValue);
+            const parsedColor = value && !value.includes('var') ? themeColorEditor.parseColorWithGamutInfo(value) : null;
+            if (parsedColor) {
+                this.setColor(parsedColor.rgb, alsoSetAsBaseValue);
             } else {
                 // color is set indirectly
                 this.setIndirectDefition(value, alsoSetAsBaseValue);
             }
+            this.setValueOutOfGamut(!!parsedColor && parsedColor.outOfGamut);
         }
 
         /**
@@ -1269,6 +4946,9 @@ const themeColorEditor = {
          * @param {boolean | null} useIndirectDefinition If true or false, the property useIndirectDefinition is set to that.
          */
         setColor(rgb, alsoSetAsBase = false, useIndirectDefinition = false) {
+            // a null useIndirectDefinition indicates an update caused by other variables, that is not recorded
+            if (useIndirectDefinition !== null)
+                themeColorEditor.recordVariableChange(this);
             if (alsoSetAsBase)
                 this.baseColor = [...rgb];
             if (useIndirectDefinition === true || useIndirectDefinition === false)
@@ -1291,6 +4971,7 @@ const themeColorEditor = {
          */
         setBaseValue(baseValue) {
             if (this.baseValue == baseValue) return;
+            themeColorEditor.recordVariableChange(this);
 
             const parsedRgb = baseValue && !baseValue.includes('var') ? themeColorEditor.parseColor(baseValue) : null;
             this.baseValue = baseValue;
@@ -1299,7 +4980,7 @@ const themeColorEditor = {
             } else {
                 // color is set indirectly
                 this.colorExplicitEl.style.backgroundColor = baseValue;
-                this.baseColor = this.getCalculatedColorRgb();
+                this.baseColor = this.getCalculatedColorRgb(baseValue);
             }
 
             this.updateIndicatorForAdjustedColor();
@@ -1332,6 +5013,58 @@ const themeColorEditor = {
             this.optionLightnessFactor = definition.lightnessFactor !== undefined ? definition.lightnessFactor : 1;
         }
 
+        /**
+         * Returns the editable state of this variable, used e.g. to undo changes.
+         * @returns {object} state with the value, color, indirect definition, options and base values.
+         */
+        getState() {
+            return {
+                value: this.value,
+                rgb: this.rgb ? [...this.rgb] : undefined,
+                indirectDefinition: this._indirectDefinition,
+                useIndirectDefinition: !!this.useIndirectDefinition,
+                saveExplicitRgbInOutput: !!this.saveExplicitRgbInOutput,
+                optionInvert: this.optionInvert,
+                optionHueRotate: this.optionHueRotate,
+                optionSaturationFactor: this.optionSaturationFactor,
+                optionLightnessFactor: this.optionLightnessFactor,
+                outputColorFormat: this.outputColorFormat,
+                optionLocked: !!this.optionLocked,
+                baseValue: this.baseValue,
+                baseColor: this.baseColor ? [...this.baseColor] : undefined
+            };
+        }
+
+        /**
+         * Sets this variable to a state created by getState().
+         * @param {object} state
+         */
+        applyState(state) {
+            if (!state) return;
+            this.baseValue = state.baseValue;
+            this.baseColor = state.baseColor ? [...state.baseColor] : undefined;
+
+            if (state.useIndirectDefinition && state.indirectDefinition) {
+                this.setIndirectDefition(state.indirectDefinition);
+            } else {
+                this._indirectDefinition = state.indirectDefinition;
+                this.dependsOnVarsEl.value = state.indirectDefinition ? state.indirectDefinition : '';
+                if (state.rgb)
+                    this.setColor(state.rgb, false, false);
+            }
+            this.value = state.value;
+
+            // options are set after the value, setting an indirect definition resets them
+            this.saveExplicitRgbInOutput = state.saveExplicitRgbInOutput;
+            this.optionInvert = state.optionInvert;
+            this.optionHueRotate = state.optionHueRotate;
+            this.optionSaturationFactor = state.optionSaturationFactor;
+            this.optionLightnessFactor = state.optionLightnessFactor;
+            this.outputColorFormat = state.outputColorFormat;
+            this.optionLocked = !!state.optionLocked;
+            this.updateIndicatorForAdjustedColor();
+        }
+
         colorChanged(variable) {
             themeColorEditor.updateVariableOnPage(variable);
             if (variable.customOnChangeFunction)
@@ -1355,6 +5088,22 @@ Base definition: ${this.baseValue}`;
 
             this.elementResetToBaseValue.style.visibility = colorEqualToBase ? 'hidden' : 'visible';
         }
+
+        /**
+         * Element that shows if the value was outside of the sRGB gamut and was mapped into it.
+         */
+        //elementOutOfGamut;
+
+        /**
+         * Sets if the explicit value of this variable was outside of the sRGB gamut and updates the indicator.
+         * @param {boolean} outOfGamut 
+         */
+        setValueOutOfGamut(outOfGamut) {
+            this.valueOutOfGamut = outOfGamut;
+            if (!this.elementOutOfGamut) return;
+            this.elementOutOfGamut.style.display = outOfGamut ? 'inline-block' : 'none';
+            this.elementOutOfGamut.title = outOfGamut ? `The value ${this.value} is outside of the sRGB gamut.\nIt was mapped to the displayed color ${themeColorEditor.rgbToHexString(this.rgb)}.` : '';
+        }
     },
 
     /**
@@ -1370,9 +5119,42 @@ Base definition: ${this.baseValue}`;
         //contrast;
         //contrastDisplayElement;
         //minContrast;
+        /**
+         * APCA lightness contrast of this variable as text on the row color.
+         */
+        //lc;
+        //minLc;
+        /**
+         * Type of the contrast requirement (key of contrastTypes), the needed contrasts are derived from it and the conformance level.
+         */
+        //contrastType;
+        /**
+         * Needed contrasts set explicitly with data-min-contrast and data-min-lc, they're used regardless of the type and conformance level.
+         */
+        //explicitMinContrast;
+        //explicitMinLc;
+        /**
+         * Explicit needed contrasts declared in the table, the explicit values are reset to them before the overrides of a work file are applied.
+         */
+        //tableMinContrast;
+        //tableMinLc;
+        /**
+         * Variable of the row, the background of this contrast variable.
+         */
+        //rowVariable;
+        /**
+         * Color of this variable composited over the row color, set by UpdateContrast().
+         */
+        //compositedTextRgb;
+        /**
+         * Result of the last contrast check: ok, insufficient-contrast or bad-contrast.
+         */
+        //status;
+        //elementCompositedSwatch;
+        //elementDistinguishWarning;
         //elementResetToBaseValue;
 
-        constructor(variableName, contrastDisplayElement) {
+        constructor(variableName, contrastDisplayElement, minLc = themeColorEditor.defaultMinLc) {
             // simulate two different constructors by checking the types
             if (typeof variableName === 'string' && typeof contrastDisplayElement === 'object') {
                 // if constructor is called with variableName:string and contrastDisplayElement:HTMLElement
@@ -1380,12 +5162,44 @@ Base definition: ${this.baseValue}`;
                 this.contrastDisplayElement = contrastDisplayElement;
             }
             else if (typeof variableName === 'object' && typeof contrastDisplayElement === 'number') {
-                // if constructor is called with variable:VariableInfo and minContrast:number
+                // if constructor is called with variable:VariableInfo, minContrast:number and minLc:number
                 this.variable = variableName;
                 this.minContrast = contrastDisplayElement;
+                this.minLc = minLc;
             }
         }
 
+        /**
+         * Sets minContrast and minLc from the explicit values or the contrast type and the current conformance level.
+         */
+        updateNeededContrast() {
+            const needed = this.neededContrastAt(themeColorEditor.conformanceLevel);
+            this.minContrast = needed.minContrast;
+            this.minLc = needed.minLc;
+        }
+
+        /**
+         * @param {string} level AA or AAA
+         * @returns {object} the needed contrasts { minContrast, minLc } of this requirement at a conformance level
+         */
+        neededContrastAt(level) {
+            const needed = themeColorEditor.neededContrastOfType(this.contrastType, level);
+            return {
+                minContrast: this.explicitMinContrast !== undefined ? this.explicitMinContrast : needed.minContrast,
+                minLc: this.explicitMinLc !== undefined ? this.explicitMinLc : needed.minLc
+            };
+        }
+
+        /**
+         * @param {string} level (optional) conformance level, by default the current one
+         * @returns {string} description of the contrast requirement, e.g. "large text, AA"
+         */
+        requirementText(level = themeColorEditor.conformanceLevel) {
+            const type = themeColorEditor.contrastTypes[this.contrastType] || themeColorEditor.contrastTypes[themeColorEditor.defaultContrastType];
+            const explicit = themeColorEditor.contrastModel === 'apca' ? this.explicitMinLc !== undefined : this.explicitMinContrast !== undefined;
+            return type.label + (explicit ? ', set explicitly' : ', ' + level);
+        }
+
         /**
          * Updates the contrast value and display.
          * If rgb is given, the base color is updated
@@ -1402,31 +5216,69 @@ Base definition: ${this.baseValue}`;
                 this.contrastColorRgb = [...rgb];
             }
 
-            this.contrast = themeColorEditor.colorContrast(this.variable.rgb, this.contrastColorRgb);
+            // composite the colors over the backdrops like they're seen
+            const backgroundRgb = this.rowVariable && this.rowVariable.rgb ? themeColorEditor.compositedVariableRgb(this.rowVariable) : this.contrastColorRgb;
+            if (!backgroundRgb) return;
+            const textRgb = themeColorEditor.compositeColors(this.variable.rgb, backgroundRgb);
+            this.compositedTextRgb = textRgb;
+            this.contrast = themeColorEditor.colorContrast(themeColorEditor.checkedRgb(textRgb), themeColorEditor.checkedRgb(backgroundRgb));
+            this.lc = themeColorEditor.apcaContrast(themeColorEditor.checkedRgb(textRgb), themeColorEditor.checkedRgb(backgroundRgb));
+            if (this.rowVariable && this.rowVariable.contrastVariables)
+                this.rowVariable.contrastVariables.forEach((cv) => cv.UpdateDistinguishability());
             if (this.contrast === undefined || this.contrastDisplayElement === null) return;
-            this.contrastDisplayElement.innerHTML = (Math.floor(this.contrast * 10) / 10).toFixed(1) + '<small>:1</small>';
-            const sufficientContrast = this.contrast >= this.minContrast;
-            if (sufficientContrast) {
-                this.contrastDisplayElement.classList.toggle('bad-contrast', false);
-                this.contrastDisplayElement.classList.toggle('insufficient-contrast', false);
-            } else if (this.contrast >= this.minContrast * 0.8) {
-                this.contrastDisplayElement.classList.toggle('bad-contrast', false);
-                this.contrastDisplayElement.classList.toggle('insufficient-contrast', true);
-            }
-            else {
-                this.contrastDisplayElement.classList.toggle('bad-contrast', true);
-                this.contrastDisplayElement.classList.toggle('insufficient-contrast', false);
+
+            const useApca = themeColorEditor.contrastModel === 'apca';
+            const ratioHtml = (Math.floor(this.contrast * 10) / 10).toFixed(1) + '<small>:1</small>';
+            const lcHtml = '<small>Lc</small> ' + Math.floor(Math.abs(this.lc));
+            if (themeColorEditor.contrastSideBySide)
+                this.contrastDisplayElement.innerHTML = useApca ? lcHtml + ' <small>(' + ratioHtml + ')</small>' : ratioHtml + ' <small>(' + lcHtml + ')</small>';
+            else this.contrastDisplayElement.innerHTML = useApca ? lcHtml : ratioHtml;
+
+            const contrast = useApca ? Math.abs(this.lc) : this.contrast;
+            const minContrast = Number(useApca ? this.minLc : this.minContrast);
+            const sufficientContrast = contrast >= minContrast;
+            this.status = sufficientContrast ? 'ok' : contrast >= minContrast * 0.8 ? 'insufficient-contrast' : 'bad-contrast';
+            this.contrastDisplayElement.classList.toggle('bad-contrast', this.status === 'bad-contrast');
+            this.contrastDisplayElement.classList.toggle('insufficient-contrast', this.status === 'insufficient-contrast');
+            const composited = this.variable.rgb[3] < 1 || (this.rowVariable && this.rowVariable.rgb && this.rowVariable.rgb[3] < 1);
+            const backdropText = this.rowVariable ? [this.rowVariable.name].concat(themeColorEditor.variableBackdropChain(this.rowVariable)).join(' on ') : '';
+            const alphaContrastRestriction = composited ? `\nThe colors have reduced alpha, the contrast is calculated with the colors composited over their backdrops (${backdropText}).` : '';
+            if (this.elementCompositedSwatch) {
+                const textHex = themeColorEditor.rgbToHexString(textRgb.map((c) => Math.round(c)).slice(0, 3));
+                const backgroundHex = themeColorEditor.rgbToHexString(backgroundRgb.map((c) => Math.round(c)).slice(0, 3));
+                this.elementCompositedSwatch.style.display = composited ? '' : 'none';
+                this.elementCompositedSwatch.style.color = textHex;
+                this.elementCompositedSwatch.style.backgroundColor = backgroundHex;
+                this.elementCompositedSwatch.setAttribute('title', `composited colors: ${textHex} on ${backgroundHex}\nbackdrops: ${backdropText}\nThe backdrops can be set in the variable table with the attribute data-backdrop on the variable name cell.`);
             }
-            const alphaContrastRestriction = this.variable.rgb[3] < 1 || this.contrastColorRgb[3] < 1 ? '\nThe colors have reduced alpha. The contrast indicator tries to approximate the effect of that, but the exact effect depends on the context where the color is used.\nThe displayed contrast ratio may not be correct.' : '';
-            this.contrastDisplayElement.setAttribute('title', (sufficientContrast ? 'sufficient contrast' : 'contrast not sufficient') + `, needed contrast is at least ${this.minContrast}:1${alphaContrastRestriction}`);
+            const neededContrastText = useApca
+                ? `needed contrast for ${this.requirementText()} is at least Lc ${this.minLc} (APCA, ${this.lc < 0 ? 'light text on dark background' : 'dark text on light background'})`
+                : `needed contrast for ${this.requirementText()} is at least ${this.minContrast}:1 (WCAG 2)`;
+            const simulationText = themeColorEditor.checkSimulatedColors && themeColorEditor.colorVisionSimulation ? ` with simulated ${themeColorEditor.colorVisionSimulation}` : '';
+            this.contrastDisplayElement.setAttribute('title', (sufficientContrast ? 'sufficient contrast' : 'contrast not sufficient') + `${simulationText}, ${neededContrastText}${alphaContrastRestriction}`);
 
             const buttonFixContrast = this.elementFixContrast;
             buttonFixContrast.style.visibility = sufficientContrast ? 'hidden' : 'visible';
             buttonFixContrast.classList.toggle('contrast-color-indirectly-defined', this.variable.useIndirectDefinition);
-            buttonFixContrast.setAttribute('title', 'Tries to fix the contrast issues by changing the lightness of the variable ' + this.variable.name + (this.variable.useIndirectDefinition ? '\nCaution! This variable is indirectly defined. Using this button will save the color explicitly.' : ''));
+            buttonFixContrast.setAttribute('title', 'Proposes colors to fix the contrast issue, e.g. by changing the lightness of the variable ' + this.variable.name + (this.variable.useIndirectDefinition ? '\nCaution! This variable is indirectly defined. Using this button will save the color explicitly.' : ''));
 
             this.elementResetToBaseValue.style.visibility = themeColorEditor.rgbEqual(this.variable.rgb, this.variable.baseColor) ? 'hidden' : 'visible';
         }
+
+        /**
+         * Marks this contrast variable if it's distinguishable from another contrast variable of the row, but not with the simulated color vision deficiency.
+         */
+        UpdateDistinguishability() {
+            if (!this.elementDistinguishWarning) return;
+            const deficiency = themeColorEditor.checkSimulatedColors ? themeColorEditor.colorVisionSimulation : null;
+            const confusedWith = !deficiency || !this.compositedTextRgb ? [] : this.rowVariable.contrastVariables.filter((cv) => cv !== this && cv.compositedTextRgb
+                && themeColorEditor.colorsDistinguishable(this.compositedTextRgb, cv.compositedTextRgb)
+                && !themeColorEditor.colorsDistinguishable(themeColorEditor.simulateColorVisionDeficiency(this.compositedTextRgb, deficiency),
+                    themeColorEditor.simulateColorVisionDeficiency(cv.compositedTextRgb, deficiency)));
+            this.elementDistinguishWarning.style.display = confusedWith.length > 0 ? '' : 'none';
+            this.elementDistinguishWarning.setAttribute('title', confusedWith.length > 0
+                ? `With ${deficiency} this color is hard to distinguish from ${confusedWith.map((cv) => cv.variableName).join(', ')}` : '');
+        }
     },
 
     ColorPicker: class {
@@ -1435,6 +5287,11 @@ Base definition: ${this.baseValue}`;
          * [h, s_hsv, v, s_hsl, l]
          */
         //hsvSl = [];
+        /**
+         * [L, C, h] as set by the oklch sliders, can be outside of the sRGB gamut
+         */
+        //oklch = [];
+        //oklchOutOfGamut = false;
         //_container;
         //
         //_colorPreviewEl;
@@ -1456,8 +5313,21 @@ Base definition: ${this.baseValue}`;
         //_gInput;
         //_bInput;
         //_aInput;
+        //_okLSlider;
+        //_okCSlider;
+        //_okHSlider;
+        //_okLInput;
+        //_okCInput;
+        //_okHInput;
+        //_oklchGamutWarningEl;
         //_titleTextEl;
         //_hexInputEl;
+        //_harmonyFrame;
+        //_contrastReadoutEl;
+        //_svFieldEl;
+        //_svMarkerEl;
+        //_hueStripEl;
+        //_hueMarkerEl;
         //_currentColorVariable;
         get currentColorVariable() { return this._currentColorVariable; }
 
@@ -1474,9 +5344,14 @@ Base definition: ${this.baseValue}`;
                 const colorVMax = themeColorEditor.hsvToRgb([this.hsvSl[0], this.hsvSl[1], 100]);
 
                 const rgbString = themeColorEditor.rgbToHexString(this.rgb.slice(0, 3)); // ignore alpha
+                // the parts of the lightness sliders with insufficient contrasts are marked
+                const partners = this.contrastPartners();
+                this.updateContrastReadout(partners);
+
                 // hsv
                 this._sHsvSlider.style.background = `linear-gradient(to right, rgb(${[...colorSHsvMin]}), rgb(${[...colorSHsvMax]}))`;
-                this._vSlider.style.background = `linear-gradient(to right, rgb(${[...colorVMin]}), rgb(${[...colorVMax]}))`;
+                this._vSlider.style.background = this.contrastGuideBackground(partners, (x) => themeColorEditor.hsvToRgb([this.hsvSl[0], this.hsvSl[1], x * 100]))
+                    + `linear-gradient(to right, rgb(${[...colorVMin]}), rgb(${[...colorVMax]}))`;
                 this._hSlider.style.setProperty('--custom-slider-background-color', `hsl(${this.hsvSl[0]} 100 50)`);
                 this._sHsvSlider.style.setProperty('--custom-slider-background-color', rgbString);
                 this._vSlider.style.setProperty('--custom-slider-background-color', rgbString);
@@ -1484,7 +5359,8 @@ Base definition: ${this.baseValue}`;
                 // hsl
                 const hsl = [this.hsvSl[0], this.hsvSl[3], this.hsvSl[4]];
                 this._sHslSlider.style.background = `linear-gradient(to right, hsl(${hsl[0]} 0 ${hsl[2]}), hsl(${hsl[0]} 100 ${hsl[2]}))`;
-                this._lSlider.style.background = `linear-gradient(in hsl to right, hsl(${hsl[0]} ${hsl[1]} 0), hsl(${hsl[0]} ${hsl[1]} 50), hsl(${hsl[0]} ${hsl[1]} 100))`;
+                this._lSlider.style.background = this.contrastGuideBackground(partners, (x) => themeColorEditor.hslToRgb([hsl[0], hsl[1], x * 100]))
+                    + `linear-gradient(in hsl to right, hsl(${hsl[0]} ${hsl[1]} 0), hsl(${hsl[0]} ${hsl[1]} 50), hsl(${hsl[0]} ${hsl[1]} 100))`;
                 this._sHslSlider.style.setProperty('--custom-slider-background-color', rgbString);
                 this._lSlider.style.setProperty('--custom-slider-background-color', rgbString);
 
@@ -1496,6 +5372,18 @@ Base definition: ${this.baseValue}`;
                 this._bSlider.style.background = `linear-gradient(to right, rgb(${this.rgb[0]}, ${this.rgb[1]}, 0), rgb(${this.rgb[0]}, ${this.rgb[1]}, 255))`;
                 this._bSlider.style.setProperty('--custom-slider-background-color', `rgb(0, 0, ${this.rgb[2]})`);
 
+                // oklch, the parts outside of the sRGB gamut are grayed out
+                this._okLSlider.style.background = this.contrastGuideBackground(partners, (x) => themeColorEditor.oklchToRgb([x, this.oklch[1], this.oklch[2]]))
+                    + this.oklchSliderBackground(0, 1);
+                this._okCSlider.style.background = this.oklchSliderBackground(1, this.oklchMaxChroma);
+                this._okHSlider.style.background = this.oklchSliderBackground(2, 360);
+                this._okLSlider.style.setProperty('--custom-slider-background-color', rgbString);
+                this._okCSlider.style.setProperty('--custom-slider-background-color', rgbString);
+                this._okHSlider.style.setProperty('--custom-slider-background-color', rgbString);
+                this._oklchGamutWarningEl.style.display = this.oklchOutOfGamut ? 'inline-block' : 'none';
+                this._oklchGamutWarningEl.title = this.oklchOutOfGamut
+                    ? `oklch(${this.oklch.map((v) => themeColorEditor.roundToDigits(v, 3)).join(' ')}) is outside of the sRGB gamut.\nIt was mapped to the displayed color ${rgbString}.` : '';
+
                 // alpha
                 this._aSlider.style.background = `linear-gradient(to right, transparent, rgb(${this.rgb[0]}, ${this.rgb[1]}, ${this.rgb[2]})), repeating-conic-gradient(#777 0% 25%, white 0% 50%) center/10px 10px`;
                 const alpha = this.rgb[3];
@@ -1505,6 +5393,14 @@ Base definition: ${this.baseValue}`;
                 if (document.activeElement != this._hexInputEl)
                     this._hexInputEl.value = themeColorEditor.rgbToHexString(this.rgb, false);
 
+                // 2d field
+                this._svFieldEl.style.backgroundColor = `hsl(${this.hsvSl[0]} 100 50)`;
+                this._svMarkerEl.style.left = this.hsvSl[1] + '%';
+                this._svMarkerEl.style.top = (100 - this.hsvSl[2]) + '%';
+                this._hueMarkerEl.style.left = (this.hsvSl[0] / 3.6) + '%';
+
+                this.updateHarmonySwatches();
+
                 if (this._currentColorVariable)
                     this._currentColorVariable.setColor(this.rgb);
             }, 50);
@@ -1523,9 +5419,13 @@ Base definition: ${this.baseValue}`;
             const lbHexInput = themeColorEditor.createElementAndAdd('label', null, hexFrame, null, '# ');
             this._hexInputEl = themeColorEditor.createElementAndAdd('input', null, lbHexInput, null, null, { 'type': 'text', 'pattern': '[\\da-fA-F]{3,8}', 'minlength': '3', 'maxlength': '8', 'size': '8' });
             this._hexInputEl.addEventListener('input', (e) => this.setColorAndSetControls(themeColorEditor.hexToRgb(e.target.value, false)));
+            bt = themeColorEditor.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', hexFrame,
+                'Picks a color from the screen.\nIf the browser has no eyedropper, click on an element of the page or of a preview popup to take its color, background color or border color (Escape cancels).', 'pick');
+            bt.addEventListener('click', () => this.pickColorFromPage());
 
             // view toggle checkboxes
-            function addSliderToggleCheckBox(name, sliderIds) {
+            // onShow is called when the controls are shown, e.g. to update controls that are not updated while hidden
+            function addSliderToggleCheckBox(name, sliderIds, onShow = null) {
                 const lb = themeColorEditor.createCheckbox(name,
                     function () {
                         ids.forEach((id) => {
@@ -1536,6 +5436,7 @@ Base definition: ${this.baseValue}`;
                             else
                                 localStorage.setItem('theme-creator-hide-color-slide-' + name, true);
                         });
+                        if (this.checked && onShow) onShow();
                     }, null, true);
                 lb.style.display = 'inline-block';
                 const ids = [...sliderIds];
@@ -1547,10 +5448,52 @@ Base definition: ${this.baseValue}`;
                 hexFrame.appendChild(lb);
             }
 
+            addSliderToggleCheckBox('contrast', ['contrast']);
+            addSliderToggleCheckBox('field', ['field']);
             addSliderToggleCheckBox('hsv', ['s_hsv', 'v']);
             addSliderToggleCheckBox('hsl', ['s_hsl', 'l']);
             addSliderToggleCheckBox('rgb', ['r', 'g', 'b']);
+            addSliderToggleCheckBox('oklch', ['ok_l', 'ok_c', 'ok_h']);
             addSliderToggleCheckBox('alpha', ['a']);
+            addSliderToggleCheckBox('harmony', ['harmony'], () => this.updateHarmonySwatches());
+
+            // live contrasts to the contrast partners of the variable
+            const contrastFrame = themeColorEditor.createElementAndAdd('div', 'color-picker-frame', this._container, null, null, { 'id': 'theme-creator-color-picker-slider-contrast' }, 'display: none');
+            this._contrastReadoutEl = themeColorEditor.createElementAndAdd('div', null, contrastFrame);
+
+            // 2d field of saturation and value with a hue strip
+            function addPointerDrag(el, callback) {
+                // pointer events also handle touch and pen input
+                const update = (e) => {
+                    const rect = el.getBoundingClientRect();
+                    if (!rect.width || !rect.height) return;
+                    callback(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+                        Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)));
+                };
+                el.addEventListener('pointerdown', (e) => {
+                    e.preventDefault();
+                    el.setPointerCapture(e.pointerId);
+                    update(e);
+                });
+                el.addEventListener('pointermove', (e) => {
+                    if (el.hasPointerCapture(e.pointerId)) update(e);
+                });
+            }
+
+            const fieldFrame = themeColorEditor.createElementAndAdd('div', 'color-picker-frame', this._container, null, null, { 'id': 'theme-creator-color-picker-slider-field' }, 'display: none');
+            this._svFieldEl = themeColorEditor.createElementAndAdd('div', 'tcolor-editor-sv-field', fieldFrame, 'saturation and value');
+            this._svMarkerEl = themeColorEditor.createElementAndAdd('div', 'tcolor-editor-field-marker', this._svFieldEl);
+            this._hueStripEl = themeColorEditor.createElementAndAdd('div', 'tcolor-editor-hue-strip', fieldFrame, 'hue');
+            this._hueMarkerEl = themeColorEditor.createElementAndAdd('div', 'tcolor-editor-field-marker', this._hueStripEl);
+            addPointerDrag(this._svFieldEl, (x, y) => {
+                if (!this.rgb) return;
+                this.setColorAndSetControls(themeColorEditor.hsvToRgb([this.hsvSl[0], x * 100, (1 - y) * 100], this.rgb[3]), this.hsvSl[0]);
+            });
+            addPointerDrag(this._hueStripEl, (x) => {
+                if (!this.rgb) return;
+                const hue = x * 360;
+                this.setColorAndSetControls(themeColorEditor.hsvToRgb([hue, this.hsvSl[1], this.hsvSl[2]], this.rgb[3]), hue);
+            });
 
             // slider
             function addColorSlider(container, name, id, updateCallback, max, min = 0, styleRange = null, step = 1) {
@@ -1582,6 +5525,7 @@ Base definition: ${this.baseValue}`;
                 this._vInput.value = this._vSlider.value = this.hsvSl[2];
                 this._sHslInput.value = this._sHslSlider.value = this.hsvSl[3];
                 this._lInput.value = this._lSlider.value = this.hsvSl[4];
+                this.setOklchControls();
                 this.updatePreviewThrottled();
             };
             const updateFromHsvControls = () => {
@@ -1591,6 +5535,7 @@ Base definition: ${this.baseValue}`;
                 this._rInput.value = this._rSlider.value = this.rgb[0];
                 this._gInput.value = this._gSlider.value = this.rgb[1];
                 this._bInput.value = this._bSlider.value = this.rgb[2];
+                this.setOklchControls();
                 this.updatePreviewThrottled();
             };
             const updateFromHslControls = () => {
@@ -1600,6 +5545,23 @@ Base definition: ${this.baseValue}`;
                 this._rInput.value = this._rSlider.value = this.rgb[0];
                 this._gInput.value = this._gSlider.value = this.rgb[1];
                 this._bInput.value = this._bSlider.value = this.rgb[2];
+                this.setOklchControls();
+                this.updatePreviewThrottled();
+            };
+            const updateFromOklchControls = () => {
+                // keep the slider values, the color is mapped into the sRGB gamut if needed
+                this.oklch = [parseFloat(this._okLInput.value) / 100, parseFloat(this._okCInput.value), parseFloat(this._okHInput.value)];
+                const result = themeColorEditor.oklabToRgbWithGamutInfo(themeColorEditor.oklchToOklab(this.oklch), this.rgb[3]);
+                this.oklchOutOfGamut = result.outOfGamut;
+                this.setColorByRgb(result.rgb);
+                this._hInput.value = this._hSlider.value = this.hsvSl[0];
+                this._sHsvInput.value = this._sHsvSlider.value = this.hsvSl[1];
+                this._vInput.value = this._vSlider.value = this.hsvSl[2];
+                this._sHslInput.value = this._sHslSlider.value = this.hsvSl[3];
+                this._lInput.value = this._lSlider.value = this.hsvSl[4];
+                this._rInput.value = this._rSlider.value = this.rgb[0];
+                this._gInput.value = this._gSlider.value = this.rgb[1];
+                this._bInput.value = this._bSlider.value = this.rgb[2];
                 this.updatePreviewThrottled();
             };
             const updateFromAlphaControl = () => {
@@ -1615,12 +5577,155 @@ Base definition: ${this.baseValue}`;
             [this._rInput, this._rSlider] = addColorSlider(this._container, 'R', 'r', updateFromRgbControls, 255);
             [this._gInput, this._gSlider] = addColorSlider(this._container, 'G', 'g', updateFromRgbControls, 255);
             [this._bInput, this._bSlider] = addColorSlider(this._container, 'B', 'b', updateFromRgbControls, 255);
+            [this._okLInput, this._okLSlider] = addColorSlider(this._container, 'OKLCH lightness', 'ok_l', updateFromOklchControls, 100, 0, null, 0.1);
+            [this._okCInput, this._okCSlider] = addColorSlider(this._container, 'OKLCH chroma', 'ok_c', updateFromOklchControls, this.oklchMaxChroma, 0, null, 0.001);
+            [this._okHInput, this._okHSlider] = addColorSlider(this._container, 'OKLCH hue', 'ok_h', updateFromOklchControls, 360);
+            this._oklchGamutWarningEl = themeColorEditor.createElementAndAdd('span', 'tcolor-editor-warning tcolor-editor-gamut-warning', this._okLSlider.parentElement.firstChild, null, '⚠', null, 'display:none');
             [this._aInput, this._aSlider] = addColorSlider(this._container, 'Alpha', 'a', updateFromAlphaControl, 1, 0, null, 0.01);
 
+            // color harmonies of the current color
+            this._harmonyFrame = themeColorEditor.createElementAndAdd('div', 'color-picker-frame', this._container, null, null, { 'id': 'theme-creator-color-picker-slider-harmony' }, 'display: none');
+
             this.toggleDisplay(false);
             elementToAppend.append(this._container);
         }
 
+        /**
+         * Contrast partners of the current variable, i.e. its contrastVariables (texts on it) and contrastVariableOfOtherColors (backgrounds of it).
+         * @returns {object[]} partners { contrastVariable, name, rgb, isBackground }, rgb is the color of the partner, backgrounds are composited over their backdrops
+         */
+        contrastPartners() {
+            const variable = this._currentColorVariable;
+            if (!variable) return [];
+            const partners = [];
+            if (variable.contrastVariables) {
+                variable.contrastVariables.forEach((cv) => {
+                    if (cv.variable && cv.variable.rgb)
+                        partners.push({ contrastVariable: cv, name: cv.variable.name, rgb: cv.variable.rgb, isBackground: false });
+                });
+            }
+            if (variable.contrastVariableOfOtherColors) {
+                variable.contrastVariableOfOtherColors.forEach((cv) => {
+                    if (cv.rowVariable && cv.rowVariable.rgb)
+                        partners.push({ contrastVariable: cv, name: cv.rowVariable.name, rgb: themeColorEditor.compositedVariableRgb(cv.rowVariable), isBackground: true });
+                });
+            }
+            return partners;
+        }
+
+        /**
+         * Contrast of a color of the current variable to a partner, the colors are composited like in ContrastVariableInfo.UpdateContrast().
+         * @param {number[]} rgb color of the current variable
+         * @param {object} partner see contrastPartners()
+         * @returns {number} contrast ratio or Lc of the current contrast model
+         */
+        contrastToPartner(rgb, partner) {
+            const backgroundRgb = partner.isBackground ? partner.rgb
+                : themeColorEditor.compositeOverBackdrops(rgb, themeColorEditor.variableBackdropChain(this._currentColorVariable).map((name) => themeColorEditor.variableInfo.get(name).rgb));
+            const textRgb = themeColorEditor.compositeColors(partner.isBackground ? rgb : partner.rgb, backgroundRgb);
+            return themeColorEditor.contrastModel === 'apca'
+                ? themeColorEditor.apcaContrast(textRgb, backgroundRgb)
+                : themeColorEditor.colorContrast(textRgb, backgroundRgb);
+        }
+
+        /**
+         * Lists the contrasts of the current color to the contrast partners.
+         * @param {object[]} partners see contrastPartners()
+         */
+        updateContrastReadout(partners) {
+            this._contrastReadoutEl.innerHTML = '';
+            if (partners.length == 0) {
+                themeColorEditor.createElementAndAdd('div', 'tcolor-editor-toolbarText', this._contrastReadoutEl, null, 'no contrast requirements');
+                return;
+            }
+            const useApca = themeColorEditor.contrastModel === 'apca';
+            const varName = this._currentColorVariable.name;
+            partners.forEach((partner) => {
+                const cv = partner.contrastVariable;
+                const contrast = this.contrastToPartner(this.rgb, partner);
+                const needed = Number(useApca ? cv.minLc : cv.minContrast);
+                const sufficient = (useApca ? Math.abs(contrast) : contrast) >= needed;
+                const row = themeColorEditor.createElementAndAdd('div', null, this._contrastReadoutEl,
+                    (partner.isBackground ? `${varName} on ${partner.name}` : `${partner.name} on ${varName}`) + `, needed for ${cv.requirementText()}: ${useApca ? 'Lc ' : ''}${needed}`);
+                themeColorEditor.createElementAndAdd('span', 'tcolor-editor-contrast-indicator' + (sufficient ? '' : ' bad-contrast'), row, null,
+                    useApca ? '<small>Lc</small> ' + Math.floor(Math.abs(contrast)) : (Math.floor(contrast * 10) / 10).toFixed(1) + '<small>:1</small>');
+                themeColorEditor.createElementAndAdd('span', 'tcolor-editor-color-splotch', row, null, null, null, 'background-color: ' + themeColorEditor.rgbToHexString(partner.rgb));
+                themeColorEditor.createElementAndAdd('span', null, row, null, ` ${partner.name} (${partner.isBackground ? 'background' : 'text'})`);
+            });
+        }
+
+        /**
+         * Creates a background layer for a lightness slider that marks where the contrast to a partner is insufficient.
+         * The luminance ranges without sufficient contrast are given by neededLuminanceForContrast() (or neededLuminanceForLc()).
+         * @param {object[]} partners see contrastPartners()
+         * @param {function} positionToRgb returns the color at a relative position [0,1] of the slider
+         * @returns {string} css background layer followed by a comma or an empty string if there are no partners
+         */
+        contrastGuideBackground(partners, positionToRgb) {
+            if (partners.length == 0) return '';
+            const model = themeColorEditor.contrastModel;
+            const blockedRanges = partners.map((partner) => {
+                const cv = partner.contrastVariable;
+                // texts with reduced alpha are approximated with their color over the current background
+                const partnerRgb = partner.isBackground ? partner.rgb : themeColorEditor.compositeColors(partner.rgb, themeColorEditor.compositedVariableRgb(this._currentColorVariable));
+                const luminance = themeColorEditor.contrastLuminance(partnerRgb, model);
+                return model === 'apca'
+                    ? themeColorEditor.neededLuminanceForLc(luminance, Number(cv.minLc), partner.isBackground)
+                    : themeColorEditor.neededLuminanceForContrast(luminance, cv.minContrast);
+            });
+            const steps = 50;
+            const stops = [];
+            for (let i = 0; i < steps; i++) {
+                const luminance = themeColorEditor.contrastLuminance(positionToRgb((i + 0.5) / steps), model);
+                const color = blockedRanges.some((range) => luminance > range[0] && luminance < range[1]) ? 'rgba(220, 0, 0, 0.85)' : 'transparent';
+                stops.push(`${color} ${themeColorEditor.roundToDigits(100 * i / steps, 2)}%`, `${color} ${themeColorEditor.roundToDigits(100 * (i + 1) / steps, 2)}%`);
+            }
+            // a band at the bottom of the track, the colors stay visible
+            return `linear-gradient(to right, ${stops.join(', ')}) bottom / 100% 30% no-repeat, `;
+        }
+
+        /**
+         * Sets the color of the current variable to a color picked with the EyeDropper of the browser or from an element.
+         */
+        pickColorFromPage() {
+            const variable = this._currentColorVariable;
+            if (!variable) return;
+            const applyColor = (rgb) => {
+                // the edited variable could have been changed meanwhile
+                if (this._currentColorVariable === variable) this.setColorAndSetControls(rgb);
+            };
+            if (window.EyeDropper) {
+                new EyeDropper().open()
+                    .then((result) => applyColor(themeColorEditor.parseColor(result.sRGBHex)))
+                    .catch((e) => {
+                        // canceling the eyedropper rejects with an AbortError
+                        if (e.name !== 'AbortError') console.warn(`eyedropper failed: ${e.message}`);
+                    });
+                return;
+            }
+            themeColorEditor.startElementColorPicking(applyColor);
+        }
+
+        /**
+         * Shows the harmony colors of the current color. Click on a swatch to apply it or drag it onto a variable row.
+         * The swatches are not updated while the harmony group is hidden.
+         */
+        updateHarmonySwatches() {
+            if (!this.rgb || this._harmonyFrame.style.display === 'none') return;
+            this._harmonyFrame.innerHTML = '';
+            themeColorEditor.harmonyColors(this.rgb).forEach((harmony) => {
+                const row = themeColorEditor.createElementAndAdd('div', null, this._harmonyFrame);
+                themeColorEditor.createElementAndAdd('span', 'tcolor-editor-harmony-name', row, null, harmony.name);
+                harmony.colors.forEach((rgb) => {
+                    const hex = themeColorEditor.rgbToHexString(rgb);
+                    const swatch = themeColorEditor.createElementAndAdd('span', 'tcolor-editor-color-splotch tcolor-editor-harmony-swatch', row,
+                        `${harmony.name}: ${hex}\nclick to apply, drag onto a variable row to set that variable`, null, { 'draggable': 'true' }, 'background-color: ' + hex);
+                    swatch.addEventListener('click', () => this.setColorAndSetControls(rgb));
+                    swatch.addEventListener('dragstart', (e) => themeColorEditor.startColorDrag(e, rgb));
+                });
+            });
+        }
+
         setColorByHsv(hsv) {
             this.rgb = themeColorEditor.hsvToRgb(hsv, this.rgb ? this.rgb[3] : 1);
             this.hsvSl = themeColorEditor.rgbToHsvSl(this.rgb);
@@ -1648,9 +5753,49 @@ Base definition: ${this.baseValue}`;
             this._sHslInput.value = this._sHslSlider.value = this.hsvSl[3];
             this._lInput.value = this._lSlider.value = this.hsvSl[4];
             this._aInput.value = this._aSlider.value = this.rgb[3];
+            this.setOklchControls();
             this.updatePreviewThrottled();
         }
 
+        /**
+         * Max chroma of the oklch slider, the sRGB colors have a chroma up to 0.33.
+         */
+        get oklchMaxChroma() { return 0.37; }
+
+        /**
+         * Sets the oklch sliders to the current rgb color. The hue is kept for grays.
+         */
+        setOklchControls() {
+            const oklch = themeColorEditor.rgbToOklch(this.rgb);
+            if (oklch[1] < 0.0005 && this.oklch) oklch[2] = this.oklch[2];
+            this.oklch = oklch;
+            this.oklchOutOfGamut = false;
+            this._okLInput.value = this._okLSlider.value = themeColorEditor.roundToDigits(oklch[0] * 100, 1);
+            this._okCInput.value = this._okCSlider.value = themeColorEditor.roundToDigits(oklch[1], 3);
+            this._okHInput.value = this._okHSlider.value = Math.round(oklch[2]);
+        }
+
+        /**
+         * Creates the background of an oklch slider with the current color, parts outside of the sRGB gamut are grayed out.
+         * @param {number} channel index of the oklch channel
+         * @param {number} max max value of the channel
+         * @returns {string} css background
+         */
+        oklchSliderBackground(channel, max) {
+            const steps = 36;
+            const colorStops = [];
+            const gamutStops = [];
+            for (let i = 0; i <= steps; i++) {
+                const oklch = [...this.oklch];
+                oklch[channel] = max * i / steps;
+                const result = themeColorEditor.oklabToRgbWithGamutInfo(themeColorEditor.oklchToOklab(oklch));
+                const position = themeColorEditor.roundToDigits(100 * i / steps, 2) + '%';
+                colorStops.push(`${themeColorEditor.rgbToHexString(result.rgb.slice(0, 3))} ${position}`);
+                gamutStops.push(`${result.outOfGamut ? 'rgba(128, 128, 128, 0.85)' : 'transparent'} ${position}`);
+            }
+            return `linear-gradient(to right, ${gamutStops.join(', ')}), linear-gradient(to right, ${colorStops.join(', ')})`;
+        }
+
         /**
          * Set VariableInfo that should be edited in the color picker.
          * @param {VariableInfo} colorVar 
@@ -1679,9 +5824,17 @@ Base definition: ${this.baseValue}`;
             this.setColorAndSetControls(varInfo.rgb);
         }
 
-        setColorAndSetControls(rgb) {
-            if (!rgb || themeColorEditor.rgbEqual(this.rgb, rgb)) return;
+        /**
+         * Sets the color and updates all controls.
+         * @param {number[]} rgb
+         * @param {number} hue (optional) hue to keep, e.g. of the 2d field, it's not defined by the rgb of grays
+         */
+        setColorAndSetControls(rgb, hue = undefined) {
+            if (!rgb) return;
+            hue = hue === undefined ? undefined : Math.round(hue) % 360;
+            if (themeColorEditor.rgbEqual(this.rgb, rgb) && (hue === undefined || hue == this.hsvSl[0])) return;
             this.setColorByRgb(rgb);
+            if (hue !== undefined) this.hsvSl[0] = hue;
             this.setControlsAccordingToVariables();
         }
 
@@ -1740,6 +5893,8 @@ Base definition: ${this.baseValue}`;
                 rowVariableName = cell.innerHTML.trim();
                 cell.innerHTML = '';
                 cell.setAttribute('id', 'var-' + rowVariableName);
+                if (cell.dataset.backdrop)
+                    this.declaredBackdrops.set(rowVariableName, cell.dataset.backdrop.trim());
                 const varTitle = this.createElementAndAdd('div', 'tcolor-editor-variable-title tcolor-editor-pointer', cell, 'click to edit', rowVariableName);
                 const varName = rowVariableName;
                 varTitle.addEventListener('click', () => {
@@ -1763,6 +5918,7 @@ Base definition: ${this.baseValue}`;
                 rowVariableInfo.colorDisplayEl = cell;
                 rowVariableInfo.colorExplicitEl = this.createElementAndAdd('div', null, cell);
                 this.addColorOptionElements(rowVariableInfo, rowVariableNameElement);
+                this.addColorDropTarget(row, rowVariableInfo);
             } else if (notesColumnIndex == columnIndex) {
                 // add links to the var anchors if a variable is mentioned in a code tag. clicking on the variable to edit its color
                 Array.from(cell.querySelectorAll('code')).forEach((codeVarEl) => { this.addVariableLink(codeVarEl, true); });
@@ -1782,8 +5938,14 @@ Base definition: ${this.baseValue}`;
 
                         const contrastElement = this.createElementAndAdd('span', 'tcolor-editor-contrast-indicator');
                         const contrastVariableInfo = new this.ContrastVariableInfo(contrastVarName, contrastElement)
+                        contrastVariableInfo.rowVariable = rowVariableInfo;
 
-                        contrastVariableInfo.minContrast = spanVar.dataset.minContrast !== undefined ? spanVar.dataset.minContrast : 4.5; // if not specified use default min contrast of 4.5 (value for normal text in WCAG 2.0)
+                        contrastVariableInfo.contrastType = this.validContrastType(spanVar.dataset.contrastType, contrastVarName);
+                        contrastVariableInfo.tableMinContrast = spanVar.dataset.minContrast !== undefined ? Number(spanVar.dataset.minContrast) : undefined;
+                        contrastVariableInfo.tableMinLc = spanVar.dataset.minLc !== undefined ? Number(spanVar.dataset.minLc) : undefined;
+                        contrastVariableInfo.explicitMinContrast = contrastVariableInfo.tableMinContrast;
+                        contrastVariableInfo.explicitMinLc = contrastVariableInfo.tableMinLc;
+                        contrastVariableInfo.updateNeededContrast();
 
                         let contrastVariableAdded = false;
                         if (rowVariableInfo.contrastVariables) {
@@ -1802,11 +5964,15 @@ Base definition: ${this.baseValue}`;
                             const contrastCell1 = this.createElementAndAdd('div', 'tcolor-editor-table-cell', contrastRow);
                             contrastCell1.appendChild(contrastElement);
 
+                            // colors composited over their backdrops as used for the contrast
+                            contrastVariableInfo.elementCompositedSwatch = this.createElementAndAdd('span', 'tcolor-editor-composited-swatch', contrastCell1, null, 'Aa');
+                            contrastVariableInfo.elementDistinguishWarning = this.createElementAndAdd('span', 'tcolor-editor-warning tcolor-editor-distinguish-warning', contrastCell1, null, '≈', null, 'display:none');
+
                             this.createElementAndAdd('div', 'tcolor-editor-contrast-visualizer', contrastCell1, 'contrast visualizer', '◉▩', null, 'color: var(' + contrastVarName + ')');
 
                             // luminance adjust button to get needed contrast
                             contrastVariableInfo.elementFixContrast = this.createElementAndAdd('span', 'tcolor-editor-button tcolor-editor-inline', contrastCell1, null, '◐');
-                            contrastVariableInfo.elementFixContrast.addEventListener('click', () => this.fixContrastWithLightness(contrastVariableInfo.variable, new this.ContrastVariableInfo(rowVariableInfo, contrastVariableInfo.minContrast)));
+                            contrastVariableInfo.elementFixContrast.addEventListener('click', () => this.showContrastFixCandidates(rowVariableInfo, contrastVariableInfo));
 
                             // reset value
                             contrastVariableInfo.elementResetToBaseValue = this.createElementAndAdd('span', 'tcolor-editor-button tcolor-editor-inline', contrastCell1, 'Resets color to base value.', '⭯');
@@ -1838,6 +6004,8 @@ Base definition: ${this.baseValue}`;
     initializeVariables: function () {
         this.setThemeView(document.documentElement.classList.contains('view-dark'));
         const useThemeName = document.documentElement.className.split(' ').find((c) => c.startsWith('theme-'));
+        if (useThemeName)
+            this.setThemeName(useThemeName.substring(6));
         // apply current theme variables. If loaded from file, use the definitions of the theme-selector element
         if (!this.applyTheme(useThemeName) && useThemeName)
             this.applyValuesOfCurrentPageTheme();
@@ -1876,6 +6044,9 @@ Base definition: ${this.baseValue}`;
             }
         });
 
+        this.backdropVariableNames = new Set();
+        this.variableInfo.forEach((v) => this.variableBackdropChain(v).forEach((name) => this.backdropVariableNames.add(name)));
+
         // add toc entries alphabetically sorted
         const tocElement = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-var-toc', document.body)
         this.createElementAndAdd('h3', null, tocElement, null, 'Variable list (alphabetically sorted)', null, 'color:white');
@@ -1910,6 +6081,47 @@ Base definition: ${this.baseValue}`;
         return el;
     },
 
+    /**
+     * Data type of colors dragged in the editor, see startColorDrag().
+     */
+    colorDragType: 'application/x-tcolor-editor-color',
+
+    /**
+     * Sets a dragged color on the dragstart event.
+     * @param {DragEvent} e
+     * @param {number[]} rgb
+     */
+    startColorDrag: function (e, rgb) {
+        e.dataTransfer.setData(this.colorDragType, JSON.stringify(rgb));
+        e.dataTransfer.setData('text/plain', this.rgbToHexString(rgb));
+        e.dataTransfer.effectAllowed = 'copy';
+    },
+
+    /**
+     * Sets the color of a variable when a color (see startColorDrag()) is dropped on the element.
+     * @param {HTMLElement} element
+     * @param {VariableInfo} variable
+     */
+    addColorDropTarget: function (element, variable) {
+        element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(this.colorDragType)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            element.classList.toggle('tcolor-editor-drop-target', true);
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget))
+                element.classList.toggle('tcolor-editor-drop-target', false);
+        });
+        element.addEventListener('drop', (e) => {
+            element.classList.toggle('tcolor-editor-drop-target', false);
+            const data = e.dataTransfer.getData(this.colorDragType);
+            if (!data) return;
+            e.preventDefault();
+            this.runAsHistoryStep('set dropped color on ' + variable.name, () => variable.setColor(JSON.parse(data)));
+        });
+    },
+
     /**
      * Creates a checkbox.
      * @param {string} labelText 
@@ -1955,6 +6167,13 @@ Base definition: ${this.baseValue}`;
                 inputContainer.insertBefore(input, inputContainer.firstChild);
             }
         }
+        else if (inputType == 'select') {
+            // attributes.options contains the options as [value, text]
+            inputContainer = this.createElementAndAdd('label', 'tcolor-editor-number-label', addToElement, titleText, controlText);
+            const select = this.createElementAndAdd('select', null, null);
+            attributes.options.forEach(([value, text]) => this.createElementAndAdd('option', null, select, null, text, { 'value': value }));
+            inputContainer.insertBefore(select, inputContainer.firstChild);
+        }
 
         const el = inputContainer ? inputContainer.firstElementChild :
             this.createElementAndAdd('input', null, addToElement, titleText, controlText, attributes);
@@ -1966,15 +6185,19 @@ Base definition: ${this.baseValue}`;
                 },
                 set: function (newValue) {
                     if (propValue === newValue) return;
+                    if (model instanceof themeColorEditor.VariableInfo)
+                        themeColorEditor.recordVariableChange(model);
                     propValue = newValue;
                     if (el.type === 'checkbox')
                         el.checked = newValue;
                     else
-                        el.value = newValue;
+                        el.value = newValue === undefined ? '' : newValue;
                     if (propertyName === 'useIndirectDefinition') {
                         model.enableIndirectDefinition(newValue);
                         model.updateDependencyVariables();
                     }
+                    if (propertyName === 'outputColorFormat')
+                        themeColorEditor.updateVariableOnPage(model);
                     if (model.useIndirectDefinition)
                         model.updateValueFromAffectors();
                 }
@@ -1983,6 +6206,8 @@ Base definition: ${this.baseValue}`;
                 el.addEventListener('change', (e) => model[propertyName] = parseFloat(e.target.value));
             else if (inputType === 'checkbox')
                 el.addEventListener('change', (e) => model[propertyName] = e.target.checked);
+            else if (inputType === 'select')
+                el.addEventListener('change', (e) => model[propertyName] = e.target.value || undefined);
             else
                 el.addEventListener('change', (e) => model[propertyName] = e.target.value);
         }
@@ -2021,19 +6246,21 @@ Base definition: ${this.baseValue}`;
         buttonContainer.dataset.varName = colorVariableInfo.name;
         colorVariableInfo.elementEqualToBaseColor = this.createElementAndAdd('span', 'tcolor-editor-variable-changed-indicator', buttonContainer);
         colorVariableInfo.elementEqualToBaseColor.style.backgroundColor = 'gray';
+        colorVariableInfo.elementOutOfGamut = this.createElementAndAdd('span', 'tcolor-editor-warning tcolor-editor-gamut-warning', buttonContainer, null, '⚠', null, 'display:none');
+        colorVariableInfo.setValueOutOfGamut(!!colorVariableInfo.valueOutOfGamut);
 
         const hiddenSettingsContainer = this.createElementAndAdd('div', 'tcolor-editor-variable-hidden-settings', buttonContainer);
         let bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', hiddenSettingsContainer, 'copy this variable value to paste it in other variables', 'copy');
         bt.addEventListener('click', (e) => { this.holdVariable = this.variableInfo.get(e.target.parentElement.parentElement.dataset.varName); });
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', hiddenSettingsContainer, 'paste color value directly without dependency', 'paste value');
-        bt.addEventListener('click', (e) => { this.setValueOfVariableByName(e.target.parentElement.parentElement.dataset.varName, this.holdVariable); });
+        bt.addEventListener('click', (e) => { this.runAsHistoryStep('paste value', () => this.setValueOfVariableByName(e.target.parentElement.parentElement.dataset.varName, this.holdVariable)); });
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', hiddenSettingsContainer, 'paste reference of copied variable, so this variable will adjust accordingly', 'paste ref');
-        bt.addEventListener('click', (e) => { this.setValueOfVariableByName(e.target.parentElement.parentElement.dataset.varName, this.holdVariable, true); });
+        bt.addEventListener('click', (e) => { this.runAsHistoryStep('paste reference', () => this.setValueOfVariableByName(e.target.parentElement.parentElement.dataset.varName, this.holdVariable, true)); });
         bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', hiddenSettingsContainer, 'paste reference of copied variable with relative adjustments.\nThis will keep the variable unchanged initially but it will adjust relatively to the source variable', 'paste ref rel');
-        bt.addEventListener('click', (e) => { this.setValueOfVariableByName(e.target.parentElement.parentElement.dataset.varName, this.holdVariable, true, true); });
+        bt.addEventListener('click', (e) => { this.runAsHistoryStep('paste relative reference', () => this.setValueOfVariableByName(e.target.parentElement.parentElement.dataset.varName, this.holdVariable, true, true)); });
 
-        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonContainer, 'Tries to fix all the contrast issues of this variable to the colors in the contrast column in this row by changing the lightness of the var ' + colorVariableInfo.name, '◐');
-        bt.addEventListener('click', (e) => { this.fixContrastWithLightness(this.variableInfo.get(e.target.parentElement.dataset.varName)); });
+        bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonContainer, 'Proposes colors to fix all the contrast issues of this variable to the colors in the contrast column in this row, e.g. by changing the lightness of the var ' + colorVariableInfo.name, '◐');
+        bt.addEventListener('click', (e) => this.showContrastFixCandidates(this.variableInfo.get(e.target.parentElement.dataset.varName)));
         bt = colorVariableInfo.elementResetToBaseValue = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonContainer, 'reset color to theme value', '⭯');
         bt.addEventListener('click', (e) => {
             const varInfo = this.variableInfo.get(e.target.parentElement.dataset.varName);
@@ -2047,7 +6274,7 @@ Base definition: ${this.baseValue}`;
             colorVariableInfo.suggestedValue = suggestion;
             bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', buttonContainer, 'set variable to default suggestion: ' + this.createSuggestionInfo(suggestion), '◈');
             bt.addEventListener('click', () => {
-                colorVariableInfo.setValueByDefinition();
+                this.runAsHistoryStep('apply suggestion to ' + colorVariableInfo.name, () => colorVariableInfo.setValueByDefinition());
             });
         }
 
@@ -2057,6 +6284,8 @@ Base definition: ${this.baseValue}`;
             colorVariableInfo, 'useIndirectDefinition', buttonContainer);
         const indirectDefinitionEl = this.createElementAndAdd('input', null, buttonContainer, null, null, { 'type': 'text' }, 'width:100%;');
         colorVariableInfo.setDependsOnVarsElement(indirectDefinitionEl);
+        colorVariableInfo.elementCircularDefinition = this.createElementAndAdd('div', 'tcolor-editor-circular-definition', buttonContainer, null, null, null, 'display:none');
+        colorVariableInfo.setCircularDefinition(colorVariableInfo.circularDefinition);
 
         let subContainer = this.createElementAndAdd('div', 'tcolor-editor-checkbox-subcontainer', buttonContainer);
         this.addColorOptionControlAndBind('checkbox', 'save explicit color output',
@@ -2072,6 +6301,11 @@ Base definition: ${this.baseValue}`;
         this.addColorOptionControlAndBind('number', ' saturation factor', 'saturation factor (1: no change)', colorVariableInfo, 'optionSaturationFactor', subContainer, { 'size': '3', 'value': '1', 'min': '0', 'step': '0.1' });
         this.createElementAndAdd('br', null, subContainer);
         this.addColorOptionControlAndBind('number', ' lightness factor', 'lightness factor (1: no change)', colorVariableInfo, 'optionLightnessFactor', subContainer, { 'size': '3', 'value': '1', 'min': '0', 'step': '0.1' });
+        this.createElementAndAdd('br', null, buttonContainer);
+        this.addColorOptionControlAndBind('select', ' output format', 'notation of this color in the output if it is saved explicitly\n(theme default: use the color format of the theme set in the input-output view)',
+            colorVariableInfo, 'outputColorFormat', buttonContainer, { 'options': [['', 'theme default']].concat(this.outputColorFormats.map((f) => [f, f])) });
+        this.createElementAndAdd('br', null, buttonContainer);
+        this.addColorOptionControlAndBind('checkbox', 'locked', 'the color is not changed by "fix all contrasts" or when the other color of a contrast is fixed', colorVariableInfo, 'optionLocked', buttonContainer);
 
         colorVarNameElement.classList.add('tcolor-editor-variable-name-container');
     },
@@ -2113,117 +6347,962 @@ Base definition: ${this.baseValue}`;
 
     //#endregion
 
-    //#region contrast functions
+    //#region color vision simulation
     /**
-     * Returns approximated color with set relative luminance while keeping preserve hue and saturation.
-     * It's an iterativ process using that the dependence of the relative luminance on the lightness is monotonically non-decreasing
-     * @param rgb 
-     * @param relativeLuminanceTarget 
+     * Sets the simulated color vision deficiency of the page and the previews and updates the contrast checks.
+     * @param {string | null} deficiency one of colorVisionDeficiencies or null for normal vision
      */
-    setRelativeLuminance: function (rgb, relativeLuminanceTarget, maxDifference = 0.005) {
-        let loopCounter = 0;
-        let adjustedColor;
-        let diff;
+    setColorVisionSimulation: function (deficiency) {
+        if (!this.colorVisionDeficiencies.includes(deficiency)) deficiency = null;
+        this.colorVisionSimulation = deficiency;
+        if (this.colorVisionSimulationEl)
+            this.colorVisionSimulationEl.value = deficiency ? deficiency : '';
+        this.applyColorVisionSimulation(document, this.pageRules);
+        this.previewPopups.forEach((p) => {
+            if (!p.w.closed) this.applyColorVisionSimulation(p.w.document, p.s);
+        });
+        this.updateAllContrasts();
+    },
 
-        let minLightness = 0;
-        let maxLightness = 100;
-        const hsvsl = this.rgbToHsvSl(rgb);
-        const hsl = [hsvsl[0], hsvsl[3], hsvsl[4]];
-        while (loopCounter < 20) {
-            loopCounter++;
-            const lightness = (minLightness + maxLightness) / 2;
-            adjustedColor = this.hslToRgb([hsl[0], hsl[1], lightness], rgb[3]);
-            diff = relativeLuminanceTarget - this.relativeLuminance(adjustedColor);
-            if (Math.abs(diff) < maxDifference) {
-                break;
+    /**
+     * Applies the simulated color vision deficiency as filter on the root element of a document.
+     * @param {document} doc 
+     * @param {CSSStyleDeclaration} rootStyle style of the root rule created by addPreviewStyleElement()
+     */
+    applyColorVisionSimulation: function (doc, rootStyle) {
+        if (!rootStyle) return;
+        if (!this.colorVisionSimulation) {
+            rootStyle.removeProperty('filter');
+            return;
+        }
+        if (!doc.getElementById('tcolor-editor-color-vision-filters')) {
+            const svgNamespace = 'http://www.w3.org/2000/svg';
+            const svg = doc.createElementNS(svgNamespace, 'svg');
+            svg.setAttribute('id', 'tcolor-editor-color-vision-filters');
+            svg.setAttribute('style', 'position: absolute; width: 0; height: 0;');
+            this.colorVisionDeficiencies.forEach((d) => {
+                const filter = doc.createElementNS(svgNamespace, 'filter');
+                filter.setAttribute('id', 'tcolor-editor-simulate-' + d);
+                filter.setAttribute('color-interpolation-filters', 'linearRGB');
+                const colorMatrix = doc.createElementNS(svgNamespace, 'feColorMatrix');
+                colorMatrix.setAttribute('type', 'matrix');
+                colorMatrix.setAttribute('values', this.colorVisionDeficiencyFilterValues(d));
+                filter.appendChild(colorMatrix);
+                svg.appendChild(filter);
+            });
+            doc.body.appendChild(svg);
+        }
+        rootStyle.setProperty('filter', `url(#tcolor-editor-simulate-${this.colorVisionSimulation})`);
+    },
+
+    /**
+     * Returns the color as it's used for the checks, i.e. simulated if checkSimulatedColors is set.
+     * @param {number[]} rgb 
+     * @returns {number[]}
+     */
+    checkedRgb: function (rgb) {
+        return this.checkSimulatedColors && this.colorVisionSimulation ? this.simulateColorVisionDeficiency(rgb, this.colorVisionSimulation) : rgb;
+    },
+    //#endregion
+
+    //#region dependency graph
+    /**
+     * Shows or hides the dependency graph of the indirect definitions.
+     * @param {boolean} show if undefined the visibility is toggled.
+     */
+    toggleDependencyGraph: function (show) {
+        if (!this.dependencyGraphEl) {
+            this.dependencyGraphEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup tcolor-editor-dependency-graph transition-show transition-hide', document.body);
+            const bt = this.createElementAndAdd('div', 'tcolor-editor-close-button', this.dependencyGraphEl, null, '×');
+            bt.addEventListener('click', () => this.toggleDependencyGraph(false));
+            this.createElementAndAdd('div', null, this.dependencyGraphEl, null, 'dependency graph of the indirect definitions');
+            this.createElementAndAdd('div', 'tcolor-editor-toolbarText', this.dependencyGraphEl, null,
+                'Click on a variable to highlight the variables it references (upstream) and the ones that reference it (downstream), double click to edit its color.');
+            this.dependencyGraphContainerEl = this.createElementAndAdd('div', null, this.dependencyGraphEl);
+            this.updateDependencyGraphThrottled = this.throttle(() => this.updateDependencyGraph(), 200);
+        }
+        if (show === undefined)
+            show = this.dependencyGraphEl.classList.contains('transition-hide');
+        if (show)
+            this.updateDependencyGraph();
+        this.dependencyGraphEl.classList.toggle('transition-hide', !show);
+    },
+
+    /**
+     * Updates the dependency graph if it's visible.
+     */
+    refreshDependencyGraph: function () {
+        if (this.dependencyGraphEl && !this.dependencyGraphEl.classList.contains('transition-hide'))
+            this.updateDependencyGraphThrottled();
+    },
+
+    /**
+     * @returns {Map} references of the indirectly defined variables, key: variable name, value: names of the referenced variables
+     */
+    variableDependencies: function () {
+        const dependencies = new Map();
+        if (!this.variableInfo) return dependencies;
+        this.variableInfo.forEach((v) => {
+            if (v.dependsOnVars)
+                dependencies.set(v.name, v.dependsOnVars.map((d) => d.name));
+        });
+        return dependencies;
+    },
+
+    /**
+     * Links the references of the variables with circular definitions again if their cycle was resolved, e.g. after a referenced variable was changed.
+     * @param {VariableInfo} changedVariable variable whose references changed
+     */
+    recheckCircularDefinitions: function (changedVariable) {
+        if (this.recheckingCircularDefinitions || this.circularDefinitionVariables.size == 0) return;
+        this.recheckingCircularDefinitions = true;
+        try {
+            Array.from(this.circularDefinitionVariables).forEach((v) => {
+                if (v === changedVariable) return;
+                v.updateDependencyVariables();
+                if (!v.circularDefinition) v.updateValueFromAffectors();
+            });
+        } finally {
+            this.recheckingCircularDefinitions = false;
+        }
+    },
+
+    /**
+     * Warns about circular indirect definitions, e.g. after a theme was imported.
+     * @param {string} source description of the checked variables, e.g. the imported theme
+     * @param {Map} indirectDefinitions (optional) variable name to indirect definition, by default the ones of the editor
+     * @returns {string[][]} the cycles, see findDependencyCycles()
+     */
+    reportCircularDefinitions: function (source, indirectDefinitions = null) {
+        if (!indirectDefinitions) {
+            indirectDefinitions = new Map();
+            this.variableInfo.forEach((v) => {
+                if (v.useIndirectDefinition && v._indirectDefinition)
+                    indirectDefinitions.set(v.name, v._indirectDefinition);
+            });
+        }
+        const dependencies = new Map();
+        indirectDefinitions.forEach((definition, varName) => {
+            dependencies.set(varName, this.referencedVariables(definition).filter((name) => this.variableInfo.has(name)));
+        });
+        const cycles = this.findDependencyCycles(dependencies);
+        if (cycles.length > 0)
+            console.warn(`${source} contains circular indirect definitions, these references are not updated automatically:\n${cycles.map((c) => c.join(' → ')).join('\n')}`);
+        return cycles;
+    },
+
+    /**
+     * Draws the dependency graph as svg, the variables are nodes with their current color and the var() references are edges.
+     */
+    updateDependencyGraph: function () {
+        const container = this.dependencyGraphContainerEl;
+        container.innerHTML = '';
+        const dependencies = this.variableDependencies();
+        const layers = this.layoutDependencyGraph(dependencies);
+        if (layers.length == 0) {
+            this.createElementAndAdd('div', null, container, null, 'no variable is indirectly defined');
+            return;
+        }
+
+        const nodeWidth = 220;
+        const nodeHeight = 22;
+        const columnGap = 60;
+        const rowGap = 8;
+        const nodePosition = new Map();
+        layers.forEach((layer, l) => layer.forEach((name, i) => nodePosition.set(name, [l * (nodeWidth + columnGap), i * (nodeHeight + rowGap)])));
+
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svgElement = (tag, parent, attributes) => {
+            const el = document.createElementNS(svgNamespace, tag);
+            Object.entries(attributes || {}).forEach(([key, value]) => el.setAttribute(key, value));
+            if (parent) parent.appendChild(el);
+            return el;
+        };
+        const svg = svgElement('svg', container, {
+            width: layers.length * (nodeWidth + columnGap) - columnGap + 2,
+            height: Math.max(...layers.map((layer) => layer.length)) * (nodeHeight + rowGap) - rowGap + 2
+        });
+        const marker = svgElement('marker', svgElement('defs', svg), { id: 'tcolor-editor-graph-arrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 6, markerHeight: 6, orient: 'auto' });
+        svgElement('path', marker, { d: 'M 0 0 L 10 5 L 0 10 z', fill: '#888' });
+
+        // edges from the referenced variable to the referencing one
+        const edges = [];
+        dependencies.forEach((references, name) => {
+            references.forEach((reference) => {
+                const [x1, y1] = nodePosition.get(reference);
+                const [x2, y2] = nodePosition.get(name);
+                const startX = x1 + nodeWidth + 1;
+                const startY = y1 + nodeHeight / 2 + 1;
+                const endX = x2 + 1;
+                const endY = y2 + nodeHeight / 2 + 1;
+                const edge = svgElement('path', svg, {
+                    'class': 'tcolor-editor-graph-edge',
+                    d: `M ${startX} ${startY} C ${startX + columnGap / 2} ${startY}, ${endX - columnGap / 2} ${endY}, ${endX} ${endY}`,
+                    'marker-end': 'url(#tcolor-editor-graph-arrow)'
+                });
+                edges.push({ el: edge, from: reference, to: name });
+            });
+        });
+
+        const nodes = new Map();
+        nodePosition.forEach(([x, y], name) => {
+            const v = this.variableInfo.get(name);
+            const node = svgElement('g', svg, { 'class': 'tcolor-editor-graph-node', transform: `translate(${x + 1} ${y + 1})` });
+            svgElement('title', node).textContent = name + (v && v._indirectDefinition && v.useIndirectDefinition ? '\n' + v._indirectDefinition : '')
+                + '\nclick: highlight references, double click: edit color';
+            const rgb = v ? v.rgb : null;
+            svgElement('rect', node, { width: nodeWidth, height: nodeHeight, rx: 4, fill: rgb ? this.rgbToHexString(rgb) : 'none' });
+            const textColor = !rgb || this.colorContrast(rgb, [0, 0, 0]) >= this.colorContrast(rgb, [255, 255, 255]) ? '#000' : '#fff';
+            svgElement('text', node, { x: 6, y: nodeHeight / 2, 'dominant-baseline': 'central', fill: textColor }).textContent = name;
+            node.addEventListener('click', (e) => {
+                e.stopPropagation();
+                // the second click of a double click doesn't toggle the selection again
+                if (e.detail > 1) return;
+                this.dependencyGraphSelected = this.dependencyGraphSelected === name ? null : name;
+                highlight();
+            });
+            node.addEventListener('dblclick', () => {
+                this.dependencyGraphSelected = name;
+                highlight();
+                this.editColorInColorPicker(name);
+            });
+            nodes.set(name, node);
+        });
+        svg.addEventListener('click', () => {
+            this.dependencyGraphSelected = null;
+            highlight();
+        });
+
+        const highlight = () => {
+            const selected = nodes.has(this.dependencyGraphSelected) ? this.dependencyGraphSelected : null;
+            const upstream = selected ? this.dependencyChain(dependencies, selected, true) : new Set();
+            const downstream = selected ? this.dependencyChain(dependencies, selected, false) : new Set();
+            svg.classList.toggle('tcolor-editor-graph-has-selection', selected !== null);
+            nodes.forEach((node, name) => {
+                node.classList.toggle('tcolor-editor-graph-selected', name === selected);
+                node.classList.toggle('tcolor-editor-graph-upstream', upstream.has(name));
+                node.classList.toggle('tcolor-editor-graph-downstream', downstream.has(name));
+            });
+            edges.forEach((edge) => {
+                edge.el.classList.toggle('tcolor-editor-graph-upstream', upstream.has(edge.from) && (edge.to === selected || upstream.has(edge.to)));
+                edge.el.classList.toggle('tcolor-editor-graph-downstream', downstream.has(edge.to) && (edge.from === selected || downstream.has(edge.from)));
+            });
+        };
+        highlight();
+    },
+    //#endregion
+
+    //#region theme generator
+    /**
+     * Shows the theme generator, the seed colors are initialized with the current content colors.
+     */
+    showThemeGenerator: function () {
+        if (!this.themeGeneratorEl) {
+            const el = this.themeGeneratorEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup tcolor-editor-contrast-report transition-show transition-hide', document.body);
+            this.createElementAndAdd('div', 'tcolor-editor-close-button', el, null, '×').addEventListener('click', () => el.classList.toggle('transition-hide', true));
+            this.createElementAndAdd('div', null, el, null, 'generate theme from seed colors');
+            this.createElementAndAdd('div', 'tcolor-editor-toolbarText', el, null,
+                'All variables of the table are set: variables with a suggestion follow it, the others get a color by their name. The contrast requirements are met by adjusting the colors except the background. Locked variables are kept.');
+            const seedsEl = this.createElementAndAdd('div', null, el);
+            this.themeGeneratorSeedEls = {};
+            [['background', 'background'], ['text', 'text'], ['accent', 'accent']].forEach(([seed, text]) => {
+                const label = this.createElementAndAdd('label', null, seedsEl, null, text + ' ');
+                this.themeGeneratorSeedEls[seed] = this.createElementAndAdd('input', null, label, null, null, { 'type': 'color' });
+                this.createElementAndAdd('span', null, seedsEl, null, ' ');
+            });
+            this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', seedsEl, 'Generates the variants with the seed colors.', 'generate')
+                .addEventListener('click', () => this.updateThemeGeneratorVariants());
+            this.themeGeneratorVariantsEl = this.createElementAndAdd('div', 'tcolor-editor-table', el);
+        }
+
+        const seedVariables = { background: '--wiki-content-background-color', text: '--wiki-content-text-color', accent: '--wiki-content-link-color' };
+        Object.entries(seedVariables).forEach(([seed, varName]) => {
+            const v = this.variableInfo.get(varName);
+            if (v && v.rgb) this.themeGeneratorSeedEls[seed].value = this.rgbToHexString(v.rgb.slice(0, 3));
+        });
+        this.themeGeneratorVariantsEl.innerHTML = '';
+        this.themeGeneratorEl.classList.toggle('transition-hide', false);
+    },
+
+    /**
+     * Generates a theme for each variant of themeGeneratorVariants.
+     * @param {object} seeds rgb colors { background, text, accent }
+     * @returns {object[]} variants { name, result }, result is created by generateThemeFromSeeds()
+     */
+    generateThemeVariants: function (seeds) {
+        const variableNames = [];
+        const fixed = new Map();
+        this.variableInfo.forEach((v) => {
+            if (!v.rgb) return;
+            variableNames.push(v.name);
+            if (v.optionLocked) fixed.set(v.name, v.rgb);
+        });
+        return Object.entries(this.themeGeneratorVariants).map(([name, variant]) => {
+            const constraints = [];
+            this.variableInfo.forEach((v) => constraints.push(...this.contrastConstraintsOf(v, null, variant.level)));
+            return {
+                name: name,
+                result: this.generateThemeFromSeeds(seeds, variableNames, {
+                    variant: variant,
+                    suggestions: this.variableSuggestions,
+                    constraints: constraints,
+                    fixed: fixed,
+                    model: this.contrastModel,
+                    backdrops: this.declaredBackdrops
+                })
+            };
+        });
+    },
+
+    /**
+     * Lists the generated variants with a preview, the chosen one is applied as a history step.
+     */
+    updateThemeGeneratorVariants: function () {
+        const seeds = {};
+        Object.entries(this.themeGeneratorSeedEls).forEach(([seed, input]) => { seeds[seed] = this.parseColor(input.value); });
+        const listEl = this.themeGeneratorVariantsEl;
+        listEl.innerHTML = '';
+        this.generateThemeVariants(seeds).forEach((variant) => {
+            const colors = variant.result.colors;
+            const hexOf = (varName, fallback) => this.rgbToHexString(colors.has(varName) ? colors.get(varName) : fallback);
+            const row = this.createElementAndAdd('div', 'tcolor-editor-table-row', listEl);
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, variant.name);
+
+            // page sample
+            const previewCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+            const preview = this.createElementAndAdd('div', 'tcolor-editor-generator-preview', previewCell, null, null, null,
+                `background-color: ${hexOf('--wiki-body-background-color', seeds.background)}`);
+            const content = this.createElementAndAdd('div', null, preview, null, null, null,
+                `background-color: ${hexOf('--wiki-content-background-color', seeds.background)}; border: 1px solid ${hexOf('--wiki-content-border-color', seeds.text)}; color: ${hexOf('--wiki-content-text-color', seeds.text)}`);
+            this.createElementAndAdd('span', null, content, null, 'Text ');
+            this.createElementAndAdd('span', null, content, null, 'link ', null, 'color: ' + hexOf('--wiki-content-link-color', seeds.accent));
+            this.createElementAndAdd('span', null, content, null, 'visited ', null, 'color: ' + hexOf('--wiki-content-link-color--visited', seeds.accent));
+            this.createElementAndAdd('span', null, content, null, 'redlink', null, 'color: ' + hexOf('--wiki-content-redlink-color', seeds.accent));
+
+            const swatchCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+            colors.forEach((rgb, varName) => {
+                const hex = this.rgbToHexString(rgb);
+                this.createElementAndAdd('span', 'tcolor-editor-color-splotch', swatchCell, `${varName}: ${hex}`, null, null, 'background-color: ' + hex);
+            });
+            if (variant.result.unsatisfied.length > 0) {
+                this.createElementAndAdd('span', 'tcolor-editor-warning', swatchCell,
+                    'These contrasts are not sufficient:\n' + variant.result.unsatisfied.map((c) => `${c.foreground} on ${c.background} (${c.requirement})`).join('\n'), '⚠');
             }
-            if (diff > 0)
-                minLightness = lightness;
-            else
-                maxLightness = lightness;
+
+            this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', this.createElementAndAdd('div', 'tcolor-editor-table-cell', row),
+                'Sets all variables to this variant as one step that can be undone.', 'apply')
+                .addEventListener('click', () => {
+                    this.runAsHistoryStep('generate theme', () => {
+                        variant.result.explicit.forEach((rgb, varName) => this.variableInfo.get(varName).setColor(rgb));
+                        variant.result.derived.forEach((suggestion, varName) => this.variableInfo.get(varName).setValueByDefinition(suggestion));
+                    });
+                    this.themeGeneratorEl.classList.toggle('transition-hide', true);
+                });
+        });
+    },
+    //#endregion
+
+    //#region pick color from page
+    /**
+     * Lets the user click an element of the page or of a preview popup and offers its color, background color and border color.
+     * Used if the browser has no EyeDropper, the mode is canceled with Escape.
+     * @param {function} applyColor called with the chosen rgb
+     */
+    startElementColorPicking: function (applyColor) {
+        this.stopElementColorPicking();
+        const documents = [document].concat(this.previewPopups.filter((p) => !p.w.closed).map((p) => p.w.document));
+        let hoveredEl = null;
+        let hoveredOutline = '';
+        // inline style, the preview popups don't have the editor css
+        const highlight = (el) => {
+            if (hoveredEl) hoveredEl.style.outline = hoveredOutline;
+            hoveredEl = el;
+            if (!el || !el.style) return;
+            hoveredOutline = el.style.outline;
+            el.style.outline = '2px dashed #f0f';
+        };
+        const onMouseOver = (e) => highlight(e.target);
+        const onClick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const el = e.target;
+            this.stopElementColorPicking();
+            this.showElementColors(el, applyColor);
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') this.stopElementColorPicking();
+        };
+        documents.forEach((d) => {
+            d.addEventListener('mouseover', onMouseOver, true);
+            d.addEventListener('click', onClick, true);
+            d.addEventListener('keydown', onKeyDown, true);
+            d.body.style.cursor = 'crosshair';
+        });
+        this.elementPickingCleanup = () => {
+            highlight(null);
+            documents.forEach((d) => {
+                d.removeEventListener('mouseover', onMouseOver, true);
+                d.removeEventListener('click', onClick, true);
+                d.removeEventListener('keydown', onKeyDown, true);
+                d.body.style.cursor = '';
+            });
+        };
+    },
+
+    stopElementColorPicking: function () {
+        if (!this.elementPickingCleanup) return;
+        this.elementPickingCleanup();
+        this.elementPickingCleanup = null;
+    },
+
+    /**
+     * Returns the visible colors of an element.
+     * @param {HTMLElement} el
+     * @returns {object[]} colors { property, rgb }, without duplicates and transparent colors
+     */
+    elementColors: function (el) {
+        const style = el.ownerDocument.defaultView.getComputedStyle(el);
+        const properties = ['color', 'background-color'];
+        const borderSide = ['top', 'right', 'bottom', 'left'].find((side) => parseFloat(style.getPropertyValue(`border-${side}-width`)) > 0);
+        if (borderSide) properties.push(`border-${borderSide}-color`);
+        const colors = [];
+        properties.forEach((property) => {
+            const rgb = this.parseColor(style.getPropertyValue(property));
+            if (!rgb || rgb[3] === 0 || colors.some((c) => this.rgbEqual(c.rgb, rgb))) return;
+            colors.push({ property: property, rgb: rgb });
+        });
+        return colors;
+    },
+
+    /**
+     * Applies the color of a picked element, if it has several colors they're offered in a popup.
+     * @param {HTMLElement} el
+     * @param {function} applyColor called with the chosen rgb
+     */
+    showElementColors: function (el, applyColor) {
+        const colors = this.elementColors(el);
+        if (colors.length == 0) {
+            console.warn(`the element ${el.tagName.toLowerCase()} has no visible color, an image can only be picked with the eyedropper of the browser`);
+            return;
         }
-        return adjustedColor;
+        if (colors.length == 1) {
+            applyColor(colors[0].rgb);
+            return;
+        }
+
+        if (!this.elementColorsEl) {
+            this.elementColorsEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup transition-show transition-hide', document.body);
+        }
+        const popup = this.elementColorsEl;
+        popup.innerHTML = '';
+        this.createElementAndAdd('div', 'tcolor-editor-close-button', popup, null, '×').addEventListener('click', () => popup.classList.toggle('transition-hide', true));
+        this.createElementAndAdd('div', null, popup, null, 'colors of the element ' + el.tagName.toLowerCase());
+        const table = this.createElementAndAdd('div', 'tcolor-editor-table', popup);
+        colors.forEach((c) => {
+            const hex = this.rgbToHexString(c.rgb);
+            const row = this.createElementAndAdd('div', 'tcolor-editor-table-row tcolor-editor-pointer', table, 'apply ' + hex);
+            this.createElementAndAdd('span', 'tcolor-editor-color-splotch', this.createElementAndAdd('div', 'tcolor-editor-table-cell', row), null, null, null, 'background-color: ' + hex);
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, c.property);
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, hex);
+            row.addEventListener('click', () => {
+                applyColor(c.rgb);
+                popup.classList.toggle('transition-hide', true);
+            });
+        });
+        popup.classList.toggle('transition-hide', false);
+    },
+    //#endregion
+
+    //#region contrast functions
+    /**
+     * Sets the contrast model used for the contrast checks and updates the contrast indicators.
+     * @param {string} model wcag2 or apca
+     */
+    setContrastModel: function (model) {
+        if (!this.contrastModels.includes(model)) return;
+        this.contrastModel = model;
+        if (this.contrastModelEl)
+            this.contrastModelEl.value = model;
+        localStorage.setItem('tcolor-editor-contrast-model', model);
+        this.updateAllContrasts();
+    },
+
+    /**
+     * Sets the conformance level, updates the needed contrasts derived from the contrast types and the contrast indicators.
+     * @param {string} level AA or AAA
+     */
+    setConformanceLevel: function (level) {
+        if (!this.conformanceLevels.includes(level)) return;
+        this.conformanceLevel = level;
+        if (this.conformanceLevelEl)
+            this.conformanceLevelEl.value = level;
+        localStorage.setItem('tcolor-editor-conformance-level', level);
+        if (this.variableInfo) {
+            this.variableInfo.forEach((v) => {
+                if (v.contrastVariables)
+                    v.contrastVariables.forEach((cv) => cv.updateNeededContrast());
+            });
+        }
+        this.updateAllContrasts();
+    },
+
+    /**
+     * Sets if the contrast indicators show both contrast models and updates them.
+     * @param {boolean} sideBySide
+     */
+    setContrastSideBySide: function (sideBySide) {
+        this.contrastSideBySide = sideBySide;
+        if (this.contrastSideBySideEl)
+            this.contrastSideBySideEl.firstChild.checked = sideBySide; // label, firstChild is the input:checkbox
+        localStorage.setItem('tcolor-editor-contrast-side-by-side', sideBySide);
+        this.updateAllContrasts();
+    },
+
+    /**
+     * Updates all contrast indicators, e.g. after the contrast model was changed.
+     */
+    updateAllContrasts: function () {
+        if (!this.variableInfo) return;
+        this.variableInfo.forEach((v) => {
+            if (v.contrastVariables)
+                v.contrastVariables.forEach((cv) => cv.UpdateContrast());
+        });
+        this.refreshContrastReport();
+    },
+
+    /**
+     * Shows or hides the contrast report, a list of all contrast checks.
+     * @param {boolean} show if undefined the visibility is toggled.
+     */
+    toggleContrastReport: function (show = undefined) {
+        if (!this.contrastReportEl) {
+            this.contrastReportEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup tcolor-editor-contrast-report transition-show transition-hide', document.body);
+            const bt = this.createElementAndAdd('div', 'tcolor-editor-close-button', this.contrastReportEl, null, '×');
+            bt.addEventListener('click', () => this.toggleContrastReport(false));
+            this.createElementAndAdd('div', null, this.contrastReportEl, null, 'contrast report');
+            const onlyFailuresEl = this.createCheckbox('only failures',
+                (e) => {
+                    this.contrastReportOnlyFailures = e.target.checked;
+                    this.updateContrastReport();
+                },
+                'Only list the contrasts that are not sufficient.');
+            onlyFailuresEl.firstChild.checked = this.contrastReportOnlyFailures;
+            this.contrastReportEl.appendChild(onlyFailuresEl);
+            this.contrastReportListEl = this.createElementAndAdd('div', 'tcolor-editor-table tcolor-editor-contrast-report-list', this.contrastReportEl);
+            this.updateContrastReportThrottled = this.throttle(() => this.updateContrastReport(), 200);
+        }
+        if (show === undefined)
+            show = this.contrastReportEl.classList.contains('transition-hide');
+        if (show)
+            this.updateContrastReport();
+        this.contrastReportEl.classList.toggle('transition-hide', !show);
+    },
+
+    /**
+     * Updates the contrast report if it's visible.
+     */
+    refreshContrastReport: function () {
+        if (this.contrastReportEl && !this.contrastReportEl.classList.contains('transition-hide'))
+            this.updateContrastReportThrottled();
+    },
+
+    /**
+     * Fills the contrast report with the contrast checks, sorted by the column in contrastReportSort.
+     */
+    updateContrastReport: function () {
+        const useApca = this.contrastModel === 'apca';
+        const statusOrder = { 'ok': 0, 'insufficient-contrast': 1, 'bad-contrast': 2 };
+        const entries = [];
+        this.variableInfo.forEach((v) => {
+            if (!v.contrastVariables) return;
+            v.contrastVariables.forEach((cv) => {
+                if (!cv.variable || !cv.status) return;
+                if (this.contrastReportOnlyFailures && cv.status === 'ok') return;
+                entries.push({
+                    foreground: cv.variableName,
+                    background: v.name,
+                    contrast: useApca ? Math.abs(cv.lc) : cv.contrast,
+                    needed: Number(useApca ? cv.minLc : cv.minContrast),
+                    type: cv.requirementText(),
+                    status: cv.status
+                });
+            });
+        });
+
+        const sort = this.contrastReportSort;
+        entries.sort((a, b) => {
+            const valueA = sort.column === 'status' ? statusOrder[a.status] : a[sort.column];
+            const valueB = sort.column === 'status' ? statusOrder[b.status] : b[sort.column];
+            const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+            return sort.ascending ? order : -order;
+        });
+
+        const formatContrast = (value) => useApca ? 'Lc ' + Math.floor(value) : (Math.floor(value * 10) / 10).toFixed(1) + ':1';
+        this.contrastReportListEl.innerHTML = '';
+        const header = this.createElementAndAdd('div', 'tcolor-editor-table-row', this.contrastReportListEl);
+        [['foreground', 'foreground'], ['background', 'background'], ['contrast', 'contrast'], ['needed', 'needed'], ['type', 'requirement'], ['status', 'status']].forEach(([column, text]) => {
+            const cell = this.createElementAndAdd('div', 'tcolor-editor-table-cell tcolor-editor-pointer', header, 'sort by ' + text,
+                text + (sort.column === column ? (sort.ascending ? ' ▴' : ' ▾') : ''));
+            cell.addEventListener('click', () => {
+                this.contrastReportSort = { column: column, ascending: sort.column === column ? !sort.ascending : true };
+                this.updateContrastReport();
+            });
+        });
+        if (entries.length == 0) {
+            this.createElementAndAdd('div', null, this.contrastReportListEl, null, this.contrastReportOnlyFailures ? 'all contrasts are sufficient' : 'no contrast checks');
+            return;
+        }
+        entries.forEach((entry) => {
+            const row = this.createElementAndAdd('div', 'tcolor-editor-table-row', this.contrastReportListEl);
+            [entry.foreground, entry.background].forEach((varName) => {
+                const cell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+                this.addVariableLink(this.createElementAndAdd('code', null, cell, null, varName), true);
+            });
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, formatContrast(entry.contrast));
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, formatContrast(entry.needed));
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, entry.type);
+            const statusCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+            this.createElementAndAdd('span', 'tcolor-editor-contrast-indicator' + (entry.status === 'ok' ? '' : ' ' + entry.status), statusCell, null, entry.status === 'ok' ? 'ok' : entry.status.replace('-contrast', ''));
+        });
+    },
+
+    /**
+     * Returns the names of the variables below a variable, from the nearest to the farthest.
+     * The backdrops are declared in the variable table with data-backdrop or inferred from the variable names.
+     * @param {VariableInfo} variable 
+     * @returns {string[]}
+     */
+    variableBackdropChain: function (variable) {
+        if (!this.backdropChains.has(variable.name))
+            this.backdropChains.set(variable.name, this.backdropChain(variable.name, this.declaredBackdrops, (name) => this.variableInfo.has(name)));
+        return this.backdropChains.get(variable.name);
+    },
+
+    /**
+     * Returns the opaque color of a variable composited over its backdrops.
+     * @param {VariableInfo} variable 
+     * @returns {number[]}
+     */
+    compositedVariableRgb: function (variable) {
+        if (!variable.rgb) return undefined;
+        return this.compositeOverBackdrops(variable.rgb, this.variableBackdropChain(variable).map((name) => this.variableInfo.get(name).rgb));
+    },
+
+    /**
+     * Proposes lightness changes of the variables that are not locked, indirectly defined or sources of locked variables so that all contrasts of the table are sufficient.
+     * Indirectly defined variables follow the changes of the variables they're defined from.
+     * The proposal is shown with the colors before and after and can be applied as one history step.
+     */
+    fixAllContrasts: function () {
+        const adjustable = [];
+        const constraints = [];
+        const lockedSources = this.lockedVariableSources();
+        this.variableInfo.forEach((v) => {
+            if (!v.rgb) return;
+            if (this.isContrastAdjustable(v, lockedSources))
+                adjustable.push(v.name);
+            constraints.push(...this.contrastConstraintsOf(v));
+        });
+
+        const options = this.contrastSolverOptions();
+        options.adjustable = adjustable;
+        this.showContrastSolverProposal(this.solveContrastConstraints(this.contrastSolverColors(), constraints, options));
+    },
+
+    /**
+     * @returns {Map} current colors of the variables for the contrast solver, key: variable name, value: rgb
+     */
+    contrastSolverColors: function () {
+        const colors = new Map();
+        this.variableInfo.forEach((v) => {
+            if (v.rgb) colors.set(v.name, v.rgb);
+        });
+        return colors;
+    },
+
+    /**
+     * @param {Set} explicitNames (optional) names of indirectly defined variables that are treated as explicit, see indirectColorResolver()
+     * @returns {object} options for solveContrastConstraints() and nearestPassingColor() with the current contrast model, backdrops and dependencies of the indirectly defined variables
+     */
+    contrastSolverOptions: function (explicitNames = null) {
+        return {
+            model: this.contrastModel,
+            backdrops: this.declaredBackdrops,
+            resolveColors: (colorMap) => this.indirectColorResolver(colorMap, explicitNames),
+            dependencies: (name) => {
+                const v = this.variableInfo.get(name);
+                // the color of a locked variable is kept, it's not changed by its sources
+                return v && v.useIndirectDefinition && !v.optionLocked && v.dependsOnVars && !(explicitNames && explicitNames.has(name))
+                    ? v.dependsOnVars.map((d) => d.name) : [];
+            }
+        };
+    },
+
+    /**
+     * @param {VariableInfo} variable 
+     * @param {Set} lockedSources names of the variables locked variables are defined from, see lockedVariableSources()
+     * @returns {boolean} true if the variable may be changed when other variables are fixed, i.e. it's not locked, indirectly defined or a source of a locked variable
+     */
+    isContrastAdjustable: function (variable, lockedSources = this.lockedVariableSources()) {
+        return !variable.optionLocked && !variable.useIndirectDefinition && !lockedSources.has(variable.name);
+    },
+
+    /**
+     * @returns {Set} names of the variables the locked indirectly defined variables are calculated from, also indirectly
+     */
+    lockedVariableSources: function () {
+        const sources = new Set();
+        const addSources = (v) => {
+            if (!v.useIndirectDefinition || !v.dependsOnVars) return;
+            v.dependsOnVars.forEach((d) => {
+                if (sources.has(d.name)) return;
+                sources.add(d.name);
+                addSources(d);
+            });
+        };
+        this.variableInfo.forEach((v) => {
+            if (v.optionLocked) addSources(v);
+        });
+        return sources;
+    },
+
+    /**
+     * Returns the contrast requirements of a row of the variable table as constraints for the contrast solver.
+     * @param {VariableInfo} variable row variable (background)
+     * @param {ContrastVariableInfo} onlyContrastVariable if given only the constraint of this contrast variable (text) is returned
+     * @param {string} level (optional) conformance level of the needed contrasts, by default the current one
+     * @returns {object[]} constraints { foreground, background, minContrast, minLc, requirement }
+     */
+    contrastConstraintsOf: function (variable, onlyContrastVariable = null, level = undefined) {
+        if (!variable.contrastVariables) return [];
+        return variable.contrastVariables
+            .filter((cv) => cv.variable && (!onlyContrastVariable || cv === onlyContrastVariable))
+            .map((cv) => {
+                const needed = level ? cv.neededContrastAt(level) : cv;
+                return { foreground: cv.variableName, background: variable.name, minContrast: needed.minContrast, minLc: needed.minLc, requirement: cv.requirementText(level) };
+            });
     },
 
     /**
-     * Change lightness of color.
-     * @param color 
-     * @param lightnessFactor >1 makes it brighter, <1 darker
+     * Strategies of the contrast fix buttons, see contrastFixCandidates().
      */
-    adjustLightness: function (color, lightnessFactor) {
-        if (lightnessFactor == 1) return color;
-        lightnessFactor = Math.max(0, lightnessFactor);
-        const rgb = color.slice(0, 3).map(v => {
-            return Math.min(255, Math.round(v * lightnessFactor));
-        });
-        return [...rgb, rgb[3]];
+    contrastFixStrategies: {
+        'hsl-lightness': 'HSL lightness',
+        'oklch-lightness': 'OKLCH lightness, keeps hue and chroma',
+        'other-color': 'adjust the other color',
+        'nearest': 'nearest passing color (ΔE2000)'
     },
 
     /**
-     * Calculates the relative luminance in the range [0,1].
-     * @param {number[]} rgb 
-     * @returns 
+     * Computes the colors each contrast fix strategy proposes for the contrasts of a row or a single contrast pair.
+     * @param {VariableInfo} rowVariable row variable (background)
+     * @param {ContrastVariableInfo} contrastVariable if given only this contrast pair is fixed by changing its variable (text), else the row variable is changed
+     * @returns {object[]} candidates { strategy, label, colors: Map of the changed variables with their new rgb }
      */
-    relativeLuminance: function (rgb) {
-        const sRgb = [rgb[0] / 255, rgb[1] / 255, rgb[2] / 255];
-        const rRgb = [
-            sRgb[0] < 0.03928 ? sRgb[0] / 12.92 : Math.pow((sRgb[0] + 0.055) / 1.055, 2.4),
-            sRgb[1] < 0.03928 ? sRgb[1] / 12.92 : Math.pow((sRgb[1] + 0.055) / 1.055, 2.4),
-            sRgb[2] < 0.03928 ? sRgb[2] / 12.92 : Math.pow((sRgb[2] + 0.055) / 1.055, 2.4)
-        ];
-        return 0.2126 * rRgb[0] + 0.7152 * rRgb[1] + 0.0722 * rRgb[2];
+    contrastFixCandidates: function (rowVariable, contrastVariable = null) {
+        const varToAdjust = contrastVariable ? contrastVariable.variable : rowVariable;
+        const constraints = this.contrastConstraintsOf(rowVariable, contrastVariable);
+        const colors = this.contrastSolverColors();
+        // a fix sets the color of the variable explicitly, also if it's indirectly defined
+        const options = this.contrastSolverOptions(new Set([varToAdjust.name]));
+        const otherVariables = contrastVariable ? [rowVariable] : rowVariable.contrastVariables.filter((cv) => cv.variable).map((cv) => cv.variable);
+
+        const candidates = [];
+        const addCandidate = (strategy, changedColors) => {
+            if (changedColors && changedColors.size > 0)
+                candidates.push({ strategy: strategy, label: this.contrastFixStrategies[strategy], colors: changedColors });
+        };
+        const solved = (adjustable) => {
+            if (adjustable.length == 0) return null;
+            const result = this.solveContrastConstraints(colors, constraints, Object.assign({ adjustable: adjustable }, options));
+            return result.unsatisfied.length == 0 ? result.colors : null;
+        };
+
+        const lightnessRgb = this.lightnessFixedColor(varToAdjust,
+            contrastVariable ? new this.ContrastVariableInfo(rowVariable, Number(contrastVariable.minContrast), Number(contrastVariable.minLc)) : null);
+        addCandidate('hsl-lightness', lightnessRgb ? new Map([[varToAdjust.name, lightnessRgb]]) : null);
+        addCandidate('oklch-lightness', solved([varToAdjust.name]));
+        addCandidate('other-color', solved(otherVariables.filter((v) => this.isContrastAdjustable(v)).map((v) => v.name)));
+        const nearestRgb = this.nearestPassingColor(colors, constraints, varToAdjust.name, options);
+        addCandidate('nearest', nearestRgb ? new Map([[varToAdjust.name, nearestRgb]]) : null);
+        return candidates;
     },
 
     /**
-     * Calculates the contrast between two colors using the relative luminance. Only approximation if alpha is < 1.
-     * @param {number[]} rgb1 
-     * @param {number[]} rgb2 
-     * @returns 
+     * Shows the candidates of the contrast fix strategies with a preview, the chosen one is applied as a history step.
+     * @param {VariableInfo} rowVariable row variable (background)
+     * @param {ContrastVariableInfo} contrastVariable if given only this contrast pair is fixed, see contrastFixCandidates()
      */
-    colorContrast: function (rgb1, rgb2) {
-        if (!rgb1 || !rgb2) return undefined;
-        const relLum1 = this.relativeLuminance(rgb1);
-        const relLum2 = this.relativeLuminance(rgb2);
-        if (rgb1[3] == 1 && rgb2[3] == 1)
-            return this.luminanceContrast(relLum1, relLum2);
-        // approximation of effect of alpha on the contrast
-        // the exact effect of the alpha depends on the context where the colors are used
-        return this.luminanceContrast(relLum1 * rgb1[3] + relLum2 * (1 - rgb1[3]), relLum2 * rgb2[3] + relLum1 * (1 - rgb2[3]));
+    showContrastFixCandidates: function (rowVariable, contrastVariable = null) {
+        if (!rowVariable) return;
+        if (!this.contrastFixEl) {
+            this.contrastFixEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup tcolor-editor-contrast-report transition-show transition-hide', document.body);
+        }
+        const el = this.contrastFixEl;
+        el.innerHTML = '';
+        const close = () => el.classList.toggle('transition-hide', true);
+        this.createElementAndAdd('div', 'tcolor-editor-close-button', el, null, '×').addEventListener('click', close);
+        const varToAdjust = contrastVariable ? contrastVariable.variable : rowVariable;
+        this.createElementAndAdd('div', null, el, null, contrastVariable
+            ? `fix contrast of ${varToAdjust.name} on ${rowVariable.name}`
+            : `fix contrasts of ${rowVariable.name}`);
+        el.classList.toggle('transition-hide', false);
+
+        const constraints = this.contrastConstraintsOf(rowVariable, contrastVariable);
+        const contrastOptions = { model: this.contrastModel, backdrops: this.declaredBackdrops, hasVariable: (name) => this.variableInfo.has(name) };
+        const currentResolve = this.indirectColorResolver(this.contrastSolverColors());
+        if (constraints.every((constraint) => this.constraintSatisfied(constraint, currentResolve, contrastOptions))) {
+            this.createElementAndAdd('div', null, el, null, 'all contrasts are sufficient');
+            return;
+        }
+
+        const candidates = this.contrastFixCandidates(rowVariable, contrastVariable);
+        if (candidates.length == 0)
+            this.createElementAndAdd('div', null, el, null, 'no strategy found colors with sufficient contrast');
+        const table = this.createElementAndAdd('div', 'tcolor-editor-table', el);
+        candidates.forEach((candidate) => {
+            const row = this.createElementAndAdd('div', 'tcolor-editor-table-row', table);
+            this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, candidate.label);
+
+            const colorCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+            candidate.colors.forEach((rgb, varName) => {
+                const beforeHex = this.rgbToHexString(this.variableInfo.get(varName).rgb);
+                const afterHex = this.rgbToHexString(rgb);
+                const colorEl = this.createElementAndAdd('div', null, colorCell);
+                this.createElementAndAdd('span', 'tcolor-editor-color-splotch', colorEl, `${varName} before: ${beforeHex}`, null, null, 'background-color: ' + beforeHex);
+                this.createElementAndAdd('span', null, colorEl, null, ' → ');
+                this.createElementAndAdd('span', 'tcolor-editor-color-splotch', colorEl, `${varName} after: ${afterHex}`, null, null, 'background-color: ' + afterHex);
+            });
+
+            // text samples of the fixed pairs as they would be seen
+            const colorMap = this.contrastSolverColors();
+            candidate.colors.forEach((rgb, varName) => colorMap.set(varName, rgb));
+            const resolve = this.indirectColorResolver(colorMap, new Set(candidate.colors.keys()));
+            const previewCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+            constraints.forEach((constraint) => {
+                const pairColors = this.constraintColors(constraint, resolve, contrastOptions);
+                if (!pairColors) return;
+                const [foreground, background] = pairColors.map((rgb) => this.rgbToHexString(this.checkedRgb(rgb)));
+                this.createElementAndAdd('span', 'tcolor-editor-composited-swatch', previewCell, `${constraint.foreground} on ${constraint.background} (${constraint.requirement})`, 'Aa', null,
+                    `color: ${foreground}; background-color: ${background}`);
+            });
+            if (!constraints.every((constraint) => this.constraintSatisfied(constraint, resolve, contrastOptions)))
+                this.createElementAndAdd('span', 'tcolor-editor-warning', previewCell, 'not all contrasts are sufficient with this proposal', '⚠');
+
+            const bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', this.createElementAndAdd('div', 'tcolor-editor-table-cell', row), 'Applies this proposal as a step that can be undone.', 'apply');
+            bt.addEventListener('click', () => {
+                this.runAsHistoryStep('fix contrast', () => candidate.colors.forEach((rgb, varName) => this.variableInfo.get(varName).setColor(rgb)));
+                close();
+            });
+        });
+        this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', el, null, 'cancel').addEventListener('click', close);
     },
 
-    luminanceContrast: function (relLum1, relLum2) {
-        if (relLum1 > relLum2) return (relLum1 + 0.05) / (relLum2 + 0.05);
-        return (relLum2 + 0.05) / (relLum1 + 0.05);
+    /**
+     * Returns a function that returns the color of a variable for given colors, indirectly defined variables are calculated from them.
+     * @param {Map} colorMap key: variable name, value: rgb
+     * @param {Set} explicitNames (optional) names of indirectly defined variables whose color is taken from colorMap, e.g. when a fix sets it explicitly
+     * @returns {function(string): number[]}
+     */
+    indirectColorResolver: function (colorMap, explicitNames = null) {
+        const resolved = new Map();
+        const resolve = (varName) => {
+            if (resolved.has(varName)) return resolved.get(varName);
+            const v = this.variableInfo.get(varName);
+            // set before calculating to end circular definitions
+            resolved.set(varName, colorMap.get(varName));
+            if (v && v.useIndirectDefinition && v._indirectDefinition && !(explicitNames && explicitNames.has(varName))) {
+                const rgb = v.getCalculatedColorRgb(v._indirectDefinition, resolve);
+                if (rgb) resolved.set(varName, rgb);
+            }
+            return resolved.get(varName);
+        };
+        return resolve;
     },
 
     /**
-     * Returns the lower max and the upper min needed luminance to get a specified contrast to a given relative luminance
-     * i.e. the luminance may not be in the returned range to yield the desired contrast.
-     * @param {number} relativeLuminance
-     * @param {number} neededContrast
+     * Shows the changes proposed by fixAllContrasts() with the colors before and after.
+     * @param {object} result created by solveContrastConstraints()
      */
-    neededLuminanceForContrast: function (relativeLuminance, neededContrast) {
-        if (neededContrast < 1) return [relativeLuminance, relativeLuminance];
-        return [(relativeLuminance + 0.05) / neededContrast - 0.05, neededContrast * (relativeLuminance + 0.05) - 0.05];
+    showContrastSolverProposal: function (result) {
+        if (!this.contrastSolverEl) {
+            this.contrastSolverEl = this.createElementAndAdd('div', 'tcolor-editor-control tcolor-editor-center-popup tcolor-editor-contrast-report transition-show transition-hide', document.body);
+        }
+        const el = this.contrastSolverEl;
+        el.innerHTML = '';
+        const close = () => el.classList.toggle('transition-hide', true);
+        this.createElementAndAdd('div', 'tcolor-editor-close-button', el, null, '×').addEventListener('click', close);
+        this.createElementAndAdd('div', null, el, null, 'fix all contrasts: proposed changes');
+
+        if (result.colors.size == 0)
+            this.createElementAndAdd('div', null, el, null, result.unsatisfied.length == 0 ? 'all contrasts are sufficient' : 'no changes found');
+        else {
+            const table = this.createElementAndAdd('div', 'tcolor-editor-table', el);
+            result.colors.forEach((rgb, varName) => {
+                const row = this.createElementAndAdd('div', 'tcolor-editor-table-row', table);
+                const nameCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+                this.addVariableLink(this.createElementAndAdd('code', null, nameCell, null, varName));
+                const beforeHex = this.rgbToHexString(this.variableInfo.get(varName).rgb);
+                const afterHex = this.rgbToHexString(rgb);
+                const colorCell = this.createElementAndAdd('div', 'tcolor-editor-table-cell', row);
+                this.createElementAndAdd('span', 'tcolor-editor-color-splotch', colorCell, 'before: ' + beforeHex, null, null, 'background-color: ' + beforeHex);
+                this.createElementAndAdd('span', null, colorCell, null, ' → ');
+                this.createElementAndAdd('span', 'tcolor-editor-color-splotch', colorCell, 'after: ' + afterHex, null, null, 'background-color: ' + afterHex);
+                this.createElementAndAdd('div', 'tcolor-editor-table-cell', row, null, `${beforeHex} → ${afterHex}`);
+            });
+        }
+        if (result.unsatisfied.length > 0) {
+            this.createElementAndAdd('div', null, el, null, 'These contrasts can\'t be fixed by changing the lightness of the variables that are not locked or indirectly defined:');
+            const list = this.createElementAndAdd('ul', null, el);
+            result.unsatisfied.forEach((c) => this.createElementAndAdd('li', null, list, null, `${c.foreground} on ${c.background} (${c.requirement})`));
+        }
+
+        if (result.colors.size > 0) {
+            const bt = this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', el, 'Applies all proposed changes as one step that can be undone.', 'apply');
+            bt.addEventListener('click', () => {
+                this.runAsHistoryStep('fix all contrasts', () => result.colors.forEach((rgb, varName) => this.variableInfo.get(varName).setColor(rgb)));
+                close();
+            });
+        }
+        this.createElementAndAdd('button', 'tcolor-editor-button tcolor-editor-inline', el, null, 'cancel').addEventListener('click', close);
+        el.classList.toggle('transition-hide', false);
     },
 
     /**
-     * Adjusts the lightness of varToAdjust trying to fix contrast issues.
+     * Adjusts the lightness of varToAdjust trying to fix contrast issues using the selected contrast model.
      * @param {VariableInfo} varToAdjust 
-     * @param {ContrastVariableInfo} onlyToVar
+     * @param {ContrastVariableInfo} onlyToVar row variable (background) if only the contrast of a contrast variable (text) should be fixed
      */
     fixContrastWithLightness: function (varToAdjust, onlyToVar = null) {
-        if (!varToAdjust) return;
+        const rgb = this.lightnessFixedColor(varToAdjust, onlyToVar);
+        if (rgb) varToAdjust.setColor(rgb);
+    },
+
+    /**
+     * Returns the color of varToAdjust with the HSL lightness changed to get the needed contrasts using the selected contrast model.
+     * @param {VariableInfo} varToAdjust 
+     * @param {ContrastVariableInfo} onlyToVar see fixContrastWithLightness()
+     * @returns {number[] | null} rgb or null if the contrast is already sufficient
+     */
+    lightnessFixedColor: function (varToAdjust, onlyToVar = null) {
+        if (!varToAdjust) return null;
 
         const contrastToVariables = onlyToVar ? [onlyToVar] : varToAdjust.contrastVariables;
-        if (!contrastToVariables || contrastToVariables.length == 0) return;
+        if (!contrastToVariables || contrastToVariables.length == 0) return null;
 
+        const model = this.contrastModel;
+        // luminance with about the same contrast to black and white
+        const middleLuminance = model === 'apca' ? 0.34 : 0.18;
         let luminanceMean = 0;
         // determine range of luminances that are not allowed to get the desired contrast
         const avoidLuminance = contrastToVariables.reduce((blockedRange, cv) => {
-            const luminance = this.relativeLuminance(cv.variable.rgb);
+            // a background is used as it's visible over its backdrops
+            const luminance = this.contrastLuminance(onlyToVar ? this.compositedVariableRgb(cv.variable) : cv.variable.rgb, model);
             luminanceMean += luminance;
-            const luminanceBlock = this.neededLuminanceForContrast(luminance, cv.minContrast);
+            // APCA is not symmetric, the row variable is the background of the contrast variables
+            const luminanceBlock = model === 'apca'
+                ? this.neededLuminanceForLc(luminance, Number(cv.minLc), onlyToVar !== null)
+                : this.neededLuminanceForContrast(luminance, cv.minContrast);
             if (luminanceBlock[0] == luminanceBlock[1])
                 return blockedRange; // no forbidden luminances
             if (blockedRange[0] === undefined || blockedRange[0] > luminanceBlock[0])
@@ -2234,11 +7313,11 @@ Base definition: ${this.baseValue}`;
         }, [undefined, undefined]);
         luminanceMean /= contrastToVariables.length;
 
-        const luminanceOfColorToAdjust = this.relativeLuminance(varToAdjust.rgb);
+        const luminanceOfColorToAdjust = this.contrastLuminance(varToAdjust.rgb, model);
         if ((avoidLuminance[0] === undefined && avoidLuminance[1] === undefined)
             || luminanceOfColorToAdjust <= avoidLuminance[0] || luminanceOfColorToAdjust >= avoidLuminance[1]) {
             console.log('contrast is already sufficient, color will not be adjusted');
-            return;
+            return null;
         }
 
         // increase change a bit to make sure the contrast is achieved
@@ -2247,33 +7326,28 @@ Base definition: ${this.baseValue}`;
 
         if (avoidLuminance[0] < 0 && avoidLuminance[1] > 1) {
             //console.log('no luminance to get needed contrast to all given colors.');
-            // luminance of .18 approximately has same contrast to 0 and 1, use best possible contrast.
-            varToAdjust.setColor(luminanceMean < 0.18 ? [255, 255, 255] : [0, 0, 0]);
-            return;
+            // the middle luminance approximately has same contrast to 0 and 1, use best possible contrast.
+            return luminanceMean < middleLuminance ? [255, 255, 255] : [0, 0, 0];
         }
 
-        if (luminanceMean < 0.18) {
+        if (luminanceMean < middleLuminance) {
             //console.log(`contrast colors are rather dark (mean luminance: ${luminanceMean})`);
             if (avoidLuminance[1] <= 1) {
                 //console.log(`increasing luminance to ${avoidLuminance[1]}`);
-                varToAdjust.setColor(this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[1]));
-                return;
+                return this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[1], 0.005, model);
             } else {
                 //console.log(`needed increasing not possible, decreasing luminance to ${avoidLuminance[0]}`);
-                varToAdjust.setColor(this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[0]));
-                return;
+                return this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[0], 0.005, model);
             }
         }
 
         //console.log(`contrast colors are rather light (mean luminance: ${luminanceMean})`);
         if (avoidLuminance[0] >= 0) {
             //console.log(`decreasing luminance to ${avoidLuminance[0]}`);
-            varToAdjust.setColor(this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[0]));
-            return;
+            return this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[0], 0.005, model);
         } else {
             //console.log(`needed decreasing not possible, increasing luminance to ${avoidLuminance[1]}`);
-            varToAdjust.setColor(this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[1]));
-            return;
+            return this.setRelativeLuminance(varToAdjust.rgb, avoidLuminance[1], 0.005, model);
         }
     },
     //#endregion
@@ -2333,6 +7407,16 @@ Base definition: ${this.baseValue}`;
         this.colorPicker.setColorVariable(variableToEdit);
     },
 
+    /**
+     * Returns the current color of an edited variable, used to evaluate indirect definitions.
+     * @param {string} varName 
+     * @returns {number[] | null} rgb
+     */
+    resolveVariableRgb: function (varName) {
+        const varInfo = this.variableInfo ? this.variableInfo.get(varName) : null;
+        return varInfo && varInfo.rgb ? varInfo.rgb : null;
+    },
+
     /**
      * Updates the variable value on the page and recalculates the contrast checker.
      * @param {VariableInfo} variable 
@@ -2374,6 +7458,10 @@ Base definition: ${this.baseValue}`;
                 cv.UpdateContrast();
             });
         }
+        if (this.backdropVariableNames && this.backdropVariableNames.has(variable.name))
+            this.updateAllContrasts();
+        else this.refreshContrastReport();
+        this.refreshDependencyGraph();
 
         this.colorPicker.updateColorIfVariableWasChangedOutside(variable);
     },
@@ -2399,6 +7487,7 @@ Base definition: ${this.baseValue}`;
 
         w.addEventListener('DOMContentLoaded', () => {
             const styleElement = this.addPreviewStyleElement(w.document);
+            this.applyColorVisionSimulation(w.document, styleElement);
             w.document.body.style.setProperty('background', getComputedStyle(document.body).background);
 
             this.variableInfo.forEach((v) => {
@@ -2485,175 +7574,20 @@ Base definition: ${this.baseValue}`;
         if (suggestion.lightnessFactor != undefined)
             texts.push(`lightnessFactor: ${suggestion.lightnessFactor}`);
         return texts.join(', ');
-    },
-
-    /**
-     * Calculates a css filter to convert black to a given rgb color. It's an iterativ approximation, not perfect, should be sufficient to not be distinguishable for humans.
-     */
-    filterCreator: {
-        /**
-         * @param {number[]} rgb color in rgb (0-255)
-         * @returns {object} Best estimate in an object {input, steps, error, filterString}.
-         */
-        calculateFilter: function (rgb) {
-            if (!rgb) return null;
-
-            let rgbIn = [...rgb];
-            const results = [];
-
-            let hslIn = this.rgbToHsl(rgbIn);
-
-            if (hslIn[2] == 0) {
-                // no light == black, no filter needed
-                return { step: 0, filterString: `none`, error: 0, totalSteps: 0, input: rgbIn };
-            }
-            if (hslIn[1] == 0) {
-                // no saturation, only invert is needed
-                return { step: 0, filterString: `invert(${hslIn[2] / 100})`, error: 0, totalSteps: 0, input: rgbIn };
-            }
-
-            // always start from a black color and the two filters: invert(0.5) sepia(1)
-            rgb = this.invert(rgbIn, 0.5);
-            rgb = this.sepia(rgb, 1);
-            const rgbAfterSepia = rgb;
-            let hsl;
-
-            let solution; // hue rotate deg, sat, brightness
-            let finalOffsets = [0, 1, 1]; // compensate error caused by other operations
-
-            for (let i = 0; i < 40; i++) {
-                hsl = this.rgbToHsl(rgbAfterSepia);
-                solution = [0, 1, 1];
-
-                // hue
-                solution[0] += hslIn[0] + finalOffsets[0] - hsl[0];
-                rgb = this.hueRotate(rgbAfterSepia, solution[0]);
-                hsl = this.rgbToHsl(rgb);
-
-                // do brightness before saturation, because the brightness filter alters saturation so much
-                // brightness
-                solution[2] *= hslIn[2] * finalOffsets[2] / hsl[2];
-                rgb = this.brightness(rgb, solution[2]);
-                hsl = this.rgbToHsl(rgb);
-
-                // saturation
-                solution[1] *= hslIn[1] * finalOffsets[1] / hsl[1];
-                rgb = this.saturate(rgb, solution[1]);
-                hsl = this.rgbToHsl(rgb);
-
-                const filterString = `invert(0.5) sepia(1) hue-rotate(${this.roundToDigits(solution[0], 3)}deg) brightness(${this.roundToDigits(solution[2] * 100, 3)}%) saturate(${this.roundToDigits(solution[1] * 100, 3)}%)`;
-                const rgbError = Math.abs(rgb[0] - rgbIn[0]) + Math.abs(rgb[1] - rgbIn[1]) + Math.abs(rgb[2] - rgbIn[2]);
-
-                results.push({ step: i, filter: filterString, error: rgbError });
-                if (rgbError < 3) break;
-
-                const damping = .5; // to avoid oszillation. Could be improved probably, seems to work well enough with 40 loops.
-                finalOffsets[0] += Math.round((hslIn[0] - hsl[0]) * damping) % 360;
-                finalOffsets[1] *= hsl[1] > 0 ? Math.pow(hslIn[1] / hsl[1], damping) : 1;
-                finalOffsets[2] *= hsl[2] > 0 ? Math.pow(hslIn[2] / hsl[2], damping) : 1;
-            }
-
-            results.sort((a, b) => a.error - b.error);
-
-            // return best result
-            return { input: rgbIn, steps: results[0].step, error: results[0].error, filterString: results[0].filter };
-        },
-
-        roundToDigits: function (v, d) {
-            const pot = Math.pow(10, d);
-            return Math.round(v * pot) / pot;
-        },
-
-        rgbToHsl: function ([r, g, b]) {
-            r /= 255;
-            g /= 255;
-            b /= 255;
-            const max = Math.max(r, g, b);
-            const min = Math.min(r, g, b);
-            const d = max - min;
-            let h = 0;
-
-            switch (max) {
-                case min:
-                    h = 0;
-                    break;
-                case r:
-                    h = (60 * (g - b) / d + 360) % 360;
-                    break;
-                case g:
-                    h = (60 * (b - r) / d + 120) % 360;
-                    break;
-                case b:
-                    h = (60 * (r - g) / d + 240) % 360;
-                    break;
-            }
-
-            return [
-                h,
-                d == 0 ? 0 : 100 * d / (1 - Math.abs(max + min - 1)),
-                (max + min) * 50
-            ];
-        },
-
-        multiplyWithMatrix: function ([r, g, b], matrix) {
-            return [
-                this.clamp(r * matrix[0] + g * matrix[1] + b * matrix[2]),
-                this.clamp(r * matrix[3] + g * matrix[4] + b * matrix[5]),
-                this.clamp(r * matrix[6] + g * matrix[7] + b * matrix[8])
-            ];
-        },
-        clamp: function (n) {
-            return Math.min(255, Math.max(0, n));
-        },
-
-        // the following functions are defined on https://www.w3.org/TR/filter-effects
-        linear: function ([r, g, b], slope = 1, intercept = 0) {
-            return [
-                this.clamp(r * slope + intercept * 255),
-                this.clamp(g * slope + intercept * 255),
-                this.clamp(b * slope + intercept * 255)];
-        },
-        brightness: function (rgb, value = 1) { return this.linear(rgb, value); },
-
-        sepia: function (rgb, value = 1) {
-            return this.multiplyWithMatrix(rgb, [
-                0.393 + 0.607 * (1 - value), 0.769 - 0.769 * (1 - value), 0.189 - 0.189 * (1 - value),
-                0.349 - 0.349 * (1 - value), 0.686 + 0.314 * (1 - value), 0.168 - 0.168 * (1 - value),
-                0.272 - 0.272 * (1 - value), 0.534 - 0.534 * (1 - value), 0.131 + 0.869 * (1 - value)
-            ]);
-        },
-        saturate: function (rgb, value = 1) {
-            return this.multiplyWithMatrix(rgb, [
-                0.213 + 0.787 * value, 0.715 - 0.715 * value, 0.072 - 0.072 * value,
-                0.213 - 0.213 * value, 0.715 + 0.285 * value, 0.072 - 0.072 * value,
-                0.213 - 0.213 * value, 0.715 - 0.715 * value, 0.072 + 0.928 * value
-            ]);
-        },
-
-        hueRotate: function (rgb, angle = 0) {
-            angle = angle * Math.PI / 180;
-            const sin = Math.sin(angle);
-            const cos = Math.cos(angle);
-            return this.multiplyWithMatrix(rgb, [
-                0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
-                0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
-                0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
-            ]);
-        },
-        invert: function ([r, g, b], value = 1) {
-            return [
-                this.clamp((value + (r / 255) * (1 - 2 * value)) * 255),
-                this.clamp((value + (g / 255) * (1 - 2 * value)) * 255),
-                this.clamp((value + (b / 255) * (1 - 2 * value)) * 255)
-            ];
-        }
     }
 };
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+Object.setPrototypeOf(themeColorEditor, themeColorEditorCore);
+
+if (typeof module !== 'undefined' && module.exports)
+    module.exports = themeColorEditorCore;
+
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            themeColorEditor.initialize();
+        });
+    } else {
         themeColorEditor.initialize();
-    });
-} else {
-    themeColorEditor.initialize();
+    }
 }
@@ -0,0 +1,219 @@
+// ****************************************************
+//      theme color linter for wiki.gg wikis
+// ****************************************************
+// MIT License, see theme-color-editor.js
+//
+// Checks the contrasts of theme css files on the command line, e.g. before the css is saved on a wiki.
+//
+// ## How to use
+// node theme-color-lint.js <variable-table.html> <theme.css>... [--base <base.css>] [--view light|dark] [--apca] [--aaa] [--json] [--verbose]
+//
+// * variable-table.html: saved wiki page with the variable table (e.g. MediaWiki:Common.css).
+//   The contrast requirements are read from the table, the base styles from the style elements of the page.
+// * theme.css: css files with theme definitions, e.g. .theme-my-theme { ... } as exported by the editor.
+// * --base: additional css files with the base styles of :root, .view-light and .view-dark.
+// * --view: base view of themes that don't specify it in their selector. If not given, both views are checked.
+// * --apca: check the APCA lightness contrast Lc (data-min-lc) instead of the WCAG 2 contrast ratio (data-min-contrast).
+// * --aaa: derive the needed contrasts from the contrast types (data-contrast-type) with the WCAG AAA targets instead of AA.
+// * --json: print the report as json.
+// * --verbose: also list the passed checks.
+//
+// The exit code is 0 if all checks passed, 1 if a check failed and 2 for invalid arguments.
+// ***************************************************
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const core = require('./theme-color-editor.js');
+
+const usage = 'usage: node theme-color-lint.js <variable-table.html> <theme.css>... [--base <base.css>] [--view light|dark] [--apca] [--aaa] [--json] [--verbose]';
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} args
+ * @returns {object | null} options or null if the arguments are invalid.
+ */
+function parseArguments(args) {
+    const options = { tableFile: undefined, themeFiles: [], baseFiles: [], views: ['light', 'dark'], model: 'wcag2', level: 'AA', json: false, verbose: false };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--base':
+                if (!args[i + 1]) return null;
+                options.baseFiles.push(args[++i]);
+                break;
+            case '--view':
+                if (args[i + 1] !== 'light' && args[i + 1] !== 'dark') return null;
+                options.views = [args[++i]];
+                break;
+            case '--apca':
+                options.model = 'apca';
+                break;
+            case '--aaa':
+                options.level = 'AAA';
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                if (args[i].startsWith('--')) return null;
+                if (!options.tableFile) options.tableFile = args[i];
+                else options.themeFiles.push(args[i]);
+        }
+    }
+    return options.tableFile && options.themeFiles.length > 0 ? options : null;
+}
+
+/**
+ * Collects the theme definitions of a css text.
+ * @param {string} cssText
+ * @param {string} fileName
+ * @returns {object[]} themes with the properties name, file, view (light, dark or undefined) and definitions (Map of variable name to value).
+ */
+function parseThemes(cssText, fileName) {
+    const themes = new Map();
+    cssText = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+    Array.from(cssText.matchAll(/([^{}]+)\{([^{}]*)\}/g)).forEach((ruleMatch) => {
+        const definitions = Array.from(ruleMatch[2].matchAll(/(--[-\w]+)\s*:\s*([^;]+)/g));
+        ruleMatch[1].split(',').forEach((selector) => {
+            const themeMatch = selector.match(/\.theme-([-\w]+)/);
+            if (!themeMatch) return;
+            const viewMatch = selector.match(/\.view-(light|dark)/);
+            const view = viewMatch ? viewMatch[1] : undefined;
+            const key = themeMatch[1] + ' ' + view;
+            if (!themes.has(key))
+                themes.set(key, { name: themeMatch[1], file: fileName, view: view, definitions: new Map() });
+            definitions.forEach((d) => themes.get(key).definitions.set(d[1], d[2].trim()));
+        });
+    });
+    return Array.from(themes.values());
+}
+
+/**
+ * Checks all contrast requirements of the variable table for a theme applied on a base view.
+ * @param {Map} contrastRequirements created by core.parseVariableTableHtml()
+ * @param {Map} backdrops backdrops declared in the variable table, created by core.parseVariableTableHtml()
+ * @param {Map} baseBlocks created by core.parseCssVariableBlocks()
+ * @param {object} theme created by parseThemes()
+ * @param {string} view light or dark
+ * @param {string} model contrast model, wcag2 or apca
+ * @returns {object} result with the theme info and the checks.
+ */
+function checkTheme(contrastRequirements, backdrops, baseBlocks, theme, view, model = 'wcag2') {
+    const definitions = core.themeVariableDefinitions(baseBlocks, view === 'dark');
+    theme.definitions.forEach((value, varName) => definitions.set(varName, value));
+    const colors = core.resolveThemeColors(definitions);
+
+    const checks = [];
+    contrastRequirements.forEach((contrastVariables, varName) => {
+        contrastVariables.forEach((cv) => {
+            const rgb = colors.get(varName);
+            const contrastRgb = colors.get(cv.variableName);
+            let contrast;
+            if (rgb && contrastRgb) {
+                // the row variable is the background of the contrast variable, composite both over the backdrops
+                const backgroundRgb = core.compositeOverBackdrops(rgb,
+                    core.backdropChain(varName, backdrops, (name) => colors.has(name)).map((name) => colors.get(name)));
+                const textRgb = core.compositeColors(contrastRgb, backgroundRgb);
+                contrast = model === 'apca' ? core.apcaContrast(textRgb, backgroundRgb) : core.colorContrast(textRgb, backgroundRgb);
+            }
+            const minContrast = model === 'apca' ? cv.minLc : cv.minContrast;
+            checks.push({
+                variable: varName,
+                contrastVariable: cv.variableName,
+                contrastType: cv.contrastType,
+                color: rgb ? core.rgbToHexString(rgb) : null,
+                contrastColor: contrastRgb ? core.rgbToHexString(contrastRgb) : null,
+                contrast: contrast === undefined ? null : core.roundToDigits(contrast, 2),
+                minContrast: minContrast,
+                // unresolved colors count as failed
+                passed: contrast !== undefined && Math.abs(contrast) >= minContrast
+            });
+        });
+    });
+
+    return {
+        theme: theme.name,
+        file: theme.file,
+        view: view,
+        model: model,
+        passed: checks.every((c) => c.passed),
+        failedCount: checks.filter((c) => !c.passed).length,
+        checks: checks
+    };
+}
+
+/**
+ * Creates the text report of the results.
+ * @param {object[]} results
+ * @param {boolean} verbose if true the passed checks are listed too.
+ * @returns {string}
+ */
+function textReport(results, verbose) {
+    const lines = [];
+    results.forEach((r) => {
+        lines.push(`${r.passed ? 'PASS' : 'FAIL'} theme-${r.theme} on view-${r.view} (${r.file}): ${r.failedCount} of ${r.checks.length} contrast checks failed`);
+        r.checks.forEach((c) => {
+            if (c.passed && !verbose) return;
+            const contrastText = c.contrast === null
+                ? `color couldn't be resolved (${c.color || 'unresolved'}, ${c.contrastColor || 'unresolved'})`
+                : r.model === 'apca'
+                    ? `Lc ${Math.abs(c.contrast)} ${c.passed ? '>=' : '<'} ${c.minContrast} (${c.color}, ${c.contrastColor})`
+                    : `${c.contrast} ${c.passed ? '>=' : '<'} ${c.minContrast} (${c.color}, ${c.contrastColor})`;
+            lines.push(`  ${c.passed ? 'pass' : 'FAIL'} ${c.variable} / ${c.contrastVariable} (${core.contrastTypes[c.contrastType].label}): ${contrastText}`);
+        });
+    });
+    return lines.join('\n');
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    if (!options) {
+        console.error(usage);
+        return 2;
+    }
+
+    let html;
+    let themes;
+    const baseCssTexts = [];
+    try {
+        html = fs.readFileSync(options.tableFile, 'utf8');
+        // base styles of the saved page
+        Array.from(html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)).forEach((m) => baseCssTexts.push(m[1]));
+        options.baseFiles.forEach((f) => baseCssTexts.push(fs.readFileSync(f, 'utf8')));
+        themes = options.themeFiles.flatMap((f) => parseThemes(fs.readFileSync(f, 'utf8'), path.basename(f)));
+    } catch (e) {
+        console.error(`couldn't read file: ${e.message}`);
+        return 2;
+    }
+
+    const backdrops = new Map();
+    const contrastRequirements = core.parseVariableTableHtml(html, backdrops, options.level);
+    if (contrastRequirements.size == 0) {
+        console.error(`no variable table found in ${options.tableFile}`);
+        return 2;
+    }
+    if (themes.length == 0) {
+        console.error('no theme definitions (e.g. .theme-my-theme { ... }) found in the theme files');
+        return 2;
+    }
+
+    const baseBlocks = core.parseCssVariableBlocks(baseCssTexts.join('\n'));
+    const results = [];
+    themes.forEach((theme) => {
+        (theme.view ? [theme.view] : options.views).forEach((view) => {
+            results.push(checkTheme(contrastRequirements, backdrops, baseBlocks, theme, view, options.model));
+        });
+    });
+
+    const passed = results.every((r) => r.passed);
+    if (options.json)
+        console.log(JSON.stringify({ passed: passed, level: options.level, results: results }, null, 2));
+    else
+        console.log(textReport(results, options.verbose));
+    return passed ? 0 : 1;
+}
+
+process.exitCode = main();